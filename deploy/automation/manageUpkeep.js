@@ -0,0 +1,249 @@
+/**
+ * Chainlink Automation Upkeep Lifecycle Script
+ * Funds, pauses, reconfigures, cancels and withdraws upkeeps from the CLI
+ */
+
+const { ethers } = require("ethers");
+const { logError, logInfo, logWarn, setupLogging } = require("../helpers/log");
+const { LINK_ABI, UINT96_MAX, parseAddress, sendAndWait, printUsage } = require("../helpers/tx");
+const { loadEnvFile, setupEnvProfile } = require("../helpers/updateEnvFile");
+const { REGISTRY_ABI, UINT32_MAX, getUpkeepInfo } = require("./registry");
+const { encodeCheckData, encodeLogTriggerConfig } = require("./triggerConfig");
+
+/**
+ * Parse an unsigned integer argument within a bit range
+ * @param {string} value - Raw argument
+ * @param {bigint} max - Maximum allowed value
+ * @param {string} label - Argument name for error messages
+ * @returns {bigint} Parsed value
+ */
+function parseUint(value, max, label) {
+  if (!/^\d+$/.test(String(value || ""))) {
+    throw new Error(`${label} must be a non-negative integer, got "${value}"`);
+  }
+  const parsed = BigInt(value);
+  if (parsed > max) {
+    throw new Error(`${label} ${value} exceeds the maximum of ${max}`);
+  }
+  return parsed;
+}
+
+/**
+ * Lifecycle commands. Each receives the upkeep context and positional arguments.
+ */
+const COMMANDS = {
+  "status": {
+    usage: "status",
+    description: "Show the upkeep's target, admin, balance, paused state and forwarder",
+    run: async (ctx) => {
+      const info = await getUpkeepInfo(ctx.provider, ctx.registryAddress, ctx.upkeepId);
+      logInfo(`Upkeep ${ctx.upkeepId} on registry ${ctx.registryAddress}`);
+      logInfo(`  Target: ${info.target}`);
+      logInfo(`  Admin: ${info.admin}`);
+      logInfo(`  Gas limit: ${info.performGas}`);
+      logInfo(`  Balance: ${ethers.formatUnits(info.balance, 18)} LINK`);
+      logInfo(`  Spent: ${ethers.formatUnits(info.amountSpent, 18)} LINK`);
+      logInfo(`  Paused: ${info.paused}`);
+      logInfo(`  Cancelled: ${info.cancelled ? `yes (withdrawable from block ${info.maxValidBlocknumber})` : "no"}`);
+      logInfo(`  Forwarder: ${info.forwarder}`);
+      return info;
+    },
+  },
+  "add-funds": {
+    usage: "add-funds <amountJuels>",
+    description: "Fund the upkeep with LINK via transferAndCall to the registry",
+    run: async (ctx, amount) => {
+      const value = parseUint(amount, UINT96_MAX, "Amount");
+      const link = new ethers.Contract(ctx.linkTokenAddress, LINK_ABI, ctx.wallet);
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [ctx.upkeepId]);
+      logInfo(`Adding ${ethers.formatUnits(value, 18)} LINK to upkeep ${ctx.upkeepId}`);
+      return (await sendAndWait("Add funds", link, "transferAndCall", [ctx.registryAddress, value, data])).hash;
+    },
+  },
+  "pause": {
+    usage: "pause",
+    description: "Pause the upkeep",
+    run: async (ctx) => (await sendAndWait("Pause", ctx.registry, "pauseUpkeep", [ctx.upkeepId])).hash,
+  },
+  "unpause": {
+    usage: "unpause",
+    description: "Unpause the upkeep",
+    run: async (ctx) => (await sendAndWait("Unpause", ctx.registry, "unpauseUpkeep", [ctx.upkeepId])).hash,
+  },
+  "set-gas-limit": {
+    usage: "set-gas-limit <gasLimit>",
+    description: "Set the gas limit for performUpkeep",
+    run: async (ctx, gasLimit) => (await sendAndWait(
+      "Set gas limit",
+      ctx.registry, "setUpkeepGasLimit", [ctx.upkeepId, parseUint(gasLimit, UINT32_MAX, "Gas limit")]
+    )).hash,
+  },
+  "set-check-data": {
+    usage: "set-check-data [hex]",
+    description: "Update checkData (defaults to AUTOMATION_CHECK_DATA / _TYPES / _VALUES)",
+    run: async (ctx, hex) => {
+      const checkData = encodeCheckData({
+        hex: hex || process.env.AUTOMATION_CHECK_DATA,
+        types: process.env.AUTOMATION_CHECK_DATA_TYPES,
+        values: process.env.AUTOMATION_CHECK_DATA_VALUES,
+      });
+      return (await sendAndWait("Set checkData", ctx.registry, "setUpkeepCheckData", [ctx.upkeepId, checkData])).hash;
+    },
+  },
+  "set-trigger-config": {
+    usage: "set-trigger-config",
+    description: "Update the log trigger config from AUTOMATION_LOG_* variables",
+    run: async (ctx) => {
+      const info = await getUpkeepInfo(ctx.provider, ctx.registryAddress, ctx.upkeepId);
+      const triggerConfig = encodeLogTriggerConfig({
+        contractAddress: process.env.AUTOMATION_LOG_EMITTER_ADDRESS || info.target,
+        eventSignature: process.env.AUTOMATION_LOG_EVENT_SIGNATURE,
+        topics: [
+          process.env.AUTOMATION_LOG_TOPIC1,
+          process.env.AUTOMATION_LOG_TOPIC2,
+          process.env.AUTOMATION_LOG_TOPIC3,
+        ],
+      });
+      return (await sendAndWait("Set trigger config", ctx.registry, "setUpkeepTriggerConfig", [ctx.upkeepId, triggerConfig])).hash;
+    },
+  },
+  "cancel": {
+    usage: "cancel",
+    description: "Cancel the upkeep; funds become withdrawable after the cancellation delay",
+    run: async (ctx) => (await sendAndWait("Cancel", ctx.registry, "cancelUpkeep", [ctx.upkeepId])).hash,
+  },
+  "withdraw": {
+    usage: "withdraw [to]",
+    description: "Withdraw the remaining LINK of a cancelled upkeep (defaults to the signer)",
+    run: async (ctx, to) => {
+      const recipient = to ? parseAddress(to, "Recipient") : ctx.wallet.address;
+      const info = await getUpkeepInfo(ctx.provider, ctx.registryAddress, ctx.upkeepId);
+      if (!info.cancelled) {
+        throw new Error(`Upkeep ${ctx.upkeepId} is not cancelled; run "cancel" first`);
+      }
+      const currentBlock = BigInt(await ctx.provider.getBlockNumber());
+      if (currentBlock < info.maxValidBlocknumber) {
+        throw new Error(
+          `Cancellation delay not over: withdrawable at block ${info.maxValidBlocknumber} ` +
+          `(${info.maxValidBlocknumber - currentBlock} blocks from now)`
+        );
+      }
+      logInfo(`Withdrawing ${ethers.formatUnits(info.balance, 18)} LINK to ${recipient}`);
+      return (await sendAndWait("Withdraw", ctx.registry, "withdrawFunds", [ctx.upkeepId, recipient])).hash;
+    },
+  },
+  "transfer-admin": {
+    usage: "transfer-admin <newAdmin>",
+    description: "Propose a new upkeep admin (the new admin must run accept-admin)",
+    run: async (ctx, newAdmin) => (await sendAndWait(
+      "Transfer admin",
+      ctx.registry, "transferUpkeepAdmin", [ctx.upkeepId, parseAddress(newAdmin, "New admin")]
+    )).hash,
+  },
+  "accept-admin": {
+    usage: "accept-admin",
+    description: "Accept a pending admin transfer as the proposed admin",
+    run: async (ctx) => (await sendAndWait("Accept admin", ctx.registry, "acceptUpkeepAdmin", [ctx.upkeepId])).hash,
+  },
+};
+
+/**
+ * Run an upkeep lifecycle command
+ * @param {string} command - Command name (see COMMANDS)
+ * @param {string[]} [args=[]] - Positional command arguments
+ * @param {Object} options - Upkeep context
+ * @param {string} options.upkeepId - Upkeep ID
+ * @param {string} options.registryAddress - Automation registry address
+ * @param {string} options.linkTokenAddress - LINK token address
+ * @param {string|function(): Promise<string>} [options.privateKey] - Private key of the upkeep admin, or a function resolving it
+ *   (called only for commands that send transactions)
+ * @param {string} options.rpcUrl - RPC endpoint URL
+ * @returns {Promise<string|Object>} Transaction hash, or upkeep info for "status"
+ */
+async function runUpkeepCommand(command, args = [], options) {
+  const spec = COMMANDS[command];
+  if (!spec) {
+    throw new Error(`Unknown upkeep command "${command}". Available: ${Object.keys(COMMANDS).join(", ")}`);
+  }
+  const { upkeepId, registryAddress, linkTokenAddress, privateKey, rpcUrl } = options;
+  if (!upkeepId) {
+    throw new Error("No upkeep ID: pass --upkeep-id or register an upkeep first");
+  }
+  if (!registryAddress) {
+    throw new Error("Registry address unknown; set AUTOMATION_REGISTRY_ADDRESS");
+  }
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const key = typeof privateKey === "function"
+    ? (command === "status" ? null : await privateKey())
+    : privateKey;
+  const wallet = key ? new ethers.Wallet(key, provider) : null;
+  if (!wallet && command !== "status") {
+    throw new Error("A signer is required to send upkeep transactions: set PRIVATE_KEY, FOUNDRY_ACCOUNT, KEYSTORE_PATH or MNEMONIC");
+  }
+
+  const ctx = {
+    provider,
+    wallet,
+    upkeepId: BigInt(upkeepId),
+    registryAddress,
+    linkTokenAddress,
+    registry: new ethers.Contract(registryAddress, REGISTRY_ABI, wallet || provider),
+  };
+  return spec.run(ctx, ...args);
+}
+
+module.exports = {
+  COMMANDS,
+  runUpkeepCommand,
+};
+
+
+if (require.main === module) {
+  // Load environment variables, from .env.<name> with --env <name>
+  const argv = setupEnvProfile(process.argv.slice(2));
+  loadEnvFile();
+  // Mask keys and secrets in everything the script prints
+  require("../helpers/redact").redactConsole();
+
+  // Level, format and run log file from --verbose, --quiet, --log-json and LOG_*
+  const args = setupLogging(argv);
+  const takeFlag = (flag) => {
+    const idx = args.indexOf(flag);
+    if (idx === -1) return undefined;
+    const [, value] = args.splice(idx, 2);
+    return value;
+  };
+  const upkeepIdFlag = takeFlag("--upkeep-id");
+  const registryFlag = takeFlag("--registry");
+  const [command, ...commandArgs] = args;
+
+  if (!command || command === "help" || command === "--help") {
+    printUsage("node deploy/automation/manageUpkeep.js <command> [args] [--upkeep-id <id>] [--registry <address>]", COMMANDS,
+      "The upkeep ID defaults to the deployment manifest, then AUTOMATION_UPKEEP_ID.");
+    process.exit(command ? 0 : 1);
+  }
+
+  // Resolved lazily so the module can be required without the Automation module
+  const automation = require("../modules/automation");
+  const { resolveNetwork } = require("../config/networks");
+  const { getPrivateKey } = require("../helpers/signer");
+  const { upkeepId, registryAddress } = automation.getUpkeepReference({
+    upkeepId: upkeepIdFlag,
+    registryAddress: registryFlag,
+  });
+
+  runUpkeepCommand(command, commandArgs, {
+    upkeepId,
+    registryAddress,
+    linkTokenAddress: resolveNetwork().linkTokenAddress,
+    privateKey: getPrivateKey,
+    rpcUrl: process.env.RPC_URL,
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logError(`Upkeep ${command} failed:`, error.shortMessage || error.message);
+      if (error.reason) logWarn(`Reason: ${error.reason}`);
+      process.exit(1);
+    });
+}
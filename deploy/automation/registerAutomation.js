@@ -1,45 +1,89 @@
-
 /**
  * Chainlink Automation Registration Script
- * Handles upkeep registration and forwarder address extraction
+ * Handles upkeep registration and forwarder discovery
  */
 
 const { ethers } = require("ethers");
 const axios = require("axios");
 const { logError, logInfo, logSuccess, logWarn } = require("../helpers/log");
-const { updateEnvFile, loadEnvFile, getEnvVar, generateUpkeepName } = require("../helpers/updateEnvFile");
+const { updateEnvFile, getEnvVar, generateUpkeepName, withEnv } = require("../helpers/updateEnvFile");
+const { resolveNetwork, getNetworkEnv } = require("../config/networks");
+const { runStep, scopedStep, recordStepProgress, getStepProgress } = require("../helpers/deploymentState");
+const { discoverForwarder, fetchRegistration } = require("./registry");
+const { getTriggerSettingsFromEnv } = require("./triggerConfig");
+const { getPrivateKey } = require("../helpers/signer");
+const { withRetry, sendTransactionWithRetry, ERROR_KINDS } = require("../helpers/retry");
+const { scaleGasLimit } = require("../helpers/fees");
+const { LINK_ABI } = require("../helpers/tx");
+
+/**
+ * Build the explorer API URL listing internal transactions of a tx
+ * on the selected network
+ * @param {string} txHash - Transaction hash
+ * @param {string} apiKey - Explorer API key
+ * @param {Object} [network] - Resolved network profile (defaults to resolveNetwork())
+ * @returns {string} Request URL
+ */
+function internalTxListUrl(txHash, apiKey, network = resolveNetwork()) {
+  return `${network.explorer.apiUrl}?chainid=${network.chainId}&module=account&action=txlistinternal&txhash=${txHash}&apikey=${apiKey}`;
+}
 
-// Load environment variables
-loadEnvFile();
+// Registrar `register(...)` selector and argument layout used by onTokenTransfer
+const REGISTER_SELECTOR = "0x856853e6";
+const REGISTER_FIELDS = [
+  ["name", "string"],
+  ["encryptedEmail", "bytes"],
+  ["upkeepContract", "address"],
+  ["gasLimit", "uint32"],
+  ["adminAddress", "address"],
+  ["triggerType", "uint8"],
+  ["checkData", "bytes"],
+  ["triggerConfig", "bytes"],
+  ["offchainConfig", "bytes"],
+  ["amount", "uint96"],
+  ["sender", "address"],
+];
 
 /**
- * Transfer LINK tokens and register upkeep via transferAndCall
- * @param {Object} params - Registration parameters
- * @param {string} params.LINK_TOKEN_ADDRESS - LINK token contract address
- * @param {string} params.REGISTRAR - Automation registrar address
- * @param {string} params.LINK_AMOUNT - Amount of LINK to transfer
- * @param {string} params.PRIVATE_KEY - Private key for signing
- * @param {string} params.RPC_URL - RPC endpoint URL
- * @param {string} params.UPKEEP_NAME - Name for the upkeep
- * @param {string} params.CONTRACT_ADDRESS - Contract to register for automation
- * @param {string} params.GAS_LIMIT - Gas limit for upkeep execution
- * @param {string} params.ADMIN - Admin address for the upkeep
- * @param {string} params.TRIGGER_TYPE - Type of trigger (0=custom, 1=time-based)
- * @returns {Promise<string>} Transaction hash
+ * Read upkeep registration parameters from the environment
+ * @param {string} [contractAddress] - Contract to register (defaults to CONTRACT_ADDRESS)
+ * @returns {Object} Parameters accepted by transferAndRegisterUpkeep
  */
-async function transferAndRegisterUpkeep({
+function getRegistrationParams(contractAddress = process.env.CONTRACT_ADDRESS) {
+  const triggerType = process.env.AUTOMATION_TRIGGER_TYPE;
+  const { triggerConfig, checkData } = getTriggerSettingsFromEnv(triggerType, contractAddress);
+  return {
+    LINK_TOKEN_ADDRESS: process.env.LINK_TOKEN_ADDRESS,
+    REGISTRAR: process.env.AUTOMATION_REGISTRAR_ADDRESS,
+    LINK_AMOUNT: process.env.AUTOMATION_LINK_AMOUNT,
+    RPC_URL: process.env.RPC_URL,
+    UPKEEP_NAME: process.env.AUTOMATION_UPKEEP_NAME || generateUpkeepName(),
+    CONTRACT_ADDRESS: contractAddress,
+    GAS_LIMIT: process.env.AUTOMATION_GAS_LIMIT,
+    ADMIN: process.env.ADMIN_ADDRESS,
+    TRIGGER_TYPE: triggerType,
+    TRIGGER_CONFIG: triggerConfig,
+    CHECK_DATA: checkData,
+  };
+}
+
+/**
+ * Encode the LINK transferAndCall transaction that registers and funds an upkeep
+ * @param {Object} params - Registration parameters (see transferAndRegisterUpkeep)
+ * @returns {{paramsStruct: Object, registerData: string, to: string, data: string}} Encoded call
+ */
+function encodeRegistration({
   LINK_TOKEN_ADDRESS,
   REGISTRAR,
   LINK_AMOUNT,
-  PRIVATE_KEY,
-  RPC_URL,
   UPKEEP_NAME,
   CONTRACT_ADDRESS,
   GAS_LIMIT,
   ADMIN,
   TRIGGER_TYPE,
+  TRIGGER_CONFIG = "0x",
+  CHECK_DATA = "0x",
 }) {
-  logInfo("==== Registering and Funding Upkeep via transferAndCall ====");
   const paramsStruct = {
     name: UPKEEP_NAME,
     encryptedEmail: "0x",
@@ -47,42 +91,73 @@ async function transferAndRegisterUpkeep({
     gasLimit: GAS_LIMIT,
     adminAddress: ADMIN,
     triggerType: TRIGGER_TYPE,
-    checkData: "0x",
-    triggerConfig: "0x",
+    checkData: CHECK_DATA,
+    triggerConfig: TRIGGER_CONFIG,
     offchainConfig: "0x",
     amount: LINK_AMOUNT,
     sender: ADMIN,
   };
-  const structTypes = [
-    "string", "bytes", "address", "uint32", "address", "uint8", "bytes", "bytes", "bytes", "uint96", "address"
-  ];
-  const structValues = Object.values(paramsStruct);
+  const structTypes = REGISTER_FIELDS.map(([, type]) => type);
+  const structValues = REGISTER_FIELDS.map(([name]) => paramsStruct[name]);
   const abiCoder = ethers.AbiCoder.defaultAbiCoder();
   const encodedStruct = abiCoder.encode(structTypes, structValues);
-  const functionSelector = "0x856853e6";
-  const encoded = functionSelector + encodedStruct.slice(2);
-  logInfo("Encoded registerUpkeep data:", encoded);
-  const linkIface = new ethers.Interface(["function transferAndCall(address,uint256,bytes)"]);
-  const data = linkIface.encodeFunctionData("transferAndCall", [REGISTRAR, LINK_AMOUNT, encoded]);
-  const provider = new ethers.JsonRpcProvider(RPC_URL);
-  const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-  const tx = { to: LINK_TOKEN_ADDRESS, data, value: 0 };
-  try {
-    const sentTx = await wallet.sendTransaction(tx);
-    logSuccess("Transaction sent! Hash:", sentTx.hash);
-    const receipt = await sentTx.wait();
-    logSuccess("Transaction confirmed! Block:", receipt.blockNumber);
-    return sentTx.hash;
-  } catch (error) {
-    logError("transferAndCall failed:", error);
-    return null;
+  const registerData = REGISTER_SELECTOR + encodedStruct.slice(2);
+  const linkIface = new ethers.Interface(LINK_ABI);
+  const data = linkIface.encodeFunctionData("transferAndCall", [REGISTRAR, LINK_AMOUNT, registerData]);
+  return { paramsStruct, registerData, to: LINK_TOKEN_ADDRESS, data };
+}
+
+/**
+ * Decode registrar `register(...)` calldata back into named fields
+ * @param {string} registerData - Calldata produced by encodeRegistration
+ * @returns {Object} Registration fields keyed by name
+ */
+function decodeRegistration(registerData) {
+  if (!registerData.startsWith(REGISTER_SELECTOR)) {
+    throw new Error(`Unexpected register selector: ${registerData.slice(0, 10)}`);
   }
+  const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+  const values = abiCoder.decode(REGISTER_FIELDS.map(([, type]) => type), "0x" + registerData.slice(10));
+  return Object.fromEntries(REGISTER_FIELDS.map(([name], i) => [name, values[i]]));
+}
+
+/**
+ * Transfer LINK tokens and register upkeep via transferAndCall
+ * @param {Object} params - Registration parameters
+ * @param {string} params.LINK_TOKEN_ADDRESS - LINK token contract address
+ * @param {string} params.REGISTRAR - Automation registrar address
+ * @param {string} params.LINK_AMOUNT - Amount of LINK to transfer
+ * @param {string} params.RPC_URL - RPC endpoint URL
+ * @param {string} params.UPKEEP_NAME - Name for the upkeep
+ * @param {string} params.CONTRACT_ADDRESS - Contract to register for automation
+ * @param {string} params.GAS_LIMIT - Gas limit for upkeep execution
+ * @param {string} params.ADMIN - Admin address for the upkeep
+ * @param {string} params.TRIGGER_TYPE - Type of trigger (0=custom logic, 1=log trigger)
+ * @param {string} [params.TRIGGER_CONFIG="0x"] - Encoded LogTriggerConfig for log triggers
+ * @param {string} [params.CHECK_DATA="0x"] - checkData passed to checkUpkeep for custom logic
+ * @param {Object} [options] - Sending options, see sendTransactionWithRetry
+ * @param {function(string[]): void} [options.onSent] - Called with the hashes sent so far after each broadcast
+ * @param {string[]} [options.previousHashes] - Hashes an interrupted earlier run sent, awaited instead of paying again
+ * @returns {Promise<string>} Transaction hash
+ * @throws {Error} If the transaction fails or reverts, e.g. for insufficient LINK
+ */
+async function transferAndRegisterUpkeep(params, { onSent, previousHashes } = {}) {
+  logInfo("==== Registering and Funding Upkeep via transferAndCall ====");
+  const { registerData, to, data } = encodeRegistration(params);
+  logInfo("Encoded registerUpkeep data:", registerData);
+  const provider = new ethers.JsonRpcProvider(params.RPC_URL);
+  const wallet = new ethers.Wallet(await getPrivateKey(), provider);
+  const tx = { to, data, value: 0 };
+  // Failures propagate with their classification, so a revert is not mistaken for a transient error
+  const receipt = await sendTransactionWithRetry(wallet, tx, { label: "transferAndCall", onSent, previousHashes });
+  logSuccess("Transaction sent! Hash:", receipt.hash);
+  logSuccess("Transaction confirmed! Block:", receipt.blockNumber);
+  return receipt.hash;
 }
 
 
 async function signAutomationMessage(walletAddress, registrarAddress, registrationHash) {
-  const PRIVATE_KEY = process.env.PRIVATE_KEY;
-  const wallet = new ethers.Wallet(PRIVATE_KEY);
+  const wallet = new ethers.Wallet(await getPrivateKey());
   const message = `Welcome to Chainlink Automation!\nWe require a signature in order to ensure you are the owner of the upkeep.\n\nWallet address:\n${walletAddress}\nRegistrar address:\n${registrarAddress}\nUpkeep registration hash:\n${registrationHash}`;
   const signature = await wallet.signMessage(message);
   logInfo("Signature for Chainlink Automation registration:");
@@ -103,14 +178,17 @@ async function setForwarderAddress(contractAddress, forwarderAddress, privateKey
       "event ForwarderAddressUpdated(address indexed oldForwarder, address indexed newForwarder)",
     ];
     const contract = new ethers.Contract(contractAddress, contractABI, wallet);
-    const gasEstimate = await contract.setForwarderAddress.estimateGas(forwarderAddress);
+    const gasEstimate = await withRetry(() => contract.setForwarderAddress.estimateGas(forwarderAddress), {
+      label: "setForwarderAddress gas estimate",
+      retryOn: [ERROR_KINDS.TRANSIENT],
+    });
     logInfo(`Gas estimate: ${gasEstimate.toString()}`);
-    const tx = await contract.setForwarderAddress(forwarderAddress, {
-      gasLimit: (gasEstimate * 120n) / 100n,
+    const txRequest = await contract.setForwarderAddress.populateTransaction(forwarderAddress, {
+      gasLimit: scaleGasLimit(gasEstimate),
     });
-    logSuccess(`Transaction sent! Hash: ${tx.hash}`);
     logInfo(`Waiting for confirmation...`);
-    const receipt = await tx.wait();
+    const receipt = await sendTransactionWithRetry(wallet, txRequest, { label: "setForwarderAddress" });
+    logSuccess(`Transaction sent! Hash: ${receipt.hash}`);
     logSuccess(`Transaction confirmed! Block: ${receipt.blockNumber}`);
     const eventFilter = contract.filters.ForwarderAddressUpdated();
     const events = await contract.queryFilter(eventFilter, receipt.blockNumber, receipt.blockNumber);
@@ -120,7 +198,7 @@ async function setForwarderAddress(contractAddress, forwarderAddress, privateKey
       logInfo(`  Old forwarder: ${event.args.oldForwarder}`);
       logInfo(`  New forwarder: ${event.args.newForwarder}`);
     }
-    return tx.hash;
+    return receipt.hash;
   } catch (error) {
     logError(`Error setting forwarder address:`, error.message);
     if (error.reason) logError(`Reason: ${error.reason}`);
@@ -129,69 +207,87 @@ async function setForwarderAddress(contractAddress, forwarderAddress, privateKey
 }
 
 
-async function saveForwarderFromTx(txHash, envVarName = "AUTOMATION_FORWARDER_ADDRESS") {
+/**
+ * Find the forwarder created by a registration via the explorer's
+ * internal-transaction API. Only used as a fallback to on-chain discovery.
+ * @param {string} txHash - Registration transaction hash
+ * @param {Object} [network] - Resolved network profile (defaults to resolveNetwork())
+ * @returns {Promise<string>} Forwarder address
+ */
+async function fetchForwarderFromExplorer(txHash, network) {
   const apiKey = process.env.ETHERSCAN_API_KEY;
   if (!apiKey) {
-    logError("ETHERSCAN_API_KEY not set in .env");
-    process.exit(1);
+    throw new Error("ETHERSCAN_API_KEY not set in .env");
   }
-  const url = `https://api.etherscan.io/v2/api?chainid=421614&module=account&action=txlistinternal&txhash=${txHash}&apikey=${apiKey}`;
-  try {
-    const resp = await axios.get(url);
-    if (resp.data.status !== "1") {
-      logError("API error:", resp.data.message);
-      process.exit(1);
-    }
-    if (!resp.data.result || resp.data.result.length === 0) {
-      logError("No contract creation found in transaction receipt.");
-      process.exit(1);
+  const url = internalTxListUrl(txHash, apiKey, network);
+  const resp = await withRetry(async () => {
+    let response;
+    try {
+      response = await axios.get(url);
+    } catch (err) {
+      err.message = `Error fetching from Etherscan API: ${err.message}`;
+      throw err;
     }
-    const contractCreation = resp.data.result.find(tx => tx.type === "create");
-    if (!contractCreation || !contractCreation.contractAddress) {
-      logError("No contract creation found in transaction receipt.");
-      process.exit(1);
+    // Rate limits come back as status "0" with the reason in result
+    if (response.data.status !== "1") {
+      throw new Error(`API error: ${response.data.message}${typeof response.data.result === "string" ? ` (${response.data.result})` : ""}`);
     }
-    const contractAddress = contractCreation.contractAddress;
-    updateEnvFile(envVarName, contractAddress);
-    logSuccess(`Saved ${envVarName}=${contractAddress} to .env`);
-    return contractAddress;
-  } catch (err) {
-    logError("Error fetching from Etherscan API:", err.message);
-    process.exit(1);
+    return response;
+  }, { label: "Etherscan txlistinternal", retryOn: [ERROR_KINDS.TRANSIENT] });
+  const contractCreation = (resp.data.result || []).find(tx => tx.type === "create");
+  if (!contractCreation || !contractCreation.contractAddress) {
+    throw new Error("No contract creation found in internal transactions.");
+  }
+  return contractCreation.contractAddress;
+}
+
+
+/**
+ * Find the upkeep ID and forwarder created by a registration transaction.
+ * Decodes the receipt logs and queries the registry over RPC; the explorer
+ * API is tried only if that fails and ETHERSCAN_API_KEY is set.
+ * @param {string} txHash - Registration transaction hash
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.rpcUrl] - RPC endpoint URL (defaults to RPC_URL)
+ * @param {Object} [options.network] - Resolved network profile, for the registry and explorer (defaults to the environment)
+ * @returns {Promise<{forwarderAddress: string, upkeepId: bigint|null}>} Forwarder and upkeep ID
+ */
+async function findForwarder(txHash, { rpcUrl = process.env.RPC_URL, network } = {}) {
+  try {
+    const { forwarderAddress, upkeepId } = await withRetry(() => discoverForwarder(txHash, {
+      rpcUrl,
+      registryAddress: network ? network.automation.registryAddress : process.env.AUTOMATION_REGISTRY_ADDRESS,
+    }), { label: "Forwarder discovery", retryOn: [ERROR_KINDS.TRANSIENT] });
+    logSuccess(`Found forwarder address ${forwarderAddress} for upkeep ${upkeepId}`);
+    return { forwarderAddress, upkeepId };
+  } catch (error) {
+    if (!process.env.ETHERSCAN_API_KEY) throw error;
+    logWarn(`On-chain forwarder discovery failed (${error.message}); falling back to explorer API`);
+    const forwarderAddress = await fetchForwarderFromExplorer(txHash, network);
+    logSuccess(`Found forwarder address: ${forwarderAddress}`);
+    return { forwarderAddress, upkeepId: null };
   }
 }
 
 
+async function saveForwarderFromTx(txHash, envVarName = "AUTOMATION_FORWARDER_ADDRESS") {
+  const { forwarderAddress } = await findForwarder(txHash);
+  updateEnvFile(envVarName, forwarderAddress);
+  logSuccess(`Saved ${envVarName}=${forwarderAddress} to .env`);
+  return forwarderAddress;
+}
+
+
 async function fetchForwarderFromSpecificTx(txHash, envVarName = "AUTOMATION_FORWARDER_ADDRESS") {
-  const apiKey = process.env.ETHERSCAN_API_KEY;
-  const url = `https://api.etherscan.io/v2/api?chainid=421614&module=account&action=txlistinternal&txhash=${txHash}&apikey=${apiKey}`;
   try {
     logInfo(`Fetching forwarder address for tx: ${txHash}`);
-    const resp = await axios.get(url);
-    if (resp.data.status !== "1") {
-      logError("API error:", resp.data.message);
-      return null;
-    }
-    if (!resp.data.result || resp.data.result.length === 0) {
-      logError("No internal transactions found for this transaction hash.");
-      return null;
-    }
-    const contractCreation = resp.data.result.find(tx => tx.type === "create");
-    if (!contractCreation || !contractCreation.contractAddress) {
-      logError("No contract creation found in internal transactions.");
-      return null;
-    }
-    const forwarderAddress = contractCreation.contractAddress;
-    logSuccess(`Found forwarder address: ${forwarderAddress}`);
-    updateEnvFile(envVarName, forwarderAddress);
-    logSuccess(`Saved ${envVarName}=${forwarderAddress} to .env`);
+    const forwarderAddress = await saveForwarderFromTx(txHash, envVarName);
     const contractAddress = process.env.CONTRACT_ADDRESS;
-    const privateKey = process.env.PRIVATE_KEY;
     const rpcUrl = process.env.RPC_URL;
-    if (contractAddress && privateKey && rpcUrl) {
+    if (contractAddress && rpcUrl) {
       try {
         logInfo(`==== Setting Forwarder Address in Contract ====`);
-        const setTxHash = await setForwarderAddress(contractAddress, forwarderAddress, privateKey, rpcUrl);
+        const setTxHash = await setForwarderAddress(contractAddress, forwarderAddress, await getPrivateKey(), rpcUrl);
         logSuccess(`Forwarder address set in contract! Transaction: ${setTxHash}`);
       } catch (error) {
         logError(`Failed to set forwarder address in contract:`, error.message);
@@ -199,7 +295,6 @@ async function fetchForwarderFromSpecificTx(txHash, envVarName = "AUTOMATION_FOR
     } else {
       logWarn(`Missing required environment variables for setting forwarder address:`);
       logWarn(`  CONTRACT_ADDRESS: ${contractAddress ? "✓" : "✗"}`);
-      logWarn(`  PRIVATE_KEY: ${privateKey ? "✓" : "✗"}`);
       logWarn(`  RPC_URL: ${rpcUrl ? "✓" : "✗"}`);
     }
     return forwarderAddress;
@@ -210,84 +305,122 @@ async function fetchForwarderFromSpecificTx(txHash, envVarName = "AUTOMATION_FOR
 }
 
 
-// Main logic flow
-async function main() {
-  const {
-    PRIVATE_KEY,
-    RPC_URL,
-    CONTRACT_ADDRESS,
-    ADMIN_ADDRESS,
-    LINK_TOKEN_ADDRESS,
-  } = process.env;
-  const UPKEEP_CONTRACT = CONTRACT_ADDRESS;
-  const LINK_AMOUNT = process.env.AUTOMATION_LINK_AMOUNT;
-  const GAS_LIMIT = process.env.AUTOMATION_GAS_LIMIT;
-  const ADMIN = ADMIN_ADDRESS;
-  const REGISTRAR = process.env.AUTOMATION_REGISTRAR_ADDRESS;
-  const UPKEEP_NAME = process.env.AUTOMATION_UPKEEP_NAME || generateUpkeepName();
-  const TRIGGER_TYPE = process.env.AUTOMATION_TRIGGER_TYPE;
+/**
+ * Register and fund an upkeep for a contract, find the forwarder the
+ * registration created and set it in the contract.
+ * Each step is recorded in the deployment manifest; with resume, completed
+ * steps are skipped so a failed forwarder update does not re-register the upkeep.
+ * A pipeline passes a scope so each contract's upkeep gets its own steps.
+ * @param {Object} [options] - Registration options
+ * @param {string} [options.contractAddress] - Contract to register (defaults to CONTRACT_ADDRESS)
+ * @param {boolean} [options.resume=false] - Skip steps already completed in the manifest
+ * @param {string} [options.scope] - Pipeline contract name; steps are recorded as e.g. "automation.register:<scope>"
+ * @param {Object<string, string>} [options.env] - Settings such as AUTOMATION_GAS_LIMIT, taking precedence over process.env
+ * @param {Object} [options.network] - Resolved network profile (defaults to resolveNetwork())
+ * @param {EventEmitter} [options.emitter] - Receives the manifest step events
+ * @returns {Promise<{upkeepId: string|null, registryAddress: string, registrationTxHash: string, upkeepName: string,
+ *   forwarderAddress: string, setForwarderTxHash: string}>} The registered upkeep
+ * @throws {Error} If a step fails
+ */
+async function registerUpkeep({ contractAddress, resume = false, scope, env = {}, network = resolveNetwork(), emitter } = {}) {
+  // The registrar, LINK token and registry follow the given network, not whatever .env selected
+  const params = withEnv({ ...getNetworkEnv(network), ...env }, () => getRegistrationParams(contractAddress));
+  const { RPC_URL, REGISTRAR, ADMIN, UPKEEP_NAME } = params;
+  const UPKEEP_CONTRACT = params.CONTRACT_ADDRESS;
+  const { chainId } = network;
+  const stepOptions = { resume, emitter };
 
-  logInfo(`Using upkeep name: ${UPKEEP_NAME}`);
-  const txHash = await transferAndRegisterUpkeep({
-    LINK_TOKEN_ADDRESS,
-    REGISTRAR,
-    LINK_AMOUNT,
-    PRIVATE_KEY,
-    RPC_URL,
-    UPKEEP_NAME,
-    CONTRACT_ADDRESS: UPKEEP_CONTRACT,
-    GAS_LIMIT,
-    ADMIN,
-    TRIGGER_TYPE,
-  });
-  if (!txHash) process.exit(1);
-  await signAutomationMessage(ADMIN, REGISTRAR, txHash);
-  const forwarder = await saveForwarderFromTx(txHash, "AUTOMATION_FORWARDER_ADDRESS");
-  if (forwarder) {
-    console.log(`\n✅ Forwarder address saved: ${forwarder}`);
-    try {
-      console.log(`\n==== Setting Forwarder Address in Contract ====`);
-      const setTxHash = await setForwarderAddress(UPKEEP_CONTRACT, forwarder, PRIVATE_KEY, RPC_URL);
-      console.log(`✅ Forwarder address set in contract! Transaction: ${setTxHash}`);
-    } catch (error) {
-      console.error(`❌ Failed to set forwarder address in contract:`, error.message);
+  // The step paying LINK does nothing else, so once it completes its hash is recorded and
+  // nothing after it can send a second transferAndCall. Its broadcast hashes are saved as
+  // they are sent, so a run interrupted before the receipt waits for them when resumed.
+  const registerStep = scopedStep("automation.register", scope);
+  const registration = await runStep(chainId, registerStep, async () => {
+    logInfo(`Using upkeep name: ${UPKEEP_NAME}`);
+    const progress = resume ? getStepProgress(chainId, registerStep) : null;
+    const txHash = await transferAndRegisterUpkeep(params, {
+      previousHashes: progress ? progress.txHashes : [],
+      onSent: (txHashes) => recordStepProgress(chainId, registerStep, { txHashes }),
+    });
+    return { txHash, upkeepContract: UPKEEP_CONTRACT, upkeepName: UPKEEP_NAME };
+  }, stepOptions);
+
+  const upkeep = await runStep(chainId, scopedStep("automation.upkeep", scope), async () => {
+    await signAutomationMessage(ADMIN, REGISTRAR, registration.txHash);
+    // LINK is spent at this point, so a pending approval must not fail the step
+    const { upkeepId, registryAddress } = await withRetry(
+      () => fetchRegistration(new ethers.JsonRpcProvider(RPC_URL), registration.txHash),
+      { label: "Registration receipt", retryOn: [ERROR_KINDS.TRANSIENT] }
+    );
+    if (upkeepId !== null) {
+      logSuccess(`Upkeep registered with ID: ${upkeepId}`);
+      updateEnvFile("AUTOMATION_UPKEEP_ID", upkeepId.toString());
+    } else {
+      logWarn("Registration is pending approval; no upkeep ID assigned yet");
     }
-  } else {
-    logWarn("Could not fetch forwarder address from tx hash.");
-  }
+    return { upkeepId: upkeepId === null ? null : upkeepId.toString(), registryAddress };
+  }, stepOptions);
+
+  const forwarder = await runStep(chainId, scopedStep("automation.forwarder", scope), async () => {
+    const { forwarderAddress, upkeepId } = await findForwarder(registration.txHash, { rpcUrl: RPC_URL, network });
+    updateEnvFile("AUTOMATION_FORWARDER_ADDRESS", forwarderAddress);
+    if (upkeepId !== null && !upkeep.upkeepId) {
+      updateEnvFile("AUTOMATION_UPKEEP_ID", upkeepId.toString());
+    }
+    return {
+      forwarderAddress,
+      upkeepId: upkeepId === null ? upkeep.upkeepId : upkeepId.toString(),
+    };
+  }, stepOptions);
+  const { forwarderAddress } = forwarder;
+  logSuccess(`Forwarder address saved: ${forwarderAddress}`);
+
+  logInfo("==== Setting Forwarder Address in Contract ====");
+  const { txHash: setForwarderTxHash } = await runStep(chainId, scopedStep("automation.setForwarder", scope), async () => ({
+    txHash: await setForwarderAddress(UPKEEP_CONTRACT, forwarderAddress, await getPrivateKey(), RPC_URL),
+    forwarderAddress,
+  }), stepOptions);
+  logSuccess(`Forwarder address set in contract! Transaction: ${setForwarderTxHash}`);
+
+  return {
+    upkeepId: upkeep.upkeepId || forwarder.upkeepId || null,
+    registryAddress: upkeep.registryAddress,
+    registrationTxHash: registration.txHash,
+    upkeepName: registration.upkeepName,
+    forwarderAddress,
+    setForwarderTxHash,
+  };
 }
 
 
-// Parse command-line arguments for forwarder fetch mode
-const args = process.argv.slice(2);
-const forwarderIdx = args.indexOf("--forwarder-tx");
-const specificForwarderIdx = args.indexOf("--fetch-forwarder");
-const setForwarderIdx = args.indexOf("--set-forwarder");
+module.exports = {
+  getRegistrationParams,
+  encodeRegistration,
+  decodeRegistration,
+  transferAndRegisterUpkeep,
+  signAutomationMessage,
+  setForwarderAddress,
+  findForwarder,
+  saveForwarderFromTx,
+  fetchForwarderFromSpecificTx,
+  registerUpkeep,
+};
+
+
+// Only run the CLI when executed directly, so requiring the module has no side effects
+if (require.main === module) {
+  // The legacy flags map onto the subcommands of deploy/cli.js, which loads .env and validates them
+  const args = process.argv.slice(2);
+  const legacy = [
+    ["--forwarder-tx", (value) => ["automation", "fetch-forwarder", "--tx", value, "--save-only"]],
+    ["--fetch-forwarder", (value) => ["automation", "fetch-forwarder", "--tx", value]],
+    ["--set-forwarder", (value) => ["automation", "set-forwarder", "--forwarder", value]],
+  ].find(([flag]) => args.includes(flag));
 
-if (forwarderIdx !== -1 && args[forwarderIdx + 1]) {
-  const txHash = args[forwarderIdx + 1];
-  saveForwarderFromTx(txHash).then(() => process.exit(0));
-} else if (specificForwarderIdx !== -1 && args[specificForwarderIdx + 1]) {
-  const txHash = args[specificForwarderIdx + 1];
-  fetchForwarderFromSpecificTx(txHash).then(() => process.exit(0));
-} else if (setForwarderIdx !== -1 && args[setForwarderIdx + 1]) {
-  const forwarderAddress = args[setForwarderIdx + 1];
-  const contractAddress = process.env.CONTRACT_ADDRESS;
-  const privateKey = process.env.PRIVATE_KEY;
-  const rpcUrl = process.env.RPC_URL;
-  if (!contractAddress || !privateKey || !rpcUrl) {
-    logError("Missing required environment variables: CONTRACT_ADDRESS, PRIVATE_KEY, RPC_URL");
-    process.exit(1);
+  if (legacy) {
+    const [flag, toCommand] = legacy;
+    const idx = args.indexOf(flag);
+    require("../cli").run([...toCommand(args[idx + 1]), ...args.filter((arg, i) => i !== idx && i !== idx + 1)]);
+  } else {
+    require("../cli").run(["automation", "register", ...args]);
   }
-  setForwarderAddress(contractAddress, forwarderAddress, privateKey, rpcUrl)
-    .then((txHash) => {
-      logSuccess(`Forwarder address set! Transaction: ${txHash}`);
-      process.exit(0);
-    })
-    .catch((error) => {
-      logError("Failed to set forwarder address:", error.message);
-      process.exit(1);
-    });
-} else {
-  main();
 }
@@ -0,0 +1,164 @@
+/**
+ * Chainlink Automation Registry Helpers
+ * Reads upkeep registrations and forwarders directly from the chain
+ */
+
+const { ethers } = require("ethers");
+
+const REGISTRY_ABI = [
+  "event UpkeepRegistered(uint256 indexed id, uint32 performGas, address admin)",
+  "function getForwarder(uint256 upkeepID) view returns (address)",
+  "function getUpkeep(uint256 id) view returns (tuple(address target, uint32 performGas, bytes checkData, uint96 balance, address admin, uint64 maxValidBlocknumber, uint32 lastPerformedBlockNumber, uint96 amountSpent, bool paused, bytes offchainConfig) upkeepInfo)",
+  "function pauseUpkeep(uint256 id)",
+  "function unpauseUpkeep(uint256 id)",
+  "function setUpkeepGasLimit(uint256 id, uint32 gasLimit)",
+  "function setUpkeepCheckData(uint256 id, bytes newCheckData)",
+  "function setUpkeepTriggerConfig(uint256 id, bytes triggerConfig)",
+  "function cancelUpkeep(uint256 id)",
+  "function withdrawFunds(uint256 id, address to)",
+  "function transferUpkeepAdmin(uint256 id, address proposed)",
+  "function acceptUpkeepAdmin(uint256 id)",
+];
+
+// maxValidBlocknumber of an upkeep that has not been cancelled: registry v2.1 sets it to
+// type(uint32).max on creation, although the field is a uint64
+const UINT32_MAX = (1n << 32n) - 1n;
+
+const REGISTRAR_ABI = [
+  "event RegistrationRequested(bytes32 indexed hash, string name, bytes encryptedEmail, address indexed upkeepContract, uint32 gasLimit, address adminAddress, uint8 triggerType, bytes triggerConfig, bytes offchainConfig, bytes checkData, uint96 amount)",
+  "event RegistrationApproved(bytes32 indexed hash, string displayName, uint256 indexed upkeepId)",
+];
+
+const registryIface = new ethers.Interface(REGISTRY_ABI);
+const registrarIface = new ethers.Interface(REGISTRAR_ABI);
+
+/**
+ * Decode the registrar and registry events of a registration receipt
+ * @param {Object} receipt - Receipt of the LINK transferAndCall transaction
+ * @returns {{upkeepId: bigint|null, registryAddress: string|null, registrationHash: string|null}} Registration details
+ */
+function parseRegistrationReceipt(receipt) {
+  const result = { upkeepId: null, registryAddress: null, registrationHash: null };
+
+  for (const log of receipt.logs) {
+    let parsed = null;
+    try {
+      parsed = registryIface.parseLog(log) || registrarIface.parseLog(log);
+    } catch (error) {
+      continue;
+    }
+    if (!parsed) continue;
+
+    if (parsed.name === "UpkeepRegistered") {
+      result.upkeepId = parsed.args.id;
+      result.registryAddress = log.address;
+    } else if (parsed.name === "RegistrationApproved") {
+      result.upkeepId = result.upkeepId ?? parsed.args.upkeepId;
+      result.registrationHash = parsed.args.hash;
+    } else if (parsed.name === "RegistrationRequested") {
+      result.registrationHash = result.registrationHash ?? parsed.args.hash;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Fetch a registration receipt and decode its events
+ * @param {Object} provider - ethers provider
+ * @param {string} txHash - Registration (transferAndCall) transaction hash
+ * @returns {Promise<Object>} Registration details (see parseRegistrationReceipt)
+ * @throws {Error} If the receipt is not found
+ */
+async function fetchRegistration(provider, txHash) {
+  const receipt = await provider.getTransactionReceipt(txHash);
+  if (!receipt) {
+    throw new Error(`No receipt found for ${txHash}`);
+  }
+  return parseRegistrationReceipt(receipt);
+}
+
+/**
+ * Read an upkeep's on-chain state from the registry
+ * @param {Object} provider - ethers provider
+ * @param {string} registryAddress - Automation registry address
+ * @param {bigint|string} upkeepId - Upkeep ID
+ * @returns {Promise<Object>} Upkeep target, admin, balance, paused state and forwarder
+ */
+async function getUpkeepInfo(provider, registryAddress, upkeepId) {
+  const registry = new ethers.Contract(registryAddress, REGISTRY_ABI, provider);
+  const [info, forwarder] = await Promise.all([
+    registry.getUpkeep(upkeepId),
+    registry.getForwarder(upkeepId),
+  ]);
+  return {
+    upkeepId: BigInt(upkeepId),
+    target: info.target,
+    admin: info.admin,
+    performGas: info.performGas,
+    balance: info.balance,
+    amountSpent: info.amountSpent,
+    maxValidBlocknumber: info.maxValidBlocknumber,
+    cancelled: info.maxValidBlocknumber !== UINT32_MAX,
+    paused: info.paused,
+    checkData: info.checkData,
+    forwarder,
+  };
+}
+
+/**
+ * Query the registry for the forwarder of an upkeep
+ * @param {Object} provider - ethers provider
+ * @param {string} registryAddress - Automation registry address
+ * @param {bigint|string} upkeepId - Upkeep ID
+ * @returns {Promise<string>} Forwarder address
+ */
+async function getForwarder(provider, registryAddress, upkeepId) {
+  const registry = new ethers.Contract(registryAddress, REGISTRY_ABI, provider);
+  const forwarder = await registry.getForwarder(upkeepId);
+  if (forwarder === ethers.ZeroAddress) {
+    throw new Error(`Registry ${registryAddress} has no forwarder for upkeep ${upkeepId}`);
+  }
+  return forwarder;
+}
+
+/**
+ * Discover the upkeep ID and forwarder from a registration transaction,
+ * using only the RPC endpoint
+ * @param {string} txHash - Registration (transferAndCall) transaction hash
+ * @param {Object} options - Discovery options
+ * @param {string} options.rpcUrl - RPC endpoint URL
+ * @param {string} [options.registryAddress] - Registry to query if the receipt has no UpkeepRegistered event
+ * @returns {Promise<{upkeepId: bigint, registryAddress: string, forwarderAddress: string}>} Discovered addresses
+ * @throws {Error} If the receipt is missing or the upkeep is not registered yet
+ */
+async function discoverForwarder(txHash, { rpcUrl, registryAddress }) {
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const registration = await fetchRegistration(provider, txHash);
+  if (registration.upkeepId === null) {
+    throw new Error(
+      registration.registrationHash
+        ? `Registration ${registration.registrationHash} is pending approval; no upkeep was created yet`
+        : `No upkeep registration events found in ${txHash}`
+    );
+  }
+
+  const registry = registration.registryAddress || registryAddress;
+  if (!registry) {
+    throw new Error("Registry address unknown; set AUTOMATION_REGISTRY_ADDRESS");
+  }
+
+  const forwarderAddress = await getForwarder(provider, registry, registration.upkeepId);
+  return { upkeepId: registration.upkeepId, registryAddress: registry, forwarderAddress };
+}
+
+module.exports = {
+  REGISTRY_ABI,
+  REGISTRAR_ABI,
+  UINT32_MAX,
+  parseRegistrationReceipt,
+  fetchRegistration,
+  getUpkeepInfo,
+  getForwarder,
+  discoverForwarder,
+};
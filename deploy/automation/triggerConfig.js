@@ -0,0 +1,139 @@
+/**
+ * Chainlink Automation Trigger Encoding
+ * Builds the triggerConfig and checkData bytes sent with an upkeep registration
+ */
+
+const { ethers } = require("ethers");
+
+// Registrar trigger types
+const TRIGGER_TYPES = {
+  CONDITIONAL: 0,
+  LOG: 1,
+};
+
+// struct LogTriggerConfig { address contractAddress; uint8 filterSelector; bytes32 topic0..topic3; }
+const LOG_TRIGGER_CONFIG_TYPE = "tuple(address contractAddress, uint8 filterSelector, bytes32 topic0, bytes32 topic1, bytes32 topic2, bytes32 topic3)";
+
+/**
+ * Convert a topic filter value to bytes32.
+ * Accepts a 32-byte hex string, an address (left-padded) or a decimal integer.
+ * @param {string} value - Topic filter value
+ * @returns {string} bytes32 hex string
+ */
+function toTopic(value) {
+  const trimmed = String(value).trim();
+  if (ethers.isHexString(trimmed, 32)) return trimmed;
+  if (ethers.isAddress(trimmed)) return ethers.zeroPadValue(trimmed, 32);
+  if (/^\d+$/.test(trimmed)) return ethers.toBeHex(BigInt(trimmed), 32);
+  throw new Error(`Invalid log topic filter "${value}": expected bytes32 hex, address or integer`);
+}
+
+/**
+ * Encode a log trigger configuration
+ * @param {Object} config - Log trigger settings
+ * @param {string} config.contractAddress - Contract emitting the log
+ * @param {string} config.eventSignature - Event signature, e.g. "Transfer(address,address,uint256)", or its topic0 hash
+ * @param {Array<string|undefined>} [config.topics=[]] - Filters for topic1..topic3; empty entries match any value
+ * @returns {string} ABI-encoded LogTriggerConfig
+ */
+function encodeLogTriggerConfig({ contractAddress, eventSignature, topics = [] }) {
+  if (!ethers.isAddress(contractAddress)) {
+    throw new Error(`Invalid log emitter address: ${contractAddress}`);
+  }
+  if (!eventSignature) {
+    throw new Error("Log trigger requires an event signature");
+  }
+  if (topics.length > 3) {
+    throw new Error("Log trigger supports at most three topic filters");
+  }
+
+  const topic0 = ethers.isHexString(eventSignature, 32) ? eventSignature : ethers.id(eventSignature.replace(/\s+/g, ""));
+  let filterSelector = 0;
+  const filters = [0, 1, 2].map((i) => {
+    const value = topics[i];
+    if (value === undefined || value === null || value === "") return ethers.ZeroHash;
+    filterSelector |= 1 << i;
+    return toTopic(value);
+  });
+
+  return ethers.AbiCoder.defaultAbiCoder().encode(
+    [LOG_TRIGGER_CONFIG_TYPE],
+    [[contractAddress, filterSelector, topic0, ...filters]]
+  );
+}
+
+/**
+ * Encode a checkData payload, given either as raw hex or as ABI types and values
+ * @param {Object} input - checkData source
+ * @param {string} [input.hex] - Raw hex payload
+ * @param {string|string[]} [input.types] - ABI types, as an array, JSON array or comma-separated list
+ * @param {string|Array} [input.values] - Values matching the types, as an array or JSON array
+ * @returns {string} checkData bytes ("0x" when empty)
+ */
+function encodeCheckData({ hex, types, values } = {}) {
+  if (hex) {
+    if (!ethers.isHexString(hex)) {
+      throw new Error(`Invalid checkData hex: ${hex}`);
+    }
+    return hex;
+  }
+  if (!types) {
+    return "0x";
+  }
+
+  const typeList = Array.isArray(types)
+    ? types
+    : types.trim().startsWith("[") ? JSON.parse(types) : types.split(",").map(t => t.trim()).filter(Boolean);
+  let valueList = values;
+  if (typeof values === "string") {
+    try {
+      valueList = JSON.parse(values);
+    } catch (error) {
+      throw new Error(`checkData values must be a JSON array: ${error.message}`);
+    }
+  }
+  if (!Array.isArray(valueList) || valueList.length !== typeList.length) {
+    throw new Error(`checkData expects ${typeList.length} value(s) for types [${typeList.join(", ")}]`);
+  }
+
+  return ethers.AbiCoder.defaultAbiCoder().encode(typeList, valueList);
+}
+
+/**
+ * Build the triggerConfig and checkData for a registration from the environment
+ * @param {string|number} triggerType - Registrar trigger type (0 = conditional, 1 = log)
+ * @param {string} contractAddress - Upkeep contract, the default log emitter
+ * @returns {{triggerConfig: string, checkData: string}} Encoded trigger settings
+ */
+function getTriggerSettingsFromEnv(triggerType, contractAddress) {
+  if (Number(triggerType) === TRIGGER_TYPES.LOG) {
+    return {
+      triggerConfig: encodeLogTriggerConfig({
+        contractAddress: process.env.AUTOMATION_LOG_EMITTER_ADDRESS || contractAddress,
+        eventSignature: process.env.AUTOMATION_LOG_EVENT_SIGNATURE,
+        topics: [
+          process.env.AUTOMATION_LOG_TOPIC1,
+          process.env.AUTOMATION_LOG_TOPIC2,
+          process.env.AUTOMATION_LOG_TOPIC3,
+        ],
+      }),
+      checkData: "0x",
+    };
+  }
+
+  return {
+    triggerConfig: "0x",
+    checkData: encodeCheckData({
+      hex: process.env.AUTOMATION_CHECK_DATA,
+      types: process.env.AUTOMATION_CHECK_DATA_TYPES,
+      values: process.env.AUTOMATION_CHECK_DATA_VALUES,
+    }),
+  };
+}
+
+module.exports = {
+  TRIGGER_TYPES,
+  encodeLogTriggerConfig,
+  encodeCheckData,
+  getTriggerSettingsFromEnv,
+};
@@ -0,0 +1,428 @@
+/**
+ * Command line interface: node deploy/cli.js <command> [flags]
+ * Flags are validated and override their .env variables. With --json the logs go
+ * to stderr and stdout carries a single result object, for CI pipelines.
+ */
+
+const { redact, redactConsole } = require("./helpers/redact");
+const { loadEnvFile, getEnvVar, updateEnvFile } = require("./helpers/updateEnvFile");
+const { configureLogger, logError, logInfo, logSuccess } = require("./helpers/log");
+const { usageError, parseFlags, applyFlagEnv, resolveFlags, formatFlags } = require("./helpers/cliArgs");
+const { resolveNetwork } = require("./config/networks");
+const { VERIFIERS } = require("./helpers/verification");
+const { assertContractCapabilities } = require("./helpers/capabilities");
+const { getSignerAddress } = require("./helpers/signer");
+const { getCompletedStep, scopedStep } = require("./helpers/deploymentState");
+const { Deployer } = require("./modules/deployer");
+const functions = require("./modules/functions");
+const automation = require("./modules/automation");
+
+const CLI = "node deploy/cli.js";
+
+// Flags accepted by every command
+const GLOBAL_FLAGS = {
+    env: { flag: "--env", alias: "-e", type: "string", env: "ENV_PROFILE", description: "Environment profile: read and write .env.<name> instead of .env" },
+    network: { flag: "--network", alias: "-n", type: "string", env: "NETWORK", description: "Network profile, e.g. base-sepolia" },
+    rpcUrl: { flag: "--rpc-url", type: "url", env: "RPC_URL", description: "RPC endpoint URL" },
+    json: { flag: "--json", type: "boolean", description: "Print one JSON result object on stdout; logs go to stderr" },
+    verbose: { flag: "--verbose", alias: "-v", type: "boolean", description: "Log debug messages, including full command output" },
+    quiet: { flag: "--quiet", alias: "-q", type: "boolean", description: "Log warnings and errors only" },
+    logJson: { flag: "--log-json", type: "boolean", description: "Log JSON lines instead of text" },
+    help: { flag: "--help", alias: "-h", type: "boolean", description: "Show help" }
+};
+
+const CONTRACT_FLAG = {
+    flag: "--contract", type: "address", env: "CONTRACT_ADDRESS", required: true, description: "Contract address"
+};
+
+const CONTRACT_NAME_FLAG = {
+    flag: "--contract-name", type: "string", description: "Contract name, to check it against its forge ABI artifact instead of its bytecode"
+};
+
+const SUBSCRIPTION_FLAG = {
+    flag: "--subscription-id", type: "uint", env: "FUNCTIONS_SUBSCRIPTION_ID", required: true, description: "Functions subscription ID"
+};
+
+/**
+ * Describe the outcome of a verification step in one line
+ * @param {Object} verification - Result from Deployer.runVerification
+ * @returns {string} E.g. "Contracts verified on Arbiscan" or "Verification failed for DStock"
+ */
+function describeVerification(verification) {
+    if (verification.status === "skipped") return "Contract verification skipped";
+    if (verification.status === "verified") return `Contracts verified on ${verification.explorer}`;
+    const failed = Object.keys(verification.contracts || {}).filter(name => verification.contracts[name].status === "failed");
+    return `⚠️ Verification failed${failed.length > 0 ? ` for ${failed.join(", ")}` : `: ${verification.error}`}` +
+        ` (retry with \`${CLI} verify\`)`;
+}
+
+/**
+ * Print the outcome of the verify command
+ * @param {Object} result - Result from Deployer.verify
+ */
+function printVerification(result) {
+    for (const [name, contract] of Object.entries(result.contracts)) {
+        if (contract.status === "verified") logSuccess(`${name} at ${contract.address} is verified on ${result.explorer}`);
+        else logError(`${name} at ${contract.address} is not verified: ${contract.error}`);
+    }
+}
+
+/**
+ * Print the summary of a completed single-contract deployment
+ * @param {Object} result - Result from Deployer.deploy
+ */
+function printSummary(result) {
+    logSuccess("🚀 Full deployment pipeline completed successfully!");
+    logInfo(`📋 Summary:`);
+    logInfo(`   • Contract deployed: ${result.target ? `${result.target} at ` : ""}${result.contractAddress}`);
+    logInfo(`   • ${describeVerification(result.verification)}`);
+    if (result.explorer.url) {
+        logInfo(`   • Explorer: ${result.explorer.url}/address/${result.contractAddress}`);
+    }
+    if (result.functions) {
+        logInfo(`   • Chainlink Functions enabled`);
+        logInfo(`   • Added to Functions subscription: ${result.functions.subscriptionId}`);
+    }
+    if (result.automation) {
+        logInfo(`   • Chainlink Automation forwarder configured`);
+        logInfo(`   • Upkeep ID: ${result.automation.upkeepId || "pending approval"}`);
+    }
+
+    logInfo(`   • Environment file updated`);
+    logInfo(`   • Deployment manifest: ${result.manifestPath}`);
+}
+
+/**
+ * Print the summary of a completed pipeline
+ * @param {Object} result - Result from Deployer.deploy with a pipeline
+ */
+function printPipelineSummary({ pipeline, explorer, contracts, services, verification, manifestPath }) {
+    logSuccess("🚀 Pipeline completed successfully!");
+    logInfo(`📋 Summary (${pipeline}):`);
+    for (const [name, contract] of Object.entries(contracts)) {
+        logInfo(`   • ${name} at ${contract.address} (${contract.envVar})`);
+        if (explorer.url) {
+            logInfo(`     Explorer: ${explorer.url}/address/${contract.address}`);
+        }
+        const service = services[name] || {};
+        if (service.functions) {
+            logInfo(`     Chainlink Functions consumer on subscription ${service.functions.subscriptionId}`);
+        }
+        if (service.automation) {
+            logInfo(`     Chainlink Automation upkeep ${service.automation.upkeepId || "pending approval"}, forwarder ${service.automation.forwarderAddress || "unknown"}`);
+        }
+    }
+    for (const [script, outcome] of Object.entries(verification)) {
+        logInfo(`   • ${script}: ${describeVerification(outcome)}`);
+    }
+    logInfo(`   • Environment file updated`);
+    logInfo(`   • Deployment manifest: ${manifestPath}`);
+}
+
+/**
+ * Router and RPC settings for the Functions subscription commands
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {{routerAddress: string, subscriptionId: string, rpcUrl: string}} Consumer call config
+ */
+function consumerConfig(subscriptionId) {
+    return {
+        routerAddress: resolveNetwork().functions.routerAddress,
+        subscriptionId,
+        rpcUrl: getEnvVar("RPC_URL")
+    };
+}
+
+/**
+ * Check that a contract has the functions a Chainlink service calls, and that the
+ * signer may set its forwarder, before the service is attached
+ * @param {string} contractAddress - Contract address
+ * @param {string} [contractName] - Contract name, to read its forge ABI artifact
+ * @param {{functions?: boolean, automation?: boolean}} services - Service to check
+ * @returns {Promise<void>}
+ * @throws {Error} If the contract lacks a function or the signer cannot set the forwarder
+ */
+async function checkContract(contractAddress, contractName, services) {
+    await assertContractCapabilities({
+        contractAddress,
+        contractName,
+        services: { ...services, triggerType: getEnvVar("AUTOMATION_TRIGGER_TYPE", "0") },
+        signerAddress: await getSignerAddress(),
+        rpcUrl: getEnvVar("RPC_URL"),
+        forwarderProbe: resolveNetwork().automation.registryAddress
+    });
+}
+
+/**
+ * Commands, keyed by name. Each has a flag table, a run function returning the
+ * result object, and optionally a human-readable printer and a success check.
+ */
+const COMMANDS = {
+    "deploy": {
+        description: "Deploy the contract, or a pipeline, and set up the selected Chainlink services",
+        flags: {
+            functions: { flag: "--functions", alias: "-f", type: "boolean", description: "Add the contract as a Chainlink Functions consumer" },
+            automation: { flag: "--automation", alias: "-a", type: "boolean", description: "Register a Chainlink Automation upkeep" },
+            createSubscription: { flag: "--create-subscription", type: "boolean", description: "Create and fund a new Functions subscription first" },
+            simulate: { flag: "--simulate", type: "boolean", description: "Simulate the Functions source before deploying" },
+            dryRun: { flag: "--dry-run", type: "boolean", description: "Print the execution plan without broadcasting" },
+            resume: { flag: "--resume", type: "boolean", description: "Skip steps already completed in the deployment manifest" },
+            skipVerify: { flag: "--skip-verify", type: "boolean", description: "Do not verify the deployed contracts" },
+            script: { flag: "--script", type: "string", env: "SCRIPT_PATH", description: "Forge deployment script" },
+            target: { flag: "--target", type: "string", env: "DEPLOY_TARGET_CONTRACT", description: "Contract that gets the Chainlink services" },
+            pipeline: { flag: "--pipeline", type: "string", env: "DEPLOY_PIPELINE", description: "Pipeline file deploying several contracts" }
+        },
+        run: ({ functions, automation, createSubscription, simulate, dryRun, resume, skipVerify, target, pipeline }) =>
+            new Deployer().deploy({ functions, automation, createSubscription, simulate, dryRun, resume, skipVerify, target, pipeline }),
+        print: result => {
+            if (result.dryRun) return;
+            if (result.pipeline) printPipelineSummary(result);
+            else printSummary(result);
+        }
+    },
+    "verify": {
+        description: "Verify the contracts a deploy script created, from its broadcast and build artifacts",
+        flags: {
+            script: { flag: "--script", type: "string", env: "SCRIPT_PATH", required: true, description: "Forge deployment script" },
+            contractName: { flag: "--contract-name", type: "string", description: "Verify only this contract (defaults to every contract the script created)" },
+            verifier: { flag: "--verifier", type: "string", choices: VERIFIERS, env: "VERIFIER", description: "Verification service" },
+            verifierUrl: { flag: "--verifier-url", type: "url", env: "VERIFIER_URL", description: "Verifier API URL, required for Blockscout" }
+        },
+        run: ({ script, contractName }) => new Deployer().verify({ scriptPath: script, contracts: contractName ? [contractName] : undefined }),
+        succeeded: result => result.status === "verified",
+        print: printVerification
+    },
+    "functions add-consumer": {
+        description: "Add a contract as a consumer of the Functions subscription",
+        flags: { contract: CONTRACT_FLAG, contractName: CONTRACT_NAME_FLAG, subscriptionId: SUBSCRIPTION_FLAG },
+        run: async ({ contract, contractName, subscriptionId }) => {
+            await checkContract(contract, contractName, { functions: true });
+            return {
+                contractAddress: contract,
+                subscriptionId,
+                txHash: await functions.addFunctionsConsumer(contract, consumerConfig(subscriptionId))
+            };
+        }
+    },
+    "functions verify": {
+        description: "Check that a contract is an authorized consumer of the Functions subscription",
+        flags: { contract: CONTRACT_FLAG, subscriptionId: SUBSCRIPTION_FLAG },
+        run: async ({ contract, subscriptionId }) => ({
+            contractAddress: contract,
+            subscriptionId,
+            authorized: await functions.verifyConsumer(contract, consumerConfig(subscriptionId))
+        }),
+        succeeded: result => result.authorized,
+        print: ({ contractAddress, subscriptionId, authorized }) => (authorized
+            ? logSuccess(`${contractAddress} is a consumer of subscription ${subscriptionId}`)
+            : logError(`${contractAddress} is not a consumer of subscription ${subscriptionId}`))
+    },
+    "functions upload-secrets": {
+        description: "Encrypt and upload the secrets from the secrets manifest and save the reference to .env",
+        flags: {},
+        run: () => functions.setupFunctions()
+    },
+    "automation register": {
+        description: "Register and fund an upkeep for the contract and set its forwarder",
+        flags: {
+            contract: CONTRACT_FLAG,
+            contractName: CONTRACT_NAME_FLAG,
+            upkeepName: { flag: "--upkeep-name", type: "string", env: "AUTOMATION_UPKEEP_NAME", description: "Upkeep name" },
+            gasLimit: { flag: "--gas-limit", type: "uint", env: "AUTOMATION_GAS_LIMIT", description: "Gas limit for performUpkeep" },
+            linkAmount: { flag: "--link-amount", type: "uint", env: "AUTOMATION_LINK_AMOUNT", description: "Starting balance in juels" },
+            resume: { flag: "--resume", type: "boolean", description: "Skip steps already completed in the deployment manifest" },
+            stepScope: { flag: "--step-scope", type: "string", description: "Pipeline contract whose manifest steps to use" }
+        },
+        run: async ({ contract, contractName, resume, stepScope }) => {
+            // A resumed registration that already set its forwarder has nothing left to check
+            if (!(resume && getCompletedStep(resolveNetwork().chainId, scopedStep("automation.setForwarder", stepScope)))) {
+                await checkContract(contract, contractName, { automation: true });
+            }
+            return automation.registerAutomation(contract, { resume, scope: stepScope });
+        }
+    },
+    "automation set-forwarder": {
+        description: "Set the upkeep's forwarder in the contract",
+        flags: {
+            contract: CONTRACT_FLAG,
+            forwarder: { flag: "--forwarder", type: "address", env: "AUTOMATION_FORWARDER_ADDRESS", required: true, description: "Forwarder address" }
+        },
+        run: async ({ contract, forwarder }) => ({
+            contractAddress: contract,
+            forwarderAddress: forwarder,
+            txHash: await automation.setForwarderAddress(contract, forwarder)
+        })
+    },
+    "automation fetch-forwarder": {
+        description: "Find the forwarder created by a registration transaction, save it to .env and set it in the contract",
+        flags: {
+            tx: { flag: "--tx", type: "hash", required: true, description: "Registration transaction hash" },
+            saveOnly: { flag: "--save-only", type: "boolean", description: "Only save AUTOMATION_FORWARDER_ADDRESS to .env" },
+            contract: { ...CONTRACT_FLAG, required: false, description: "Contract to set the forwarder in (unless --save-only)" }
+        },
+        run: async ({ tx, saveOnly, contract }) => {
+            const result = await automation.findForwarder(tx);
+            if (!updateEnvFile("AUTOMATION_FORWARDER_ADDRESS", result.forwarderAddress)) {
+                throw new Error("Failed to save AUTOMATION_FORWARDER_ADDRESS to .env");
+            }
+            if (saveOnly) return result;
+            if (!contract) {
+                throw usageError("Missing --contract (or CONTRACT_ADDRESS in .env); pass --save-only to only save the forwarder");
+            }
+            return {
+                ...result,
+                contractAddress: contract,
+                setForwarderTxHash: await automation.setForwarderAddress(contract, result.forwarderAddress)
+            };
+        }
+    },
+    "automation status": {
+        description: "Show the upkeep's target, admin, balance, paused state and forwarder",
+        flags: {
+            upkeepId: { flag: "--upkeep-id", type: "uint", description: "Upkeep ID (defaults to the deployment manifest, then AUTOMATION_UPKEEP_ID)" },
+            registry: { flag: "--registry", type: "address", description: "Registry address (defaults to the manifest or network profile)" }
+        },
+        run: ({ upkeepId, registry }) => automation.manageUpkeep("status", [], { upkeepId, registryAddress: registry })
+    }
+};
+
+/**
+ * Find the command named by the leading words of the arguments
+ * @param {string[]} args - Command line arguments
+ * @returns {{name: string|null, rest: string[], words: string[]}} Command name and the arguments after it
+ */
+function findCommand(args) {
+    const words = [];
+    for (const arg of args) {
+        if (arg.startsWith("-")) break;
+        words.push(arg);
+    }
+    for (let count = Math.min(words.length, 2); count > 0; count--) {
+        const name = words.slice(0, count).join(" ");
+        if (COMMANDS[name]) return { name, rest: args.slice(count), words };
+    }
+    return { name: null, rest: args.slice(words.length), words };
+}
+
+/**
+ * Print help generated from the command and flag tables
+ * @param {string} [name] - Command to describe; lists all commands when omitted
+ */
+function printHelp(name) {
+    if (name) {
+        console.log(`Usage: ${CLI} ${name} [flags]\n`);
+        console.log(`${COMMANDS[name].description}\n`);
+        if (Object.keys(COMMANDS[name].flags).length > 0) {
+            console.log("Flags:");
+            formatFlags(COMMANDS[name].flags).forEach(line => console.log(line));
+            console.log("");
+        }
+    } else {
+        console.log(`Usage: ${CLI} <command> [flags]\n`);
+        console.log("Commands:");
+        for (const [command, spec] of Object.entries(COMMANDS)) {
+            console.log(`  ${command.padEnd(28)} ${spec.description}`);
+        }
+        console.log("");
+    }
+    console.log("Global flags:");
+    formatFlags(GLOBAL_FLAGS).forEach(line => console.log(line));
+    if (!name) {
+        console.log(`\nRun "${CLI} <command> --help" for the command's flags. Flags override the matching .env variables.`);
+    }
+}
+
+/**
+ * Send everything written to stdout to stderr instead, keeping stdout for the JSON result
+ * @returns {function(string, function): boolean} Writer for the real stdout
+ */
+function routeStdoutToStderr() {
+    const writeStdout = process.stdout.write.bind(process.stdout);
+    process.stdout.write = process.stderr.write.bind(process.stderr);
+    return writeStdout;
+}
+
+/**
+ * JSON.stringify replacer for values JSON cannot hold, such as upkeep balances
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} The value, with bigints as decimal strings
+ */
+function jsonValue(key, value) {
+    return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Run a command line and exit with its status
+ * @param {string[]} argv - Command line arguments, starting with the command
+ * @returns {Promise<void>}
+ */
+async function run(argv) {
+    const json = argv.includes("--json");
+    const writeStdout = json ? routeStdoutToStderr() : null;
+
+    // Mask keys and secrets in everything this process prints
+    redactConsole();
+
+    const { name, rest, words } = findCommand(argv);
+    let output;
+    let exitCode = 0;
+
+    try {
+        if (!name) {
+            if (words.length === 0 && (rest.length === 0 || rest.includes("--help") || rest.includes("-h"))) {
+                printHelp();
+                exitCode = rest.length === 0 ? 1 : 0;
+                return process.exit(exitCode);
+            }
+            throw usageError(words.length > 0 ? `Unknown command "${words.join(" ")}"` : "Missing command");
+        }
+
+        const command = COMMANDS[name];
+        const specs = { ...command.flags, ...GLOBAL_FLAGS };
+        const values = parseFlags(rest, specs);
+        if (values.help) {
+            printHelp(name);
+            return process.exit(0);
+        }
+        applyFlagEnv(values, specs);
+        // Load environment variables after the flags, which win over the file, and --env, which picks it
+        loadEnvFile();
+        configureLogger({
+            level: values.verbose ? "debug" : values.quiet ? "warn" : undefined,
+            format: values.logJson ? "json" : undefined
+        });
+
+        const result = await command.run(resolveFlags(values, specs));
+        const ok = command.succeeded ? command.succeeded(result) : true;
+        if (json) output = { ok, command: name, result };
+        else if (command.print) command.print(result);
+        exitCode = ok ? 0 : 1;
+    } catch (error) {
+        exitCode = 1;
+        if (json) {
+            output = {
+                ok: false,
+                command: name,
+                error: { message: error.message, kind: error.usage ? "usage" : error.classification && error.classification.kind }
+            };
+        } else {
+            logError(`❌ ${name ? `${name} failed` : "Error"}:`, error.message);
+            if (error.usage) logError(`Run "${CLI}${name ? ` ${name}` : ""} --help" for usage.`);
+        }
+    }
+
+    if (json) {
+        writeStdout(`${redact(JSON.stringify(output, jsonValue, 2))}\n`, () => process.exit(exitCode));
+    } else {
+        process.exit(exitCode);
+    }
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2));
+}
+
+module.exports = {
+    COMMANDS,
+    run
+};
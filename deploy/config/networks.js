@@ -0,0 +1,416 @@
+/**
+ * Network profile registry
+ * Built-in Chainlink service addresses per network, with user overrides
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getEnvVar } = require("../helpers/updateEnvFile");
+
+const ETHERSCAN_V2_API_URL = "https://api.etherscan.io/v2/api";
+
+const TESTNET_GATEWAY_URLS = [
+    "https://01.functions-gateway.testnet.chain.link/",
+    "https://02.functions-gateway.testnet.chain.link/",
+];
+
+const DEFAULT_NETWORK = "arbitrum-sepolia";
+
+/**
+ * Built-in network profiles, keyed by the name passed to --network
+ */
+const networks = {
+    "arbitrum-sepolia": {
+        name: "Arbitrum Sepolia",
+        chainId: 421614,
+        nativeSymbol: "ETH",
+        linkTokenAddress: "0xb1D4538B4571d411F07960EF2838Ce337FE1E80E",
+        functions: {
+            routerAddress: "0x234a5fb5Bd614a7AA2FfAB244D603abFA0Ac5C5C",
+            donId: "fun-arbitrum-sepolia-1",
+            gatewayUrls: TESTNET_GATEWAY_URLS,
+        },
+        automation: {
+            registrarAddress: "0x881918E24290084409DaA91979A30e6f0dB52eBe",
+            registryAddress: "0x8194399B3f11fcA2E8cCEfc4c9A658c61B8Bf412",
+        },
+        fees: {
+            type: "eip1559",
+            // Arbitrum estimates include a fluctuating L1 component
+            gasLimitMultiplier: 1.3,
+            maxFeeCeilingGwei: "10",
+        },
+        explorer: {
+            name: "Arbiscan",
+            url: "https://sepolia.arbiscan.io",
+            apiUrl: ETHERSCAN_V2_API_URL,
+        },
+    },
+    "sepolia": {
+        name: "Ethereum Sepolia",
+        chainId: 11155111,
+        nativeSymbol: "ETH",
+        linkTokenAddress: "0x779877A7B0D9E8603169DdbD7836e478b4624789",
+        functions: {
+            routerAddress: "0xb83E47C2bC239B3bf370bc41e1459A34b41238D0",
+            donId: "fun-ethereum-sepolia-1",
+            gatewayUrls: TESTNET_GATEWAY_URLS,
+        },
+        automation: {
+            registrarAddress: "0xb0E49c5D0d05cbc241d68c05BC5BA1d1B7B72976",
+            registryAddress: "0x86EFBD0b6736Bed994962f9797049422A3A8E8Ad",
+        },
+        fees: {
+            type: "eip1559",
+            gasLimitMultiplier: 1.2,
+            maxFeeCeilingGwei: "200",
+        },
+        explorer: {
+            name: "Etherscan",
+            url: "https://sepolia.etherscan.io",
+            apiUrl: ETHERSCAN_V2_API_URL,
+        },
+    },
+    "base-sepolia": {
+        name: "Base Sepolia",
+        chainId: 84532,
+        nativeSymbol: "ETH",
+        linkTokenAddress: "0xE4aB69C077896252FAFBD49EFD26B5D171A32410",
+        functions: {
+            routerAddress: "0xf9B8fc078197181C841c296C876945aaa425B278",
+            donId: "fun-base-sepolia-1",
+            gatewayUrls: TESTNET_GATEWAY_URLS,
+        },
+        automation: {
+            registrarAddress: "0xf28D56F3A707E25B71Ce529a21AF388751E1CF2A",
+            registryAddress: "0x91D4a4C3D448c7f3CB477332B1c7D420a5810aC3",
+        },
+        fees: {
+            type: "eip1559",
+            gasLimitMultiplier: 1.2,
+            maxFeeCeilingGwei: "10",
+        },
+        explorer: {
+            name: "Basescan",
+            url: "https://sepolia.basescan.org",
+            apiUrl: ETHERSCAN_V2_API_URL,
+        },
+    },
+    "polygon-amoy": {
+        name: "Polygon Amoy",
+        chainId: 80002,
+        nativeSymbol: "POL",
+        linkTokenAddress: "0x0Fd9e8d3aF1aaee056EB9e802c3A762a667b1904",
+        functions: {
+            routerAddress: "0xC22a79eBA640940ABB6dF0f7982cc119578E11De",
+            donId: "fun-polygon-amoy-1",
+            gatewayUrls: TESTNET_GATEWAY_URLS,
+        },
+        automation: {
+            registrarAddress: "0x99083A4bb154B0a3EC7a0D1eb40370C892Db4169",
+            registryAddress: "0x93C0e201f7B158F503a1265B6942088975f92ce7",
+        },
+        fees: {
+            type: "eip1559",
+            // Amoy rejects priority fees below 25 gwei
+            maxPriorityFeePerGasGwei: "30",
+            gasLimitMultiplier: 1.2,
+            maxFeeCeilingGwei: "500",
+        },
+        explorer: {
+            name: "Polygonscan",
+            url: "https://amoy.polygonscan.com",
+            apiUrl: ETHERSCAN_V2_API_URL,
+        },
+    },
+    "avalanche-fuji": {
+        name: "Avalanche Fuji",
+        chainId: 43113,
+        nativeSymbol: "AVAX",
+        linkTokenAddress: "0x0b9d5D9136855f6FEc3c0993feE6E9CE8a297846",
+        functions: {
+            routerAddress: "0xA9d587a00A31A52Ed70D6026794a8FC5E2F5dCb0",
+            donId: "fun-avalanche-fuji-1",
+            gatewayUrls: TESTNET_GATEWAY_URLS,
+        },
+        automation: {
+            registrarAddress: "0xD23D3D1b81711D75E1012211f1b65Cc7dBB474e2",
+            registryAddress: "0x819B58A646CDd8289275A87653a2aA4902b14fe6",
+        },
+        fees: {
+            type: "eip1559",
+            gasLimitMultiplier: 1.2,
+            maxFeeCeilingGwei: "200",
+        },
+        explorer: {
+            name: "Snowtrace",
+            url: "https://testnet.snowtrace.io",
+            apiUrl: ETHERSCAN_V2_API_URL,
+        },
+    },
+};
+
+/**
+ * Environment variables that override individual profile fields.
+ * Values set in .env win over a profile found by CHAIN_ID or the default. A network
+ * selected by name keeps its chain-bound contracts: a different value fails instead.
+ */
+const envOverrides = {
+    CHAIN_ID: {
+        get: (profile) => profile.chainId,
+        set: (profile, value) => { profile.chainId = parseInt(value, 10); }
+    },
+    LINK_TOKEN_ADDRESS: {
+        chainBound: true,
+        get: (profile) => profile.linkTokenAddress,
+        set: (profile, value) => { profile.linkTokenAddress = value; }
+    },
+    FUNCTIONS_ROUTER_ADDRESS: {
+        chainBound: true,
+        get: (profile) => profile.functions.routerAddress,
+        set: (profile, value) => { profile.functions.routerAddress = value; }
+    },
+    FUNCTIONS_DON_ID: {
+        chainBound: true,
+        get: (profile) => profile.functions.donId,
+        set: (profile, value) => { profile.functions.donId = value; }
+    },
+    FUNCTIONS_GATEWAY_URLS: {
+        chainBound: true,
+        get: (profile) => (profile.functions.gatewayUrls || []).join(","),
+        set: (profile, value) => {
+            profile.functions.gatewayUrls = value.split(",").map(url => url.trim()).filter(Boolean);
+        }
+    },
+    AUTOMATION_REGISTRAR_ADDRESS: {
+        chainBound: true,
+        get: (profile) => profile.automation.registrarAddress,
+        set: (profile, value) => { profile.automation.registrarAddress = value; }
+    },
+    AUTOMATION_REGISTRY_ADDRESS: {
+        chainBound: true,
+        get: (profile) => profile.automation.registryAddress,
+        set: (profile, value) => { profile.automation.registryAddress = value; }
+    },
+    EXPLORER_URL: {
+        get: (profile) => profile.explorer.url,
+        set: (profile, value) => { profile.explorer.url = value; }
+    },
+    EXPLORER_API_URL: {
+        get: (profile) => profile.explorer.apiUrl,
+        set: (profile, value) => { profile.explorer.apiUrl = value; }
+    },
+    VERIFIER: {
+        get: (profile) => profile.explorer.verifier,
+        set: (profile, value) => { profile.explorer.verifier = value; }
+    },
+    VERIFIER_URL: {
+        get: (profile) => profile.explorer.verifierUrl,
+        set: (profile, value) => { profile.explorer.verifierUrl = value; }
+    },
+    FEE_TYPE: {
+        get: (profile) => profile.fees.type,
+        set: (profile, value) => { profile.fees.type = value; }
+    },
+    MAX_FEE_PER_GAS_GWEI: {
+        get: (profile) => profile.fees.maxFeePerGasGwei,
+        set: (profile, value) => { profile.fees.maxFeePerGasGwei = value; }
+    },
+    MAX_PRIORITY_FEE_PER_GAS_GWEI: {
+        get: (profile) => profile.fees.maxPriorityFeePerGasGwei,
+        set: (profile, value) => { profile.fees.maxPriorityFeePerGasGwei = value; }
+    },
+    GAS_PRICE_GWEI: {
+        get: (profile) => profile.fees.gasPriceGwei,
+        set: (profile, value) => { profile.fees.gasPriceGwei = value; }
+    },
+    GAS_LIMIT_MULTIPLIER: {
+        get: (profile) => profile.fees.gasLimitMultiplier,
+        set: (profile, value) => { profile.fees.gasLimitMultiplier = value; }
+    },
+    MAX_FEE_CEILING_GWEI: {
+        get: (profile) => profile.fees.maxFeeCeilingGwei,
+        set: (profile, value) => { profile.fees.maxFeeCeilingGwei = value; }
+    },
+};
+
+/**
+ * Create an empty profile with every section present
+ * @param {string} key - Network key
+ * @returns {Object} Empty network profile
+ */
+function emptyProfile(key) {
+    return {
+        key,
+        name: key,
+        chainId: undefined,
+        nativeSymbol: "native",
+        linkTokenAddress: undefined,
+        functions: {},
+        automation: {},
+        explorer: { name: "block explorer", apiUrl: ETHERSCAN_V2_API_URL, verifier: "etherscan" },
+        fees: { type: "auto" },
+    };
+}
+
+/**
+ * Merge a profile definition into a base profile, section by section
+ * @param {Object} base - Profile to merge into
+ * @param {Object} override - Partial profile definition
+ * @returns {Object} Merged profile
+ */
+function mergeProfile(base, override = {}) {
+    return {
+        ...base,
+        ...override,
+        functions: { ...base.functions, ...override.functions },
+        automation: { ...base.automation, ...override.automation },
+        explorer: { ...base.explorer, ...override.explorer },
+        fees: { ...base.fees, ...override.fees },
+    };
+}
+
+/**
+ * Load all network profiles, merging user overrides over the built-ins.
+ * Overrides are read from NETWORKS_CONFIG or ./networks.json if present;
+ * entries there may patch a built-in network or define a new one.
+ * @param {string} [configPath] - Path to a JSON file of network overrides
+ * @returns {Object} Network profiles keyed by name
+ */
+function loadNetworks(configPath = getEnvVar("NETWORKS_CONFIG", "./networks.json")) {
+    const all = {};
+    for (const [key, profile] of Object.entries(networks)) {
+        all[key] = mergeProfile(emptyProfile(key), profile);
+    }
+
+    const resolvedPath = path.resolve(configPath);
+    if (!fs.existsSync(resolvedPath)) {
+        return all;
+    }
+
+    let overrides;
+    try {
+        overrides = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+    } catch (error) {
+        throw new Error(`Failed to parse network overrides in ${resolvedPath}: ${error.message}`);
+    }
+
+    for (const [key, profile] of Object.entries(overrides)) {
+        all[key] = mergeProfile(all[key] || emptyProfile(key), profile);
+    }
+
+    return all;
+}
+
+/**
+ * Fail when an environment value would replace a contract of a network selected by name,
+ * e.g. a router address left in .env from another chain. Unset profile fields may be filled.
+ * @param {Object} profile - Selected network profile
+ * @param {string} envKey - Environment variable, e.g. FUNCTIONS_ROUTER_ADDRESS
+ * @param {Object} field - Its entry in envOverrides
+ * @param {string} value - Value from the environment
+ * @throws {Error} If the profile sets a different value
+ */
+function assertSameSetting(profile, envKey, field, value) {
+    const current = field.get(profile);
+    if (current === undefined || current === "") return;
+    const candidate = mergeProfile(profile);
+    field.set(candidate, value);
+    if (String(field.get(candidate)).toLowerCase() !== String(current).toLowerCase()) {
+        throw new Error(
+            `${envKey}=${value} does not match network "${profile.key}" (${current}). ` +
+            `Clear ${envKey}, select the matching network, or change the profile in networks.json.`
+        );
+    }
+}
+
+/**
+ * Resolve the network profile to use for this run.
+ * Selection order: explicit name > NETWORK env var > profile matching CHAIN_ID > default.
+ * @param {string} [name] - Network name, typically from --network
+ * @returns {Object} Network profile with environment overrides applied
+ * @throws {Error} If the network is unknown, or conflicts with CHAIN_ID or a contract address in the environment
+ */
+function resolveNetwork(name) {
+    const all = loadNetworks();
+    const envChainId = getEnvVar("CHAIN_ID");
+    const requested = name || getEnvVar("NETWORK");
+
+    let profile;
+    if (requested) {
+        if (!all[requested]) {
+            throw new Error(
+                `Unknown network "${requested}". Available networks: ${Object.keys(all).join(", ")}`
+            );
+        }
+        profile = all[requested];
+        if (envChainId && parseInt(envChainId, 10) !== profile.chainId) {
+            throw new Error(
+                `CHAIN_ID=${envChainId} does not match network "${requested}" (chain ID ${profile.chainId}). ` +
+                "Clear CHAIN_ID or select the matching network."
+            );
+        }
+    } else if (envChainId) {
+        const chainId = parseInt(envChainId, 10);
+        profile = Object.values(all).find(p => p.chainId === chainId)
+            || { ...emptyProfile(`chain-${chainId}`), custom: true };
+    } else {
+        profile = all[DEFAULT_NETWORK];
+    }
+
+    profile = mergeProfile(profile, { selectedByName: Boolean(requested) });
+    for (const [envKey, field] of Object.entries(envOverrides)) {
+        const value = getEnvVar(envKey);
+        if (!value) continue;
+        if (requested && field.chainBound) {
+            assertSameSetting(profile, envKey, field, value);
+        }
+        field.set(profile, value);
+    }
+
+    return profile;
+}
+
+/**
+ * List a resolved profile's settings as the environment variables that override them
+ * @param {Object} profile - Resolved network profile
+ * @returns {Object<string, string>} Variables such as LINK_TOKEN_ADDRESS, without unset values
+ */
+function getNetworkEnv(profile) {
+    const env = {};
+    for (const [envKey, field] of Object.entries(envOverrides)) {
+        const value = field.get(profile);
+        if (value !== undefined && value !== "") {
+            env[envKey] = String(value);
+        }
+    }
+    return env;
+}
+
+/**
+ * Export the resolved profile into process.env so that scripts spawned as
+ * child processes resolve the same network. Existing values are kept.
+ * NETWORK is only set for a network selected by name: one found by CHAIN_ID is
+ * found again that way, with the same .env overrides applied.
+ * @param {Object} profile - Resolved network profile
+ */
+function applyNetworkEnv(profile) {
+    if (!profile.custom && profile.selectedByName) {
+        process.env.NETWORK = profile.key;
+    }
+    for (const [envKey, value] of Object.entries(getNetworkEnv(profile))) {
+        if (!process.env[envKey]) {
+            process.env[envKey] = value;
+        }
+    }
+}
+
+module.exports = {
+    ETHERSCAN_V2_API_URL,
+    networks,
+    DEFAULT_NETWORK,
+    loadNetworks,
+    resolveNetwork,
+    getNetworkEnv,
+    applyNetworkEnv
+};
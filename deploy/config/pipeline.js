@@ -0,0 +1,395 @@
+/**
+ * Deployment pipeline file
+ * Declares the forge scripts to run, the contracts they produce, the Chainlink
+ * services attached to each contract and the order between all of these steps
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { defaultEnvVar } = require("../helpers/broadcastArtifacts");
+
+const SERVICE_TYPES = ["functions", "automation"];
+
+// Registrar trigger types by name
+const TRIGGER_TYPES = { conditional: "0", log: "1" };
+
+const SCRIPT_FIELDS = ["path", "contracts", "dependsOn", "gasEstimate"];
+const SERVICE_FIELDS = {
+    functions: ["subscriptionId", "createSubscription", "fundAmount", "dependsOn"],
+    automation: [
+        "upkeepName", "gasLimit", "linkAmount", "triggerType", "logEmitter",
+        "logEventSignature", "logTopics", "checkData", "dependsOn"
+    ]
+};
+
+// Per-contract settings and the .env variables they stand in for
+const SERVICE_ENV = {
+    functions: {
+        subscriptionId: "FUNCTIONS_SUBSCRIPTION_ID",
+        fundAmount: "FUNCTIONS_SUBSCRIPTION_FUND_AMOUNT"
+    },
+    automation: {
+        upkeepName: "AUTOMATION_UPKEEP_NAME",
+        gasLimit: "AUTOMATION_GAS_LIMIT",
+        linkAmount: "AUTOMATION_LINK_AMOUNT",
+        triggerType: "AUTOMATION_TRIGGER_TYPE",
+        logEmitter: "AUTOMATION_LOG_EMITTER_ADDRESS",
+        logEventSignature: "AUTOMATION_LOG_EVENT_SIGNATURE",
+        checkData: "AUTOMATION_CHECK_DATA"
+    }
+};
+
+const STEP_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const ENV_VAR_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Parse a pipeline file as JSON, or as YAML when it ends in .yaml or .yml
+ * @param {string} filePath - Resolved path of the pipeline file
+ * @returns {Object} Parsed document
+ * @throws {Error} If the file cannot be read or parsed
+ */
+function parsePipelineFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Pipeline file not found: ${filePath}`);
+    }
+    const text = fs.readFileSync(filePath, "utf8");
+
+    if (/\.ya?ml$/i.test(filePath)) {
+        let yaml;
+        try {
+            yaml = require("js-yaml");
+        } catch (error) {
+            throw new Error(`Reading ${filePath} requires js-yaml (npm install js-yaml), or write the pipeline as JSON`);
+        }
+        try {
+            return yaml.load(text);
+        } catch (error) {
+            throw new Error(`Failed to parse pipeline ${filePath}: ${error.message}`);
+        }
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Failed to parse pipeline ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether it is an object and not an array or null
+ */
+function isObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Normalise an integer setting given as a number or a decimal string.
+ * Large amounts must be strings, since JSON and YAML numbers lose precision past 2^53.
+ * @param {*} value - Setting value
+ * @returns {string|null} Decimal string, or null if invalid
+ */
+function toIntegerString(value) {
+    if (typeof value === "number") {
+        return Number.isSafeInteger(value) && value >= 0 ? String(value) : null;
+    }
+    return typeof value === "string" && /^\d+$/.test(value.trim()) ? value.trim() : null;
+}
+
+/**
+ * Validate and normalise the settings of one service
+ * @param {string} id - Step ID, e.g. "DStock.automation"
+ * @param {string} type - "functions" or "automation"
+ * @param {Object} raw - Settings from the file
+ * @param {Object<string, Object>} contracts - Every contract the pipeline deploys
+ * @param {string[]} problems - Collected problems
+ * @returns {Object} Normalised settings
+ */
+function normaliseService(id, type, raw, contracts, problems) {
+    const params = {};
+    if (!isObject(raw)) {
+        problems.push(`${id} must be an object of settings`);
+        return params;
+    }
+    for (const field of Object.keys(raw)) {
+        if (!SERVICE_FIELDS[type].includes(field)) {
+            problems.push(`${id} has unknown setting "${field}" (expected ${SERVICE_FIELDS[type].join(", ")})`);
+        }
+    }
+
+    const integer = field => {
+        if (raw[field] === undefined) return;
+        const value = toIntegerString(raw[field]);
+        if (value === null) problems.push(`${id}.${field} must be a non-negative integer (write large amounts as strings)`);
+        else params[field] = value;
+    };
+
+    if (type === "functions") {
+        integer("subscriptionId");
+        integer("fundAmount");
+        if (raw.createSubscription !== undefined && typeof raw.createSubscription !== "boolean") {
+            problems.push(`${id}.createSubscription must be true or false`);
+        }
+        params.createSubscription = raw.createSubscription === true;
+        if (params.createSubscription && params.subscriptionId) {
+            problems.push(`${id} sets both subscriptionId and createSubscription`);
+        }
+        if (params.fundAmount && !params.createSubscription) {
+            problems.push(`${id}.fundAmount only applies with createSubscription`);
+        }
+        return params;
+    }
+
+    integer("gasLimit");
+    integer("linkAmount");
+    if (raw.upkeepName !== undefined) {
+        if (typeof raw.upkeepName !== "string" || !raw.upkeepName.trim()) problems.push(`${id}.upkeepName must be a non-empty string`);
+        else params.upkeepName = raw.upkeepName;
+    }
+    if (raw.triggerType !== undefined) {
+        const key = String(raw.triggerType).toLowerCase();
+        const triggerType = TRIGGER_TYPES[key] || Object.values(TRIGGER_TYPES).find(value => value === key);
+        if (!triggerType) problems.push(`${id}.triggerType must be "conditional", "log", 0 or 1`);
+        else params.triggerType = triggerType;
+    }
+    if (raw.logEmitter !== undefined) {
+        // A contract name is resolved to its address once deployed
+        if (!contracts[raw.logEmitter] && !ethers.isAddress(raw.logEmitter)) {
+            problems.push(`${id}.logEmitter must be an address or a contract deployed by the pipeline`);
+        } else {
+            params.logEmitter = raw.logEmitter;
+        }
+    }
+    if (raw.logEventSignature !== undefined) {
+        if (typeof raw.logEventSignature !== "string" || !raw.logEventSignature.trim()) problems.push(`${id}.logEventSignature must be a string`);
+        else params.logEventSignature = raw.logEventSignature;
+    }
+    if (raw.logTopics !== undefined) {
+        if (!Array.isArray(raw.logTopics) || raw.logTopics.length > 3) problems.push(`${id}.logTopics must be a list of at most three topic filters`);
+        else params.logTopics = raw.logTopics.map(topic => (topic === null || topic === undefined ? "" : String(topic)));
+    }
+    if (raw.checkData !== undefined) {
+        if (!ethers.isHexString(raw.checkData)) problems.push(`${id}.checkData must be a 0x-prefixed hex string`);
+        else params.checkData = raw.checkData;
+    }
+    return params;
+}
+
+/**
+ * Read a step's dependsOn list
+ * @param {string} id - Step ID
+ * @param {*} value - dependsOn from the file
+ * @param {string[]} problems - Collected problems
+ * @returns {string[]} Step IDs
+ */
+function readDependsOn(id, value, problems) {
+    if (value === undefined) return [];
+    const list = Array.isArray(value) ? value : [value];
+    if (!list.every(item => typeof item === "string" && item)) {
+        problems.push(`${id}.dependsOn must be a step ID or a list of step IDs`);
+        return [];
+    }
+    return list;
+}
+
+/**
+ * Find a dependency cycle among steps that could not be ordered.
+ * Each of them waits on at least one other, so following the first such
+ * dependency from any of them must come back around.
+ * @param {Object[]} remaining - Unordered steps
+ * @returns {string[]} Step IDs forming the cycle, first ID repeated at the end
+ */
+function findCycle(remaining) {
+    const byId = new Map(remaining.map(step => [step.id, step]));
+    const chain = [];
+    let current = remaining[0];
+    while (!chain.includes(current.id)) {
+        chain.push(current.id);
+        current = byId.get(current.dependsOn.find(dep => byId.has(dep)));
+    }
+    return [...chain.slice(chain.indexOf(current.id)), current.id];
+}
+
+/**
+ * Order steps so each runs after everything it depends on. Independent steps
+ * keep the order they were declared in: scripts first, then services.
+ * @param {Object[]} steps - Steps with their dependsOn lists
+ * @returns {Object[]} Steps in execution order
+ * @throws {Error} If the dependencies form a cycle
+ */
+function orderSteps(steps) {
+    const ordered = [];
+    const done = new Set();
+    let remaining = [...steps];
+
+    while (remaining.length > 0) {
+        const ready = remaining.find(step => step.dependsOn.every(dep => done.has(dep)));
+        if (!ready) {
+            throw new Error(`Pipeline steps depend on each other in a cycle: ${findCycle(remaining).join(" -> ")}`);
+        }
+        ordered.push(ready);
+        done.add(ready.id);
+        remaining = remaining.filter(step => step !== ready);
+    }
+    return ordered;
+}
+
+/**
+ * Load, validate and order a pipeline file.
+ *
+ * Steps are the scripts, keyed by name, and one step per service of a contract,
+ * named "<Contract>.functions" or "<Contract>.automation". A service always runs
+ * after the script that deploys its contract; dependsOn adds further ordering.
+ * @param {string} filePath - Pipeline file (.json, .yaml or .yml)
+ * @returns {{file: string, contracts: Object<string, {script: string, envVar: string}>, steps: Object[]}}
+ *   Every contract the scripts produce with its script and .env variable, and the steps in execution order
+ * @throws {Error} Listing every problem in the file
+ */
+function loadPipeline(filePath) {
+    const file = path.resolve(filePath);
+    const doc = parsePipelineFile(file);
+    const problems = [];
+
+    if (!isObject(doc) || !isObject(doc.scripts) || Object.keys(doc.scripts).length === 0) {
+        throw new Error(`Invalid pipeline ${file}: "scripts" must map at least one step name to a forge script`);
+    }
+    for (const key of Object.keys(doc)) {
+        if (!["scripts", "contracts"].includes(key)) problems.push(`unknown top-level key "${key}"`);
+    }
+
+    const contracts = {};
+    const steps = [];
+    for (const [id, raw] of Object.entries(doc.scripts)) {
+        if (!STEP_ID_PATTERN.test(id)) {
+            problems.push(`script name "${id}" may only contain letters, digits, "_" and "-"`);
+        }
+        if (!isObject(raw)) {
+            problems.push(`${id} must be an object with the script path and the contracts it deploys`);
+            continue;
+        }
+        const script = raw;
+        for (const field of Object.keys(script)) {
+            if (!SCRIPT_FIELDS.includes(field)) problems.push(`${id} has unknown setting "${field}" (expected ${SCRIPT_FIELDS.join(", ")})`);
+        }
+        if (typeof script.path !== "string" || !script.path) {
+            problems.push(`${id}.path must be the forge script to run`);
+        }
+
+        // Contracts map to their .env variable; null picks <NAME>_ADDRESS
+        const produced = Array.isArray(script.contracts)
+            ? Object.fromEntries(script.contracts.map(name => [name, null]))
+            : script.contracts || {};
+        if (!isObject(produced) || Object.keys(produced).length === 0) {
+            problems.push(`${id}.contracts must list the contracts the script deploys`);
+        }
+        const contractMap = {};
+        for (const [name, envVar] of Object.entries(isObject(produced) ? produced : {})) {
+            if (contracts[name]) {
+                problems.push(`${name} is deployed by both ${contracts[name].script} and ${id}`);
+                continue;
+            }
+            if (envVar !== null && (typeof envVar !== "string" || !ENV_VAR_PATTERN.test(envVar))) {
+                problems.push(`${id}.contracts.${name} must be an environment variable name`);
+                continue;
+            }
+            contractMap[name] = envVar || defaultEnvVar(name);
+            contracts[name] = { script: id, envVar: contractMap[name] };
+        }
+
+        let gasEstimate;
+        if (script.gasEstimate !== undefined) {
+            gasEstimate = toIntegerString(script.gasEstimate);
+            if (gasEstimate === null) problems.push(`${id}.gasEstimate must be a gas amount`);
+        }
+
+        steps.push({
+            id,
+            type: "script",
+            path: script.path,
+            contracts: contractMap,
+            gasEstimate: gasEstimate || undefined,
+            dependsOn: readDependsOn(id, script.dependsOn, problems)
+        });
+    }
+
+    const envVars = Object.values(contracts).map(contract => contract.envVar);
+    for (const envVar of new Set(envVars.filter((envVar, i) => envVars.indexOf(envVar) !== i))) {
+        problems.push(`several contracts are saved as ${envVar}`);
+    }
+
+    if (doc.contracts !== undefined && !isObject(doc.contracts)) {
+        problems.push(`"contracts" must map contract names to their Chainlink services`);
+    }
+    for (const [name, services] of Object.entries(isObject(doc.contracts) ? doc.contracts : {})) {
+        if (!contracts[name]) {
+            problems.push(`contracts.${name} is not deployed by any script (declare it in a script's contracts)`);
+            continue;
+        }
+        if (!isObject(services)) {
+            problems.push(`contracts.${name} must map services (functions, automation) to their settings`);
+            continue;
+        }
+        for (const [type, raw] of Object.entries(services)) {
+            const id = `${name}.${type}`;
+            if (!SERVICE_TYPES.includes(type)) {
+                problems.push(`${id} is not a Chainlink service (expected ${SERVICE_TYPES.join(" or ")})`);
+                continue;
+            }
+            const params = normaliseService(id, type, raw, contracts, problems);
+            const dependsOn = [contracts[name].script, ...readDependsOn(id, isObject(raw) ? raw.dependsOn : undefined, problems)];
+            if (params.logEmitter && contracts[params.logEmitter]) {
+                dependsOn.push(contracts[params.logEmitter].script);
+            }
+            steps.push({ id, type, contract: name, params, dependsOn: [...new Set(dependsOn)] });
+        }
+    }
+
+    const ids = new Set(steps.map(step => step.id));
+    for (const step of steps) {
+        for (const dep of step.dependsOn) {
+            if (!ids.has(dep)) problems.push(`${step.id} depends on unknown step "${dep}"`);
+            if (dep === step.id) problems.push(`${step.id} depends on itself`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid pipeline ${file}:\n${problems.map(problem => `  • ${problem}`).join("\n")}`);
+    }
+
+    return { file, contracts, steps: orderSteps(steps) };
+}
+
+/**
+ * Build the .env overrides carrying a service's per-contract settings, so the
+ * Functions and Automation scripts read them as they would read .env
+ * @param {Object} step - Service step from loadPipeline
+ * @param {Object<string, string>} [addresses={}] - Deployed addresses by contract name, for a logEmitter given by name
+ * @returns {Object<string, string>} Environment variables to override
+ */
+function getServiceEnv(step, addresses = {}) {
+    const env = {};
+    for (const [field, variable] of Object.entries(SERVICE_ENV[step.type] || {})) {
+        const value = step.params[field];
+        if (value === undefined) continue;
+        if (field === "logEmitter" && !ethers.isAddress(value)) {
+            if (addresses[value]) env[variable] = addresses[value];
+            continue;
+        }
+        env[variable] = value;
+    }
+    if (step.type === "automation" && step.params.logTopics) {
+        step.params.logTopics.forEach((topic, i) => {
+            env[`AUTOMATION_LOG_TOPIC${i + 1}`] = topic;
+        });
+    }
+    return env;
+}
+
+module.exports = {
+    SERVICE_TYPES,
+    loadPipeline,
+    orderSteps,
+    getServiceEnv
+};
@@ -0,0 +1,173 @@
+/**
+ * Typed schema of the environment variables: the form each value must take,
+ * and a hint for fixing it, so that a bad value fails before anything is sent
+ */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const UINT32_MAX = 2n ** 32n - 1n;
+const UINT64_MAX = 2n ** 64n - 1n;
+const UINT96_MAX = 2n ** 96n - 1n;
+
+// Private keys must be below the order of the secp256k1 curve
+const SECP256K1_ORDER = BigInt("0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141");
+
+// Registries reject upkeeps whose perform gas is below this
+const MIN_UPKEEP_GAS = 2300n;
+
+const LINK_AMOUNT_HINT = "LINK in juels (1 LINK = 10^18), e.g. 200000000000000000 for 0.2 LINK";
+
+/**
+ * Schema entries: type, bounds for uint values, allowed values for enums, whether a file
+ * may name its contract (path:Contract, as forge accepts), whether the value is secret
+ * (never echoed in problems) and a hint on what to set
+ */
+const ENV_SCHEMA = {
+    SCRIPT_PATH: { type: "file", target: true, hint: "path of the forge deploy script, e.g. script/DeployDStock.s.sol" },
+    RPC_URL: { type: "url", secret: true, hint: "http(s) or ws(s) endpoint of the target chain" },
+    CHAIN_ID: { type: "uint", min: 1n, max: UINT64_MAX, hint: "chain ID of the network, set by its profile (--network)" },
+    ETHERSCAN_API_KEY: { type: "string", secret: true, hint: "an Etherscan API key, or deploy with --skip-verify" },
+    ADMIN_ADDRESS: { type: "address", hint: "the signer's address; it administers the upkeep and pays its LINK" },
+    PRIVATE_KEY: { type: "privateKey", secret: true, hint: "64 hex characters, with or without 0x" },
+    AUTOMATION_REGISTRAR_ADDRESS: { type: "address", hint: "the network's Automation registrar, set by its profile" },
+    LINK_TOKEN_ADDRESS: { type: "address", hint: "the network's LINK token, set by its profile" },
+    AUTOMATION_GAS_LIMIT: {
+        type: "uint", min: MIN_UPKEEP_GAS, max: UINT32_MAX,
+        hint: "gas for performUpkeep, e.g. 500000; registries cap it at their maxPerformGas (5000000 on most networks)"
+    },
+    AUTOMATION_LINK_AMOUNT: { type: "uint", min: 1n, max: UINT96_MAX, hint: LINK_AMOUNT_HINT },
+    AUTOMATION_TRIGGER_TYPE: { type: "enum", values: { 0: "conditional", 1: "log trigger" }, hint: "0 for a conditional upkeep, 1 for a log trigger" },
+    AUTOMATION_LOG_EMITTER_ADDRESS: { type: "address", hint: "contract whose logs trigger the upkeep (defaults to the deployed contract)" },
+    AUTOMATION_LOG_EVENT_SIGNATURE: {
+        type: "eventSignature",
+        hint: "event signature such as Transfer(address,address,uint256), or its topic0 hash"
+    },
+    FUNCTIONS_ROUTER_ADDRESS: { type: "address", hint: "the network's Functions router, set by its profile" },
+    FUNCTIONS_SUBSCRIPTION_ID: { type: "uint", min: 1n, max: UINT64_MAX, hint: "an existing subscription ID, or deploy with --create-subscription" },
+    FUNCTIONS_SUBSCRIPTION_FUND_AMOUNT: { type: "uint", min: 0n, max: UINT96_MAX, hint: LINK_AMOUNT_HINT },
+    FUNCTIONS_MIN_SUBSCRIPTION_BALANCE: { type: "uint", min: 0n, max: UINT96_MAX, hint: LINK_AMOUNT_HINT },
+    FUNCTIONS_SOURCE_PATH: { type: "file", hint: "path of the Functions request source, e.g. functions/source.js" },
+    ALPACA_API_KEY: { type: "string", secret: true },
+    ALPACA_SECRET_KEY: { type: "string", secret: true },
+    USDC_TOKEN_ADDRESS: { type: "address", hint: "the network's USDC token" }
+};
+
+/**
+ * Check an address, including its EIP-55 checksum
+ * @param {string} value - Value to check
+ * @returns {string|null} What is wrong, or null if valid
+ */
+function checkAddress(value) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+        return "is not an address (0x followed by 40 hex characters)";
+    }
+    let checksummed;
+    try {
+        checksummed = ethers.getAddress(value);
+    } catch (error) {
+        return "has an invalid checksum; the address is probably mistyped";
+    }
+    return checksummed === value ? null : `is not checksummed; write it as ${checksummed}`;
+}
+
+/**
+ * Check a decimal unsigned integer against its bounds
+ * @param {string} value - Value to check
+ * @param {Object} spec - Schema entry with min and max
+ * @returns {string|null} What is wrong, or null if valid
+ */
+function checkUint(value, spec) {
+    if (!/^\d+$/.test(value)) {
+        return /^[\d.eE+]+$/.test(value)
+            ? "must be a whole number written out in full, without decimals or exponents"
+            : "must be a whole number";
+    }
+    const number = BigInt(value);
+    if (number < spec.min || number > spec.max) {
+        return `must be between ${spec.min} and ${spec.max}`;
+    }
+    return null;
+}
+
+/**
+ * Check a private key: 32 bytes of hex within the secp256k1 range
+ * @param {string} value - Value to check
+ * @returns {string|null} What is wrong, or null if valid
+ */
+function checkPrivateKey(value) {
+    const hex = value.replace(/^0x/, "");
+    if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
+        return "is not a private key";
+    }
+    const key = BigInt(`0x${hex}`);
+    return key === 0n || key >= SECP256K1_ORDER ? "is outside the valid private key range" : null;
+}
+
+/**
+ * Check one value against its schema entry
+ * @param {string} name - Variable name
+ * @param {string} value - Value to check (set and non-empty)
+ * @returns {string|null} What is wrong, or null if the value is valid or the variable has no schema entry
+ */
+function checkEnvValue(name, value) {
+    const spec = ENV_SCHEMA[name];
+    if (!spec) return null;
+
+    switch (spec.type) {
+        case "address":
+            return checkAddress(value);
+        case "uint":
+            return checkUint(value, spec);
+        case "privateKey":
+            return checkPrivateKey(value);
+        case "enum":
+            return Object.keys(spec.values).includes(value)
+                ? null
+                : `must be one of ${Object.entries(spec.values).map(([key, label]) => `${key} (${label})`).join(", ")}`;
+        case "url":
+            return /^(https?|wss?):\/\/\S+$/.test(value) ? null : "is not an http(s) or ws(s) URL";
+        case "file":
+            return fs.existsSync(spec.target ? value.replace(/:\w+$/, "") : value) ? null : "points to a file that does not exist";
+        case "eventSignature":
+            return ethers.isHexString(value, 32) || /^\w+\([\w\s,[\]()]*\)$/.test(value)
+                ? null
+                : "is neither an event signature nor a 32-byte topic hash";
+        default:
+            return value.trim() === value ? null : "has leading or trailing whitespace";
+    }
+}
+
+/**
+ * Check variables against the schema
+ * @param {string[]} names - Variables that must be set
+ * @param {Object} [options] - Check options
+ * @param {string[]} [options.optional=[]] - Variables only checked when set
+ * @param {Object<string, string>} [options.env=process.env] - Environment to read
+ * @returns {{variable: string, message: string, hint?: string}[]} One problem per missing or invalid variable,
+ *   e.g. { variable: "AUTOMATION_GAS_LIMIT", message: "\"abc\" must be a whole number", hint }
+ */
+function checkEnvVars(names, { optional = [], env = process.env } = {}) {
+    const problems = [];
+    for (const name of [...names, ...optional]) {
+        const value = env[name];
+        const hint = ENV_SCHEMA[name] && ENV_SCHEMA[name].hint;
+        if (!value) {
+            if (names.includes(name)) problems.push({ variable: name, message: "is not set", hint });
+            continue;
+        }
+        const message = checkEnvValue(name, value);
+        if (message) {
+            // Secrets are described without their value
+            const shown = ENV_SCHEMA[name].secret ? "" : `"${value}" `;
+            problems.push({ variable: name, message: `${shown}${message}`, hint });
+        }
+    }
+    return problems;
+}
+
+module.exports = {
+    ENV_SCHEMA,
+    checkEnvValue,
+    checkEnvVars
+};
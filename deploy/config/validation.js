@@ -2,12 +2,19 @@
  * Configuration validation and management
  */
 
-const { getEnvVar, getNumericEnvVar, generateUpkeepName } = require("../helpers/updateEnvFile");
+const path = require("path");
+const { ethers } = require("ethers");
+const { getEnvVar, getNumericEnvVar, generateUpkeepName, withEnv, getEnvPath } = require("../helpers/updateEnvFile");
+const { withRetry, ERROR_KINDS } = require("../helpers/retry");
+const { loadSecretsManifest, collectSecrets } = require("../function/secretsManifest");
+const { resolveSignerConfig } = require("../helpers/signer");
+const { getFeePolicy } = require("../helpers/fees");
+const { getServiceEnv } = require("./pipeline");
+const { ENV_SCHEMA, checkEnvVars } = require("./schema");
 
 const requiredEnvVars = {
     common: [
         'SCRIPT_PATH',
-        'PRIVATE_KEY',
         'RPC_URL',
         'CHAIN_ID',
         'ETHERSCAN_API_KEY',
@@ -20,6 +27,12 @@ const requiredEnvVars = {
         'AUTOMATION_LINK_AMOUNT',
         'AUTOMATION_TRIGGER_TYPE',
     ],
+    logTrigger: [
+        'AUTOMATION_LOG_EVENT_SIGNATURE'
+    ],
+    simulate: [
+        'FUNCTIONS_SOURCE_PATH'
+    ],
     functions: [
         'FUNCTIONS_ROUTER_ADDRESS',
         'FUNCTIONS_SUBSCRIPTION_ID'
@@ -32,50 +45,233 @@ const requiredEnvVars = {
 };
 
 /**
- * Validates environment variables based on selected features
+ * List the configuration problems for the selected features: required variables that are
+ * missing, and values of the wrong type or out of range (see config/schema.js)
  * @param {Object} options - Feature flags
  * @param {boolean} options.automation - Whether Automation is enabled
  * @param {boolean} options.functions - Whether Functions is enabled
- * @throws {Error} If required environment variables are missing
+ * @param {boolean} [options.createSubscription] - Whether a Functions subscription will be created
+ * @param {boolean} [options.simulate] - Whether the Functions source will be simulated first
+ * @param {boolean} [options.pipeline] - Whether the scripts come from a pipeline file instead of SCRIPT_PATH
+ * @param {boolean} [options.skipVerify] - Whether contract verification is skipped
+ * @returns {{variable: string, message: string, hint?: string}[]} Every problem found
  */
-function validateConfig(options = { automation: false, functions: false }) {
-    const missingVars = [];
-
-    // Check common required vars
-    for (const variable of requiredEnvVars.common) {
-        if (!process.env[variable]) {
-            missingVars.push(variable);
+function findConfigProblems(options = { automation: false, functions: false }) {
+    const required = requiredEnvVars.common.filter(variable => {
+        if (variable === 'SCRIPT_PATH' && options.pipeline) {
+            return false;
         }
-    }
+        // The API key is only needed to verify on Etherscan
+        return !(variable === 'ETHERSCAN_API_KEY' && (options.skipVerify || getEnvVar("VERIFIER", "etherscan") !== "etherscan"));
+    });
 
-    // Check automation vars if enabled
+    // Check automation vars if enabled; log trigger upkeeps also need the event to listen for
     if (options.automation) {
-        for (const variable of requiredEnvVars.automation) {
-            if (!process.env[variable]) {
-                missingVars.push(variable);
-            }
+        required.push(...requiredEnvVars.automation);
+        if (getEnvVar("AUTOMATION_TRIGGER_TYPE") === "1") {
+            required.push(...requiredEnvVars.logTrigger);
         }
     }
 
-    // Check functions vars if enabled
+    // Check functions vars if enabled; a subscription created during the run needs no ID
     if (options.functions) {
-        for (const variable of requiredEnvVars.functions) {
-            if (!process.env[variable]) {
-                missingVars.push(variable);
-            }
-        }
+        required.push(...requiredEnvVars.functions.filter(variable =>
+            !(variable === 'FUNCTIONS_SUBSCRIPTION_ID' && options.createSubscription)));
+    }
+
+    // Simulating the request source needs the source file
+    if (options.functions && options.simulate) {
+        required.push(...requiredEnvVars.simulate);
+    }
+
+    // Variables read whenever they are set are typed too
+    const optional = Object.keys(ENV_SCHEMA).filter(variable => !required.includes(variable));
+    const problems = checkEnvVars(required, { optional });
+
+    // A signer must be configured: private key, Foundry account, keystore or mnemonic
+    try {
+        resolveSignerConfig();
+    } catch (error) {
+        problems.push({ variable: 'signer', message: error.message, hint: 'see Signers in the README' });
     }
 
-    if (missingVars.length > 0) {
+    // Fee settings from the network profile and .env must parse
+    try {
+        getFeePolicy();
+    } catch (error) {
+        problems.push({ variable: 'fee policy', message: error.message, hint: 'see Gas and Fees in the README' });
+    }
+
+    // Secrets referenced by the secrets manifest must resolve before anything is deployed
+    if (options.functions) {
+        const { missing } = collectSecrets(loadSecretsManifest());
+        problems.push(...missing.map(entry => ({ variable: 'secret', message: entry, hint: 'see Functions Secrets in the README' })));
+    }
+
+    return problems;
+}
+
+/**
+ * Format a configuration problem as a list entry with its hint
+ * @param {Object} problem - Problem from findConfigProblems or findChainProblems
+ * @returns {string} e.g. '  • AUTOMATION_GAS_LIMIT "abc" must be a whole number\n      Expected: ...'
+ */
+function formatProblem({ variable, message, hint, step }) {
+    return `  • ${variable}${step ? ` (for ${step})` : ''} ${message}${hint ? `\n      Expected: ${hint}` : ''}`;
+}
+
+/**
+ * Throw every configuration problem as one error
+ * @param {Object[]} problems - Problems from findConfigProblems or findChainProblems
+ * @param {string} [title="Invalid configuration"] - First line of the error
+ * @throws {Error} If there are any problems
+ */
+function assertNoProblems(problems, title = 'Invalid configuration') {
+    if (problems.length > 0) {
         throw new Error(
-            `Missing required environment variables:\n${missingVars.join('\n')}\n` +
-            `Please check your .env file and ensure all required variables are set.`
+            `${title}:\n${problems.map(formatProblem).join('\n')}\n` +
+            `Please fix them in ${path.basename(getEnvPath())} (or the matching flags) and run again.`
         );
     }
+}
 
+/**
+ * Validates environment variables based on selected features
+ * @param {Object} options - Feature flags (see findConfigProblems)
+ * @throws {Error} Listing every missing or invalid variable
+ */
+function validateConfig(options = { automation: false, functions: false }) {
+    assertNoProblems(findConfigProblems(options));
     return true;
 }
 
+/**
+ * Validates environment variables for a pipeline: each service is checked with
+ * its contract's settings from the pipeline file standing in for .env
+ * @param {Object} pipeline - Pipeline from loadPipeline
+ * @param {Object} [options] - Deployment options
+ * @param {boolean} [options.simulate] - Whether the Functions source will be simulated first
+ * @param {boolean} [options.skipVerify] - Whether contract verification is skipped
+ * @throws {Error} Listing every missing or invalid variable
+ */
+function validatePipelineConfig(pipeline, options = {}) {
+    const problems = findConfigProblems({ pipeline: true, skipVerify: options.skipVerify });
+    const seen = new Set(problems.map(problem => `${problem.variable} ${problem.message}`));
+    // A subscription created by an earlier step becomes FUNCTIONS_SUBSCRIPTION_ID for the steps after it
+    let subscriptionCreated = false;
+
+    for (const step of pipeline.steps.filter(step => step.type !== 'script')) {
+        const stepProblems = withEnv(getServiceEnv(step), () => findConfigProblems({
+            pipeline: true,
+            [step.type]: true,
+            createSubscription: step.params.createSubscription || subscriptionCreated,
+            simulate: options.simulate,
+            skipVerify: options.skipVerify
+        }));
+        for (const problem of stepProblems) {
+            const key = `${problem.variable} ${problem.message}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            problems.push(problem.variable === 'secret' ? problem : { ...problem, step: step.id });
+        }
+        subscriptionCreated = subscriptionCreated || Boolean(step.params.createSubscription);
+    }
+
+    assertNoProblems(problems);
+    return true;
+}
+
+/**
+ * Check the configuration against the chain: the RPC endpoint serves CHAIN_ID, the Chainlink
+ * contracts the run uses have code, and upkeeps are registered by their admin
+ * @param {Object} params - Check parameters
+ * @param {Object} params.options - Deployment options (functions, automation, createSubscription)
+ * @param {Object} [params.pipeline] - Pipeline from loadPipeline, whose steps decide the services used
+ * @param {Object} params.network - Resolved network profile
+ * @param {string} params.rpcUrl - RPC endpoint URL
+ * @param {string} params.signerAddress - Address that will send the transactions
+ * @returns {Promise<{variable: string, message: string, hint?: string}[]>} Every problem found
+ */
+async function findChainProblems({ options, pipeline, network, rpcUrl, signerAddress }) {
+    // A static network makes an unreachable endpoint fail instead of being retried forever
+    const expected = BigInt(getEnvVar('CHAIN_ID'));
+    const staticNetwork = ethers.Network.from(expected);
+    const provider = new ethers.JsonRpcProvider(rpcUrl, staticNetwork, { staticNetwork });
+    try {
+        return await checkChain({ options, pipeline, network, provider, expected, signerAddress });
+    } finally {
+        provider.destroy();
+    }
+}
+
+/**
+ * Run the checks of findChainProblems on a provider
+ * @param {Object} params - As findChainProblems, with the provider and the expected chain ID
+ * @returns {Promise<Object[]>} Every problem found
+ */
+async function checkChain({ options, pipeline, network, provider, expected, signerAddress }) {
+    const lookup = (label, fn) => withRetry(fn, { label, retryOn: [ERROR_KINDS.TRANSIENT] });
+
+    let chainId;
+    try {
+        chainId = BigInt(await lookup('Chain ID lookup', () => provider.send('eth_chainId', [])));
+    } catch (error) {
+        return [{ variable: 'RPC_URL', message: `cannot be reached: ${error.shortMessage || error.message}`, hint: ENV_SCHEMA.RPC_URL.hint }];
+    }
+    // On another chain every address check below would be meaningless
+    if (chainId !== expected) {
+        return [{
+            variable: 'CHAIN_ID',
+            message: `is ${expected}, but RPC_URL serves chain ${chainId}`,
+            hint: `an RPC endpoint for ${network.name}, or the network profile of chain ${chainId} (--network)`
+        }];
+    }
+
+    const services = pipeline ? new Set(pipeline.steps.map(step => step.type)) : new Set(
+        [options.functions && 'functions', options.automation && 'automation'].filter(Boolean));
+    const createsSubscription = pipeline
+        ? pipeline.steps.some(step => step.params && step.params.createSubscription)
+        : Boolean(options.functions && options.createSubscription);
+    const contracts = [];
+    if (services.has('automation')) contracts.push('AUTOMATION_REGISTRAR_ADDRESS', 'LINK_TOKEN_ADDRESS');
+    if (services.has('functions')) contracts.push('FUNCTIONS_ROUTER_ADDRESS');
+    if (createsSubscription && !contracts.includes('LINK_TOKEN_ADDRESS')) contracts.push('LINK_TOKEN_ADDRESS');
+
+    const problems = [];
+    for (const variable of contracts) {
+        const address = getEnvVar(variable);
+        const code = await lookup(`${variable} code lookup`, () => provider.getCode(address));
+        if (code === '0x') {
+            problems.push({
+                variable,
+                message: `${address} has no contract code on ${network.name} (chain ${chainId})`,
+                hint: ENV_SCHEMA[variable].hint
+            });
+        }
+    }
+
+    // The registrar only accepts a registration whose admin is the account paying its LINK
+    const admin = getEnvVar('ADMIN_ADDRESS');
+    if (services.has('automation') && admin.toLowerCase() !== signerAddress.toLowerCase()) {
+        problems.push({
+            variable: 'ADMIN_ADDRESS',
+            message: `${admin} is not the signer ${signerAddress}; the registrar would reject the upkeep registration`,
+            hint: `${signerAddress}, or sign with the admin's account`
+        });
+    }
+    return problems;
+}
+
+/**
+ * Run the chain checks and throw every problem as one error
+ * @param {Object} params - See findChainProblems
+ * @returns {Promise<void>}
+ * @throws {Error} Listing every problem found
+ */
+async function validateChainConfig(params) {
+    assertNoProblems(await findChainProblems(params), 'Configuration does not match the chain');
+}
+
 /**
  * Gets environment configuration for a specific service
  * @param {string} service - Service name ('automation' or 'functions')
@@ -90,13 +286,20 @@ function getServiceConfig(service) {
                 gasLimit: getNumericEnvVar("AUTOMATION_GAS_LIMIT", 500000),
                 linkAmount: getEnvVar("AUTOMATION_LINK_AMOUNT"),
                 triggerType: getNumericEnvVar("AUTOMATION_TRIGGER_TYPE", 0),
+                logEmitterAddress: getEnvVar("AUTOMATION_LOG_EMITTER_ADDRESS"),
+                logEventSignature: getEnvVar("AUTOMATION_LOG_EVENT_SIGNATURE"),
+                checkData: getEnvVar("AUTOMATION_CHECK_DATA"),
                 upkeepName: getEnvVar("AUTOMATION_UPKEEP_NAME") || generateUpkeepName()
             };
         case 'functions':
             return {
                 routerAddress: getEnvVar("FUNCTIONS_ROUTER_ADDRESS"),
                 subscriptionId: getEnvVar("FUNCTIONS_SUBSCRIPTION_ID"),
-                secretsVersion: getEnvVar("FUNCTIONS_SECRETS_VERSION", "1")
+                secretsVersion: getEnvVar("FUNCTIONS_SECRETS_VERSION", "1"),
+                secretsManifest: getEnvVar("FUNCTIONS_SECRETS_MANIFEST", "./secrets.json"),
+                encryptedSecretsUrls: getEnvVar("FUNCTIONS_ENCRYPTED_SECRETS_URLS"),
+                sourcePath: getEnvVar("FUNCTIONS_SOURCE_PATH"),
+                returnType: getEnvVar("FUNCTIONS_RETURN_TYPE", "uint256")
             };
         default:
             throw new Error(`Unknown service: ${service}`);
@@ -109,7 +312,7 @@ function getServiceConfig(service) {
  */
 function getNetworkConfig() {
     return {
-        privateKey: getEnvVar("PRIVATE_KEY"),
+        signerType: getEnvVar("SIGNER_TYPE"),
         rpcUrl: getEnvVar("RPC_URL"),
         chainId: getNumericEnvVar("CHAIN_ID", 1),
         etherscanApiKey: getEnvVar("ETHERSCAN_API_KEY")
@@ -118,6 +321,10 @@ function getNetworkConfig() {
 
 module.exports = {
     validateConfig,
+    validatePipelineConfig,
+    validateChainConfig,
+    findConfigProblems,
+    findChainProblems,
     getServiceConfig,
     getNetworkConfig,
     requiredEnvVars
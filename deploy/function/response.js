@@ -0,0 +1,51 @@
+/**
+ * Chainlink Functions Response Decoding
+ * Decodes response bytes as the source's return type, for both simulated and fulfilled requests
+ */
+
+const { ethers } = require("ethers");
+
+const RETURN_TYPES = ["uint256", "int256", "string", "bytes"];
+
+/**
+ * Check a return type against RETURN_TYPES
+ * @param {string} returnType - Return type to check
+ * @returns {string} The return type
+ * @throws {Error} If it is not one of RETURN_TYPES
+ */
+function assertReturnType(returnType) {
+  if (!RETURN_TYPES.includes(returnType)) {
+    throw new Error(`Invalid return type "${returnType}"; expected one of ${RETURN_TYPES.join(", ")}`);
+  }
+  return returnType;
+}
+
+/**
+ * Decode response bytes as encoded by the Functions.encode* helpers, with the same
+ * rules as the functions-toolkit's decodeResult: an empty number decodes to 0, and
+ * numbers longer than 32 bytes are rejected
+ * @param {string} hex - Response bytes
+ * @param {string} returnType - One of RETURN_TYPES
+ * @returns {string} Decoded value
+ * @throws {Error} If the return type is invalid or the bytes do not fit it
+ */
+function decodeResponse(hex, returnType) {
+  assertReturnType(returnType);
+  if (!ethers.isHexString(hex)) {
+    throw new Error(`Response "${hex}" is not a hex string`);
+  }
+  if (returnType === "bytes") return hex;
+  if (returnType === "string") return ethers.toUtf8String(hex, ethers.Utf8ErrorFuncs.replace);
+
+  if (ethers.dataLength(hex) > 32) {
+    throw new Error(`Response ${hex} is longer than 32 bytes, too large for ${returnType}`);
+  }
+  const value = hex === "0x" ? 0n : BigInt(hex);
+  return (returnType === "int256" ? ethers.fromTwos(value, 256) : value).toString();
+}
+
+module.exports = {
+  RETURN_TYPES,
+  assertReturnType,
+  decodeResponse,
+};
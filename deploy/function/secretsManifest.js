@@ -0,0 +1,148 @@
+/**
+ * Chainlink Functions Secrets Manifest
+ * Describes which secrets to encrypt, where their values come from and how they are hosted
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { logWarn } = require("../helpers/log");
+const { registerSecret } = require("../helpers/redact");
+
+const HOSTING_TYPES = ["don", "gist", "url"];
+
+// Used when no manifest file exists, matching the original Alpaca setup
+const LEGACY_MANIFEST = {
+  secrets: {
+    alpacaKey: { env: "ALPACA_API_KEY" },
+    alpacaSecret: { env: "ALPACA_SECRET_KEY" },
+  },
+  hosting: "don",
+  slotId: 0,
+  expirationMinutes: 1440,
+};
+
+/**
+ * Normalize a secret source. A bare string is shorthand for an env var name.
+ * @param {string} name - Secret name
+ * @param {string|Object} source - Secret source: "ENV_VAR", { env }, { file } or { value }
+ * @returns {Object} Normalized source
+ */
+function normalizeSource(name, source) {
+  if (typeof source === "string") return { env: source };
+  if (source && (source.env || source.file || source.value !== undefined)) return source;
+  throw new Error(`Secret "${name}" must map to an env var name, { "env" }, { "file" } or { "value" }`);
+}
+
+/**
+ * Load the secrets manifest
+ * @param {string} [manifestPath] - Path to the manifest (defaults to FUNCTIONS_SECRETS_MANIFEST or ./secrets.json)
+ * @returns {Object} Normalized manifest, with `path` set to the file it was read from (null for the legacy default)
+ * @throws {Error} If the manifest cannot be parsed or is invalid
+ */
+function loadSecretsManifest(manifestPath = process.env.FUNCTIONS_SECRETS_MANIFEST || "./secrets.json") {
+  const resolvedPath = path.resolve(manifestPath);
+  let raw;
+  if (fs.existsSync(resolvedPath)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+    } catch (error) {
+      throw new Error(`Failed to parse secrets manifest ${resolvedPath}: ${error.message}`);
+    }
+  } else if (process.env.FUNCTIONS_SECRETS_MANIFEST) {
+    throw new Error(`Secrets manifest not found: ${resolvedPath}`);
+  } else {
+    logWarn(`No secrets manifest at ${resolvedPath}; falling back to ALPACA_API_KEY/ALPACA_SECRET_KEY`);
+    raw = LEGACY_MANIFEST;
+  }
+
+  const manifest = {
+    path: raw === LEGACY_MANIFEST ? null : resolvedPath,
+    baseDir: path.dirname(resolvedPath),
+    secrets: {},
+    hosting: raw.hosting || "don",
+    slotId: raw.slotId !== undefined ? Number(raw.slotId) : 0,
+    expirationMinutes: raw.expirationMinutes !== undefined ? Number(raw.expirationMinutes) : 1440,
+    gist: { tokenEnv: "GITHUB_API_TOKEN", ...raw.gist },
+    url: { outputFile: "./offchain-secrets.json", urls: [], ...raw.url },
+  };
+
+  if (!HOSTING_TYPES.includes(manifest.hosting)) {
+    throw new Error(`Invalid secrets hosting "${manifest.hosting}"; expected one of ${HOSTING_TYPES.join(", ")}`);
+  }
+  if (!Number.isInteger(manifest.slotId) || manifest.slotId < 0) {
+    throw new Error(`Invalid secrets slotId "${raw.slotId}"; expected a non-negative integer`);
+  }
+  if (!Number.isInteger(manifest.expirationMinutes) || manifest.expirationMinutes <= 0) {
+    throw new Error(`Invalid secrets expirationMinutes "${raw.expirationMinutes}"; expected a positive integer`);
+  }
+  if (manifest.hosting === "url" && (!Array.isArray(manifest.url.urls) || manifest.url.urls.length === 0)) {
+    throw new Error('URL-hosted secrets need "url.urls": the URLs where the encrypted secrets file will be served');
+  }
+
+  for (const [name, source] of Object.entries(raw.secrets || {})) {
+    manifest.secrets[name] = normalizeSource(name, source);
+  }
+
+  return manifest;
+}
+
+/**
+ * Resolve the secret values referenced by a manifest and register them for redaction
+ * @param {Object} manifest - Manifest from loadSecretsManifest
+ * @returns {{secrets: Object<string, string>, missing: string[]}} Resolved values and descriptions of missing ones
+ */
+function collectSecrets(manifest) {
+  const secrets = {};
+  const missing = [];
+
+  for (const [name, source] of Object.entries(manifest.secrets)) {
+    if (source.env) {
+      const value = process.env[source.env];
+      if (value === undefined || value === "") {
+        missing.push(`${name} (env ${source.env} is not set)`);
+      } else {
+        secrets[name] = value;
+      }
+    } else if (source.file) {
+      const filePath = path.resolve(manifest.baseDir, source.file);
+      if (!fs.existsSync(filePath)) {
+        missing.push(`${name} (file ${filePath} not found)`);
+      } else {
+        secrets[name] = fs.readFileSync(filePath, "utf8").replace(/\r?\n$/, "");
+      }
+    } else {
+      secrets[name] = String(source.value);
+    }
+  }
+
+  // Resolved values are masked in all output from here on
+  Object.values(secrets).forEach(registerSecret);
+
+  if (manifest.hosting === "gist" && !process.env[manifest.gist.tokenEnv]) {
+    missing.push(`GitHub token for gist hosting (env ${manifest.gist.tokenEnv} is not set)`);
+  }
+
+  return { secrets, missing };
+}
+
+/**
+ * Resolve the secret values referenced by a manifest, failing on any missing value
+ * @param {Object} manifest - Manifest from loadSecretsManifest
+ * @returns {Object<string, string>} Secret values keyed by name
+ * @throws {Error} If any referenced secret is missing
+ */
+function resolveSecrets(manifest) {
+  const { secrets, missing } = collectSecrets(manifest);
+  if (missing.length > 0) {
+    const source = manifest.path || "the default Alpaca secrets";
+    throw new Error(`Missing secrets referenced by ${source}:\n${missing.join("\n")}`);
+  }
+  return secrets;
+}
+
+module.exports = {
+  HOSTING_TYPES,
+  loadSecretsManifest,
+  collectSecrets,
+  resolveSecrets,
+};
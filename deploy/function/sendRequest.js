@@ -0,0 +1,272 @@
+/**
+ * Chainlink Functions Request Script
+ * Sends a request through the deployed consumer and waits for the DON to fulfill it
+ */
+
+const { ethers } = require("ethers");
+const { loadEnvFile, setupEnvProfile } = require("../helpers/updateEnvFile");
+const { logError, logInfo, logSuccess, logWarn, setupLogging } = require("../helpers/log");
+const { withRetry, sendTransactionWithRetry, ERROR_KINDS } = require("../helpers/retry");
+const { assertReturnType, decodeResponse } = require("./response");
+
+const ROUTER_EVENTS_ABI = [
+  "event RequestStart(bytes32 indexed requestId, bytes32 indexed donId, uint64 indexed subscriptionId, address subscriptionOwner, address requestingContract, address requestInitiator, bytes data, uint16 dataVersion, uint32 callbackGasLimit, uint96 estimatedTotalCostJuels)",
+  "event RequestProcessed(bytes32 indexed requestId, uint64 indexed subscriptionId, uint96 totalCostJuels, address transmitter, uint8 resultCode, bytes response, bytes err, bytes callbackReturnData)",
+  "event RequestNotProcessed(bytes32 indexed requestId, address coordinator, address transmitter, uint8 resultCode)",
+  "event RequestTimedOut(bytes32 indexed requestId)",
+];
+
+// FunctionsResponse.FulfillResult
+const FULFILL_RESULTS = [
+  "FULFILLED",
+  "USER_CALLBACK_ERROR",
+  "INVALID_REQUEST_ID",
+  "COST_EXCEEDS_COMMITMENT",
+  "INSUFFICIENT_GAS_PROVIDED",
+  "SUBSCRIPTION_BALANCE_INVARIANT_VIOLATION",
+  "INVALID_COMMITMENT",
+];
+
+const routerIface = new ethers.Interface(ROUTER_EVENTS_ABI);
+
+/**
+ * Parse the request arguments, given as a JSON array
+ * @param {string|Array} [value] - Raw arguments
+ * @returns {Array} Arguments
+ */
+function parseRequestArgs(value) {
+  if (value === undefined || value === null || value === "") return [];
+  if (Array.isArray(value)) return value;
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Request arguments must be a JSON array: ${error.message}`);
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error("Request arguments must be a JSON array");
+  }
+  return parsed;
+}
+
+/**
+ * Find the RequestStart event the router emitted in a request transaction
+ * @param {Object} receipt - Receipt of the request transaction
+ * @param {string} routerAddress - Functions router address
+ * @returns {{requestId: string, subscriptionId: bigint, estimatedTotalCostJuels: bigint, callbackGasLimit: bigint}} Request details
+ * @throws {Error} If the transaction did not start a request
+ */
+function parseRequestStart(receipt, routerAddress) {
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== routerAddress.toLowerCase()) continue;
+    let parsed = null;
+    try {
+      parsed = routerIface.parseLog(log);
+    } catch (error) {
+      continue;
+    }
+    if (parsed && parsed.name === "RequestStart") {
+      return {
+        requestId: parsed.args.requestId,
+        subscriptionId: parsed.args.subscriptionId,
+        estimatedTotalCostJuels: parsed.args.estimatedTotalCostJuels,
+        callbackGasLimit: parsed.args.callbackGasLimit,
+      };
+    }
+  }
+  throw new Error(`No RequestStart event from router ${routerAddress} in ${receipt.hash}`);
+}
+
+/**
+ * Poll the router for the outcome of a request
+ * @param {Object} provider - ethers provider
+ * @param {string} routerAddress - Functions router address
+ * @param {string} requestId - Request ID from RequestStart
+ * @param {Object} options - Polling options
+ * @param {number} options.fromBlock - Block the request was sent in
+ * @param {number} [options.timeoutMs=300000] - Give up after this long
+ * @param {number} [options.pollIntervalMs=5000] - Delay between polls
+ * @returns {Promise<Object>} The parsed RequestProcessed, RequestNotProcessed or RequestTimedOut event
+ * @throws {Error} If no outcome is seen before the timeout
+ */
+async function waitForFulfillment(provider, routerAddress, requestId, { fromBlock, timeoutMs = 300000, pollIntervalMs = 5000 }) {
+  const outcomeTopics = ["RequestProcessed", "RequestNotProcessed", "RequestTimedOut"]
+    .map((name) => routerIface.getEvent(name).topicHash);
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const logs = await withRetry(() => provider.getLogs({
+      address: routerAddress,
+      topics: [outcomeTopics, requestId],
+      fromBlock,
+      toBlock: "latest",
+    }), { label: "Fulfillment poll", retryOn: [ERROR_KINDS.TRANSIENT] });
+    if (logs.length > 0) {
+      return { ...routerIface.parseLog(logs[0]), blockNumber: logs[0].blockNumber, transactionHash: logs[0].transactionHash };
+    }
+    await new Promise((resolve) => setTimeout(resolve, pollIntervalMs));
+  }
+
+  throw new Error(`Request ${requestId} was not fulfilled within ${Math.round(timeoutMs / 1000)}s`);
+}
+
+/**
+ * Send a Functions request through the consumer contract and wait for fulfillment
+ * @param {Object} options - Request options
+ * @param {string} options.contractAddress - Consumer contract
+ * @param {string} options.functionSignature - Request-sending function, e.g. "sendRequest(uint64,string[])"
+ * @param {Array} [options.args=[]] - Arguments for the request-sending function
+ * @param {string} [options.returnType="uint256"] - Type to decode the response as
+ * @param {number} [options.timeoutMs=300000] - How long to wait for the DON
+ * @param {string} options.routerAddress - Functions router address
+ * @param {string} options.privateKey - Private key allowed to call the consumer
+ * @param {string} options.rpcUrl - RPC endpoint URL
+ * @returns {Promise<Object>} Request ID, result code, decoded response or error, cost and timing
+ * @throws {Error} If the request fails to start or times out
+ */
+async function sendRequest(options) {
+  const {
+    contractAddress,
+    functionSignature,
+    args = [],
+    returnType = "uint256",
+    timeoutMs = 300000,
+    routerAddress,
+    privateKey,
+    rpcUrl,
+  } = options;
+
+  if (!ethers.isAddress(contractAddress)) {
+    throw new Error(`Invalid consumer address: ${contractAddress}`);
+  }
+  if (!functionSignature) {
+    throw new Error("No request function: set FUNCTIONS_REQUEST_FUNCTION or pass --function");
+  }
+  assertReturnType(returnType);
+  if (!routerAddress) {
+    throw new Error("Functions router address unknown; set FUNCTIONS_ROUTER_ADDRESS");
+  }
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const wallet = new ethers.Wallet(privateKey, provider);
+  const fragment = functionSignature.startsWith("function ") ? functionSignature : `function ${functionSignature}`;
+  const consumer = new ethers.Contract(contractAddress, [fragment], wallet);
+  const method = consumer.interface.fragments[0].name;
+
+  logInfo(`Calling ${method}(${args.map((arg) => JSON.stringify(arg)).join(", ")}) on ${contractAddress}`);
+  const startedAt = Date.now();
+  const receipt = await sendTransactionWithRetry(wallet, consumer[method].populateTransaction(...args), {
+    label: `${method} request`,
+  });
+  logSuccess(`Request transaction confirmed! Hash: ${receipt.hash}`);
+
+  const request = parseRequestStart(receipt, routerAddress);
+  logInfo(`Request ${request.requestId} started on subscription ${request.subscriptionId}`);
+  logInfo(`Estimated cost: ${ethers.formatUnits(request.estimatedTotalCostJuels, 18)} LINK`);
+  logInfo(`Waiting up to ${Math.round(timeoutMs / 1000)}s for fulfillment...`);
+
+  const outcome = await waitForFulfillment(provider, routerAddress, request.requestId, {
+    fromBlock: receipt.blockNumber,
+    timeoutMs,
+  });
+  const elapsedSeconds = (Date.now() - startedAt) / 1000;
+
+  const result = {
+    requestId: request.requestId,
+    requestTxHash: receipt.hash,
+    fulfillmentTxHash: outcome.transactionHash,
+    elapsedSeconds,
+  };
+
+  if (outcome.name === "RequestTimedOut") {
+    return { ...result, resultCode: "TIMED_OUT" };
+  }
+
+  result.resultCode = FULFILL_RESULTS[Number(outcome.args.resultCode)] || String(outcome.args.resultCode);
+  if (outcome.name === "RequestNotProcessed") {
+    return result;
+  }
+
+  result.totalCostJuels = outcome.args.totalCostJuels.toString();
+  result.responseBytes = outcome.args.response;
+  result.error = outcome.args.err && outcome.args.err !== "0x" ? ethers.toUtf8String(outcome.args.err) : null;
+  // A DON error comes with an empty response, which is no value of the return type
+  if (result.error) {
+    result.response = "";
+  } else {
+    try {
+      result.response = decodeResponse(outcome.args.response, returnType);
+    } catch (error) {
+      // The request is fulfilled either way; keep the raw bytes rather than lose the result
+      logWarn(`${error.message}; showing the raw response`);
+      result.response = outcome.args.response;
+    }
+  }
+  return result;
+}
+
+/**
+ * Print the outcome of a request
+ * @param {Object} result - Result from sendRequest
+ */
+function printResult(result) {
+  logInfo(`Result: ${result.resultCode} after ${result.elapsedSeconds.toFixed(1)}s`);
+  if (result.fulfillmentTxHash) logInfo(`Fulfillment transaction: ${result.fulfillmentTxHash}`);
+  if (result.totalCostJuels !== undefined) {
+    logInfo(`Billed: ${ethers.formatUnits(result.totalCostJuels, 18)} LINK`);
+  }
+  if (result.error) {
+    logError(`DON returned an error: ${result.error}`);
+  } else if (result.response !== undefined) {
+    logSuccess(`Response: ${result.response}`);
+  }
+}
+
+module.exports = {
+  ROUTER_EVENTS_ABI,
+  FULFILL_RESULTS,
+  parseRequestArgs,
+  parseRequestStart,
+  waitForFulfillment,
+  sendRequest,
+};
+
+
+if (require.main === module) {
+  // Load environment variables, from .env.<name> with --env <name>
+  const argv = setupEnvProfile(process.argv.slice(2));
+  loadEnvFile();
+  // Mask keys and secrets in everything the script prints
+  require("../helpers/redact").redactConsole();
+
+  // Level, format and run log file from --verbose, --quiet, --log-json and LOG_*
+  const args = setupLogging(argv);
+  const getFlag = (flag) => {
+    const idx = args.indexOf(flag);
+    return idx !== -1 ? args[idx + 1] : undefined;
+  };
+
+  const { resolveNetwork } = require("../config/networks");
+  const { getPrivateKey } = require("../helpers/signer");
+
+  Promise.resolve()
+    .then(async () => sendRequest({
+      contractAddress: getFlag("--contract") || process.env.CONTRACT_ADDRESS,
+      functionSignature: getFlag("--function") || process.env.FUNCTIONS_REQUEST_FUNCTION,
+      args: parseRequestArgs(getFlag("--args") || process.env.FUNCTIONS_REQUEST_ARGS),
+      returnType: getFlag("--return-type") || process.env.FUNCTIONS_RETURN_TYPE || "uint256",
+      timeoutMs: Number(getFlag("--timeout") || process.env.FUNCTIONS_REQUEST_TIMEOUT || 300) * 1000,
+      routerAddress: resolveNetwork().functions.routerAddress,
+      privateKey: await getPrivateKey(),
+      rpcUrl: process.env.RPC_URL,
+    }))
+    .then((result) => {
+      printResult(result);
+      process.exit(result.resultCode === "FULFILLED" && !result.error ? 0 : 1);
+    })
+    .catch((error) => {
+      logError("Functions request failed:", error.shortMessage || error.message);
+      if (error.reason) logWarn(`Reason: ${error.reason}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,161 @@
+/**
+ * Chainlink Functions Simulation Script
+ * Runs the request source locally with the configured args and secrets,
+ * using the same secrets map that uploadSecrets.js uploads
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { loadEnvFile, setupEnvProfile } = require("../helpers/updateEnvFile");
+const { logError, logInfo, logSuccess, setupLogging } = require("../helpers/log");
+const { loadSecretsManifest, resolveSecrets } = require("./secretsManifest");
+const { assertReturnType, decodeResponse } = require("./response");
+const { simulateScript } = require("@chainlink/functions-toolkit");
+
+/**
+ * Parse a list of request arguments, given as a JSON array or a comma-separated list
+ * @param {string|string[]} [value] - Raw list
+ * @param {string} label - Variable name for error messages
+ * @returns {string[]} Arguments as strings
+ */
+function parseArgsList(value, label) {
+  if (value === undefined || value === null || value === "") return [];
+  if (Array.isArray(value)) return value.map(String);
+
+  const trimmed = String(value).trim();
+  if (trimmed.startsWith("[")) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`${label} is not a valid JSON array: ${error.message}`);
+    }
+    if (!Array.isArray(parsed)) {
+      throw new Error(`${label} must be a JSON array`);
+    }
+    return parsed.map(String);
+  }
+  return trimmed.split(",").map((arg) => arg.trim());
+}
+
+/**
+ * Read the simulation settings from the environment
+ * @param {Object} [overrides] - Values taking precedence over the environment
+ * @param {string} [overrides.sourcePath] - Request source file (FUNCTIONS_SOURCE_PATH)
+ * @param {string} [overrides.returnType] - Expected return type (FUNCTIONS_RETURN_TYPE)
+ * @returns {{sourcePath: string, source: string, args: string[], bytesArgs: string[], returnType: string}} Simulation settings
+ * @throws {Error} If the source is missing or a setting is invalid
+ */
+function loadSimulationConfig(overrides = {}) {
+  const sourcePath = overrides.sourcePath || process.env.FUNCTIONS_SOURCE_PATH;
+  if (!sourcePath) {
+    throw new Error("No Functions source: set FUNCTIONS_SOURCE_PATH or pass --source");
+  }
+  const resolvedPath = path.resolve(sourcePath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Functions source not found: ${resolvedPath}`);
+  }
+
+  const returnType = assertReturnType(overrides.returnType || process.env.FUNCTIONS_RETURN_TYPE || "uint256");
+
+  const bytesArgs = parseArgsList(process.env.FUNCTIONS_BYTES_ARGS, "FUNCTIONS_BYTES_ARGS");
+  for (const arg of bytesArgs) {
+    if (!/^0x([0-9a-fA-F]{2})*$/.test(arg)) {
+      throw new Error(`FUNCTIONS_BYTES_ARGS entry "${arg}" is not a hex string`);
+    }
+  }
+
+  return {
+    sourcePath: resolvedPath,
+    source: fs.readFileSync(resolvedPath, "utf8"),
+    args: parseArgsList(process.env.FUNCTIONS_ARGS, "FUNCTIONS_ARGS"),
+    bytesArgs,
+    returnType,
+  };
+}
+
+/**
+ * Run the request source locally
+ * @param {Object} config - Settings from loadSimulationConfig
+ * @param {Object<string, string>} secrets - Secrets map from the secrets manifest
+ * @returns {Promise<{success: boolean, responseBytesHexstring?: string, decodedResponse?: string, errorString?: string, capturedTerminalOutput: string}>} Simulation result
+ */
+async function simulateSource(config, secrets) {
+  const { responseBytesHexstring, errorString, capturedTerminalOutput } = await simulateScript({
+    source: config.source,
+    args: config.args,
+    bytesArgs: config.bytesArgs,
+    secrets,
+  });
+
+  if (errorString) {
+    return { success: false, errorString, capturedTerminalOutput };
+  }
+  return {
+    success: true,
+    responseBytesHexstring,
+    decodedResponse: decodeResponse(responseBytesHexstring, config.returnType),
+    capturedTerminalOutput,
+  };
+}
+
+/**
+ * Simulate the configured source and print its output.
+ * Prints "Decoded response: <value>" on success.
+ * @param {Object} [overrides] - See loadSimulationConfig
+ * @returns {Promise<Object>} Simulation result
+ * @throws {Error} If the source fails
+ */
+async function main(overrides = {}) {
+  const config = loadSimulationConfig(overrides);
+  const secrets = resolveSecrets(loadSecretsManifest());
+
+  logInfo(`Simulating ${config.sourcePath}`);
+  logInfo(`  args: ${JSON.stringify(config.args)}`);
+  logInfo(`  bytesArgs: ${JSON.stringify(config.bytesArgs)}`);
+  logInfo(`  secrets: ${Object.keys(secrets).join(", ") || "none"}`);
+
+  const result = await simulateSource(config, secrets);
+
+  if (result.capturedTerminalOutput) {
+    logInfo(`Captured output:\n${result.capturedTerminalOutput.trimEnd()}`);
+  }
+
+  if (!result.success) {
+    throw new Error(`Simulation failed: ${result.errorString}`);
+  }
+
+  logInfo(`Response bytes: ${result.responseBytesHexstring}`);
+  logSuccess(`Decoded response: ${result.decodedResponse} (${config.returnType})`);
+  return result;
+}
+
+module.exports = {
+  parseArgsList,
+  loadSimulationConfig,
+  simulateSource,
+  main,
+};
+
+
+if (require.main === module) {
+  // Load environment variables, from .env.<name> with --env <name>
+  const argv = setupEnvProfile(process.argv.slice(2));
+  loadEnvFile();
+  // Mask keys and secrets in everything the script prints
+  require("../helpers/redact").redactConsole();
+
+  // Level, format and run log file from --verbose, --quiet, --log-json and LOG_*
+  const args = setupLogging(argv);
+  const getFlag = (flag) => {
+    const idx = args.indexOf(flag);
+    return idx !== -1 ? args[idx + 1] : undefined;
+  };
+
+  main({ sourcePath: getFlag("--source"), returnType: getFlag("--return-type") })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logError(error.message);
+      process.exit(1);
+    });
+}
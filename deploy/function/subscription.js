@@ -0,0 +1,269 @@
+/**
+ * Chainlink Functions Subscription Script
+ * Creates, funds, inspects, transfers and cancels Functions subscriptions on the router
+ */
+
+const { ethers } = require("ethers");
+const { loadEnvFile, setupEnvProfile } = require("../helpers/updateEnvFile");
+const { logError, logInfo, logSuccess, logWarn, setupLogging } = require("../helpers/log");
+const { LINK_ABI, UINT96_MAX, parseAddress, sendAndWait, printUsage } = require("../helpers/tx");
+
+const ROUTER_ABI = [
+  "event SubscriptionCreated(uint64 indexed subscriptionId, address owner)",
+  "error SenderMustAcceptTermsOfService(address sender)",
+  "function createSubscription() returns (uint64 subscriptionId)",
+  "function getSubscription(uint64 subscriptionId) view returns (tuple(uint96 balance, address owner, uint96 blockedBalance, address proposedOwner, address[] consumers, bytes32 flags))",
+  "function addConsumer(uint64 subscriptionId, address consumer)",
+  "function removeConsumer(uint64 subscriptionId, address consumer)",
+  "function cancelSubscription(uint64 subscriptionId, address to)",
+  "function proposeSubscriptionOwnerTransfer(uint64 subscriptionId, address newOwner)",
+  "function acceptSubscriptionOwnerTransfer(uint64 subscriptionId)",
+];
+
+/**
+ * Create a subscription owned by the signer
+ * @param {Object} ctx - Router context
+ * @returns {Promise<{subscriptionId: string, txHash: string}>} New subscription ID
+ */
+async function createSubscription(ctx) {
+  const receipt = await sendAndWait("Create subscription", ctx.router, "createSubscription", []);
+  const created = receipt.logs
+    .map((log) => {
+      try {
+        return ctx.router.interface.parseLog(log);
+      } catch (error) {
+        return null;
+      }
+    })
+    .find((parsed) => parsed && parsed.name === "SubscriptionCreated");
+  if (!created) {
+    throw new Error("SubscriptionCreated event not found in the receipt");
+  }
+  const subscriptionId = created.args.subscriptionId.toString();
+  logSuccess(`Created Functions subscription ${subscriptionId}`);
+  return { subscriptionId, txHash: receipt.hash };
+}
+
+/**
+ * Fund a subscription with LINK via transferAndCall to the router
+ * @param {Object} ctx - Router context
+ * @param {string} subscriptionId - Subscription ID
+ * @param {string} amount - Amount of LINK in juels
+ * @returns {Promise<string>} Transaction hash
+ */
+async function fundSubscription(ctx, subscriptionId, amount) {
+  if (!/^\d+$/.test(String(amount || "")) || BigInt(amount) > UINT96_MAX) {
+    throw new Error(`Funding amount must be a uint96 amount of juels, got "${amount}"`);
+  }
+  const link = new ethers.Contract(ctx.linkTokenAddress, LINK_ABI, ctx.wallet);
+  const data = ethers.AbiCoder.defaultAbiCoder().encode(["uint64"], [subscriptionId]);
+  logInfo(`Funding subscription ${subscriptionId} with ${ethers.formatUnits(amount, 18)} LINK`);
+  const receipt = await sendAndWait("Fund subscription", link, "transferAndCall", [ctx.routerAddress, amount, data]);
+  return receipt.hash;
+}
+
+/**
+ * Read a subscription's balance, owner and consumers
+ * @param {Object} ctx - Router context
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<Object>} Subscription details
+ */
+async function getSubscription(ctx, subscriptionId) {
+  const sub = await ctx.router.getSubscription(subscriptionId);
+  return {
+    subscriptionId: String(subscriptionId),
+    balance: sub.balance,
+    blockedBalance: sub.blockedBalance,
+    owner: sub.owner,
+    proposedOwner: sub.proposedOwner,
+    consumers: [...sub.consumers],
+  };
+}
+
+/**
+ * Subscription commands. Each receives the router context, the subscription ID
+ * and positional arguments.
+ */
+const COMMANDS = {
+  "create": {
+    usage: "create [fundAmountJuels]",
+    description: "Create a subscription owned by the signer and optionally fund it",
+    run: async (ctx, _subscriptionId, amount) => {
+      const result = await createSubscription(ctx);
+      if (amount) {
+        try {
+          result.fundTxHash = await fundSubscription(ctx, result.subscriptionId, amount);
+        } catch (error) {
+          // The subscription exists either way; name it so it can be funded instead of created again
+          error.message = `Subscription ${result.subscriptionId} was created, but funding it failed: ${error.message}`;
+          throw error;
+        }
+      }
+      return result;
+    },
+  },
+  "fund": {
+    usage: "fund <amountJuels>",
+    description: "Fund the subscription with LINK via transferAndCall to the router",
+    run: (ctx, subscriptionId, amount) => fundSubscription(ctx, subscriptionId, amount),
+  },
+  "info": {
+    usage: "info",
+    description: "Show balance, owner and consumers",
+    run: async (ctx, subscriptionId) => {
+      const sub = await getSubscription(ctx, subscriptionId);
+      logInfo(`Subscription ${subscriptionId} on router ${ctx.routerAddress}`);
+      logInfo(`  Owner: ${sub.owner}`);
+      if (sub.proposedOwner !== ethers.ZeroAddress) logInfo(`  Proposed owner: ${sub.proposedOwner}`);
+      logInfo(`  Balance: ${ethers.formatUnits(sub.balance, 18)} LINK (${ethers.formatUnits(sub.blockedBalance, 18)} blocked)`);
+      logInfo(`  Consumers (${sub.consumers.length}):`);
+      sub.consumers.forEach((consumer) => logInfo(`    ${consumer}`));
+      return sub;
+    },
+  },
+  "add-consumer": {
+    usage: "add-consumer <address>",
+    description: "Authorize a consumer contract",
+    run: async (ctx, subscriptionId, consumer) =>
+      (await sendAndWait("Add consumer", ctx.router, "addConsumer", [subscriptionId, parseAddress(consumer, "Consumer")])).hash,
+  },
+  "remove-consumer": {
+    usage: "remove-consumer <address>",
+    description: "Remove a consumer contract",
+    run: async (ctx, subscriptionId, consumer) =>
+      (await sendAndWait("Remove consumer", ctx.router, "removeConsumer", [subscriptionId, parseAddress(consumer, "Consumer")])).hash,
+  },
+  "cancel": {
+    usage: "cancel [refundAddress]",
+    description: "Cancel the subscription and refund its balance (defaults to the signer)",
+    run: async (ctx, subscriptionId, refundAddress) => {
+      const to = refundAddress ? parseAddress(refundAddress, "Refund address") : ctx.wallet.address;
+      return (await sendAndWait("Cancel subscription", ctx.router, "cancelSubscription", [subscriptionId, to])).hash;
+    },
+  },
+  "transfer-owner": {
+    usage: "transfer-owner <newOwner>",
+    description: "Propose a new owner (the new owner must run accept-owner)",
+    run: async (ctx, subscriptionId, newOwner) =>
+      (await sendAndWait(
+        "Propose owner transfer",
+        ctx.router, "proposeSubscriptionOwnerTransfer", [subscriptionId, parseAddress(newOwner, "New owner")]
+      )).hash,
+  },
+  "accept-owner": {
+    usage: "accept-owner",
+    description: "Accept a pending ownership transfer as the proposed owner",
+    run: async (ctx, subscriptionId) =>
+      (await sendAndWait("Accept owner transfer", ctx.router, "acceptSubscriptionOwnerTransfer", [subscriptionId])).hash,
+  },
+};
+
+/**
+ * Run a subscription command
+ * @param {string} command - Command name (see COMMANDS)
+ * @param {string[]} [args=[]] - Positional command arguments
+ * @param {Object} options - Router context
+ * @param {string} [options.subscriptionId] - Subscription ID (not needed for "create")
+ * @param {string} options.routerAddress - Functions router address
+ * @param {string} options.linkTokenAddress - LINK token address
+ * @param {string|function(): Promise<string>} [options.privateKey] - Private key of the subscription owner, or a function resolving it
+ *   (called only for commands that send transactions)
+ * @param {string} options.rpcUrl - RPC endpoint URL
+ * @returns {Promise<string|Object>} Transaction hash, or a result object for "create" and "info"
+ */
+async function runSubscriptionCommand(command, args = [], options) {
+  const spec = COMMANDS[command];
+  if (!spec) {
+    throw new Error(`Unknown subscription command "${command}". Available: ${Object.keys(COMMANDS).join(", ")}`);
+  }
+  const { subscriptionId, routerAddress, linkTokenAddress, privateKey, rpcUrl } = options;
+  if (!subscriptionId && command !== "create") {
+    throw new Error("No subscription ID: pass --subscription-id or set FUNCTIONS_SUBSCRIPTION_ID");
+  }
+  if (!routerAddress) {
+    throw new Error("Functions router address unknown; set FUNCTIONS_ROUTER_ADDRESS");
+  }
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const key = typeof privateKey === "function"
+    ? (command === "info" ? null : await privateKey())
+    : privateKey;
+  const wallet = key ? new ethers.Wallet(key, provider) : null;
+  if (!wallet && command !== "info") {
+    throw new Error("A signer is required to send subscription transactions: set PRIVATE_KEY, FOUNDRY_ACCOUNT, KEYSTORE_PATH or MNEMONIC");
+  }
+
+  const ctx = {
+    provider,
+    wallet,
+    routerAddress,
+    linkTokenAddress,
+    router: new ethers.Contract(routerAddress, ROUTER_ABI, wallet || provider),
+  };
+
+  try {
+    return await spec.run(ctx, subscriptionId, ...args);
+  } catch (error) {
+    if (error.revert && error.revert.name === "SenderMustAcceptTermsOfService") {
+      throw new Error(
+        `${error.revert.args.sender} has not accepted the Chainlink Functions Terms of Service. ` +
+        "Accept them once in the Functions UI with this wallet, then retry."
+      );
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  ROUTER_ABI,
+  COMMANDS,
+  createSubscription,
+  fundSubscription,
+  getSubscription,
+  runSubscriptionCommand,
+};
+
+
+if (require.main === module) {
+  // Load environment variables, from .env.<name> with --env <name>
+  const argv = setupEnvProfile(process.argv.slice(2));
+  loadEnvFile();
+  // Mask keys and secrets in everything the script prints
+  require("../helpers/redact").redactConsole();
+
+  // Level, format and run log file from --verbose, --quiet, --log-json and LOG_*
+  const args = setupLogging(argv);
+  const idx = args.indexOf("--subscription-id");
+  const subscriptionIdFlag = idx !== -1 ? args.splice(idx, 2)[1] : undefined;
+  const [command, ...commandArgs] = args;
+
+  if (!command || command === "help" || command === "--help") {
+    printUsage("node deploy/function/subscription.js <command> [args] [--subscription-id <id>]", COMMANDS,
+      "The subscription ID defaults to FUNCTIONS_SUBSCRIPTION_ID.");
+    process.exit(command ? 0 : 1);
+  }
+
+  const { resolveNetwork } = require("../config/networks");
+  const { getPrivateKey } = require("../helpers/signer");
+  const { updateEnvFile } = require("../helpers/updateEnvFile");
+  const network = resolveNetwork();
+
+  runSubscriptionCommand(command, commandArgs, {
+    subscriptionId: subscriptionIdFlag || process.env.FUNCTIONS_SUBSCRIPTION_ID,
+    routerAddress: network.functions.routerAddress,
+    linkTokenAddress: network.linkTokenAddress,
+    privateKey: getPrivateKey,
+    rpcUrl: process.env.RPC_URL,
+  })
+    .then((result) => {
+      if (command === "create") {
+        updateEnvFile("FUNCTIONS_SUBSCRIPTION_ID", result.subscriptionId);
+      }
+      process.exit(0);
+    })
+    .catch((error) => {
+      logError(`Subscription ${command} failed:`, error.shortMessage || error.message);
+      if (error.reason) logWarn(`Reason: ${error.reason}`);
+      process.exit(1);
+    });
+}
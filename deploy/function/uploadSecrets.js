@@ -1,35 +1,46 @@
 /**
  * Chainlink Functions Secrets Upload Script
- * Uploads encrypted secrets to the DON (Decentralized Oracle Network)
+ * Encrypts the secrets listed in the secrets manifest and uploads them to the
+ * DON (Decentralized Oracle Network), a GitHub gist, or a file served from a URL
  */
 
-const { loadEnvFile } = require("../helpers/updateEnvFile");
-const { SecretsManager } = require("@chainlink/functions-toolkit");
+const fs = require("fs");
+const path = require("path");
+const { loadEnvFile, setupEnvProfile, updateEnvFile } = require("../helpers/updateEnvFile");
+const { getPrivateKey } = require("../helpers/signer");
+const { logError, logInfo, logSuccess, setupLogging } = require("../helpers/log");
+const { withRetry, ERROR_KINDS } = require("../helpers/retry");
+const { resolveNetwork } = require("../config/networks");
+const { loadSecretsManifest, resolveSecrets } = require("./secretsManifest");
+const { SecretsManager, createGist } = require("@chainlink/functions-toolkit");
 
-// Load environment variables
-loadEnvFile();
 // Use ethers v5 that comes with the Chainlink toolkit
 const ethers = require("@chainlink/functions-toolkit/node_modules/ethers");
 
 /**
- * Upload secrets to Chainlink Functions DON
- * @returns {Promise<void>}
+ * Encrypt and upload the secrets described by the secrets manifest
+ * @param {Object} [options] - Upload options
+ * @param {Object} [options.network] - Resolved network profile (defaults to resolveNetwork())
+ * @param {string} [options.rpcUrl] - RPC endpoint URL (defaults to RPC_URL)
+ * @returns {Promise<{hosting: string, slotId?: number, secretsVersion?: string, encryptedSecretsUrls?: string}>}
+ *   The DON secrets version and slot, or the encrypted secrets URLs for gist/URL hosting
+ * @throws {Error} If Functions is not configured, a secret is missing or the upload fails
  */
-async function uploadSecrets() {
-  // Arbitrum Sepolia Testnet configuration
-  const routerAddress = "0x234a5fb5Bd614a7AA2FfAB244D603abFA0Ac5C5C";
-  const donId = "fun-arbitrum-sepolia-1";
-  const gatewayUrls = [
-    "https://01.functions-gateway.testnet.chain.link/",
-    "https://02.functions-gateway.testnet.chain.link/",
-  ];
-
-  const privateKey = process.env.PRIVATE_KEY;
-  const rpcUrl = process.env.RPC_URL;
-  const secrets = {
-    alpacaKey: process.env.ALPACA_API_KEY,
-    alpacaSecret: process.env.ALPACA_SECRET_KEY,
-  };
+async function uploadSecrets({ network = resolveNetwork(), rpcUrl = process.env.RPC_URL } = {}) {
+  // Router, DON and gateways come from the selected network profile
+  const { routerAddress, donId, gatewayUrls } = network.functions;
+  if (!routerAddress || !donId || !gatewayUrls || gatewayUrls.length === 0) {
+    throw new Error(
+      `Chainlink Functions is not configured for ${network.name}. ` +
+      "Set FUNCTIONS_ROUTER_ADDRESS, FUNCTIONS_DON_ID and FUNCTIONS_GATEWAY_URLS."
+    );
+  }
+
+  // Fail before touching the network if any referenced secret is missing
+  const manifest = loadSecretsManifest();
+  const secrets = resolveSecrets(manifest);
+
+  const privateKey = await getPrivateKey();
 
   const provider = new ethers.providers.JsonRpcProvider(rpcUrl); // Connect to blockchain
   const wallet = new ethers.Wallet(privateKey);
@@ -41,29 +52,90 @@ async function uploadSecrets() {
     donId: donId,
   });
 
-  await secretsManager.initialize();
+  // Gateway and RPC hiccups are retried; anything else (bad DON ID, wrong router) fails at once
+  const retryOptions = { retryOn: [ERROR_KINDS.TRANSIENT] };
+
+  await withRetry(() => secretsManager.initialize(), { ...retryOptions, label: "SecretsManager initialization" });
 
   const encryptedSecrets = await secretsManager.encryptSecrets(secrets);
-  const soltIdNumber = 0;
-  const expirationTimeMinutes = 1440;
-
-  const uploadResult = await secretsManager.uploadEncryptedSecretsToDON({
-    encryptedSecretsHexstring: encryptedSecrets.encryptedSecrets,
-    gatewayUrls: gatewayUrls,
-    slotId: soltIdNumber,
-    minutesUntilExpiration: expirationTimeMinutes,
-  });
 
-  if (!uploadResult.success) {
-    throw new Error(`Failed to upload secrets ${uploadResult.errorMessage}`);
+  if (manifest.hosting === "don") {
+    const uploadResult = await withRetry(async () => {
+      const result = await secretsManager.uploadEncryptedSecretsToDON({
+        encryptedSecretsHexstring: encryptedSecrets.encryptedSecrets,
+        gatewayUrls: gatewayUrls,
+        slotId: manifest.slotId,
+        minutesUntilExpiration: manifest.expirationMinutes,
+      });
+      if (!result.success) {
+        throw new Error(`Failed to upload secrets ${result.errorMessage}`);
+      }
+      return result;
+    }, { ...retryOptions, label: "DON secrets upload" });
+
+    return { hosting: manifest.hosting, slotId: manifest.slotId, secretsVersion: String(parseInt(uploadResult.version)) };
   }
 
-  const donHostedSecretsVersion = parseInt(uploadResult.version);
+  // Remote hosting: publish the encrypted secrets, then encrypt their URLs for the request
+  let urls;
+  if (manifest.hosting === "gist") {
+    // Not retried: a timeout can arrive after GitHub created the gist, and a retry would publish a second one
+    let gistUrl;
+    try {
+      gistUrl = await createGist(process.env[manifest.gist.tokenEnv], JSON.stringify(encryptedSecrets));
+    } catch (error) {
+      throw new Error(
+        `Gist creation failed: ${error.message}. Check your gists for one created anyway ` +
+        "and delete it before running again"
+      );
+    }
+    logInfo(`Encrypted secrets gist: ${gistUrl}`);
+    urls = [gistUrl];
+  } else {
+    const outputFile = path.resolve(manifest.url.outputFile);
+    fs.writeFileSync(outputFile, JSON.stringify(encryptedSecrets));
+    logInfo(`Encrypted secrets written to ${outputFile}; serve it at ${manifest.url.urls.join(", ")}`);
+    urls = manifest.url.urls;
+  }
 
-  console.log(donHostedSecretsVersion);
+  const encryptedSecretsUrls = await secretsManager.encryptSecretsUrls(urls);
+  return { hosting: manifest.hosting, encryptedSecretsUrls };
 }
 
-uploadSecrets().catch((error) => {
-  console.error(error);
-  process.exitCode = 1;
-});
+module.exports = {
+  uploadSecrets,
+};
+
+
+if (require.main === module) {
+  // Load environment variables, from .env.<name> with --env <name>
+  const argv = setupEnvProfile(process.argv.slice(2));
+  loadEnvFile();
+  // Mask keys and secrets in everything the script prints
+  require("../helpers/redact").redactConsole();
+  // Level, format and run log file from --verbose, --quiet, --log-json and LOG_*
+  setupLogging(argv);
+
+  uploadSecrets()
+    .then((result) => {
+      if (result.secretsVersion) {
+        // Saved like ChainlinkFunctions.setupFunctions does, so the next request uses this version
+        if (!updateEnvFile("FUNCTIONS_SECRETS_VERSION", result.secretsVersion)) {
+          throw new Error("Failed to update FUNCTIONS_SECRETS_VERSION in .env file");
+        }
+        if (!updateEnvFile("FUNCTIONS_SECRETS_SLOT_ID", String(result.slotId))) {
+          throw new Error("Failed to update FUNCTIONS_SECRETS_SLOT_ID in .env file");
+        }
+        logSuccess(`Secrets version: ${result.secretsVersion} (slot ${result.slotId}), saved to .env`);
+        return;
+      }
+      if (!updateEnvFile("FUNCTIONS_ENCRYPTED_SECRETS_URLS", result.encryptedSecretsUrls)) {
+        throw new Error("Failed to update FUNCTIONS_ENCRYPTED_SECRETS_URLS in .env file");
+      }
+      logSuccess(`Encrypted secrets URLs: ${result.encryptedSecretsUrls}`);
+    })
+    .catch((error) => {
+      logError(error.message);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,171 @@
+/**
+ * Deployed contracts from forge's broadcast artifacts
+ * (broadcast/<script>/<chainId>/run-latest.json), mapped to .env variable names
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const CREATE_TYPES = ["CREATE", "CREATE2"];
+const DEFAULT_ENV_VAR = "CONTRACT_ADDRESS";
+
+/**
+ * Path of the artifact forge writes for a script run
+ * @param {string} scriptPath - Script passed to `forge script`, optionally with a ":Contract" suffix
+ * @param {number|string} chainId - Chain the script ran against
+ * @param {Object} [options] - Path options
+ * @param {boolean} [options.dryRun=false] - Simulation without --broadcast (written under dry-run/)
+ * @param {string} [options.root] - Foundry project root (defaults to the working directory)
+ * @returns {string} Absolute path of run-latest.json
+ */
+function getBroadcastPath(scriptPath, chainId, { dryRun = false, root = process.cwd() } = {}) {
+    const scriptFile = path.basename(scriptPath.split(":")[0]);
+    const parts = [root, "broadcast", scriptFile, String(chainId)];
+    if (dryRun) parts.push("dry-run");
+    return path.join(...parts, "run-latest.json");
+}
+
+/**
+ * Parse a contract-to-variable mapping such as "DStock:CONTRACT_ADDRESS,Test_USDC:USDC_TOKEN_ADDRESS"
+ * @param {string} [value] - Comma-separated Name:ENV_VAR pairs
+ * @returns {Object<string, string>} Env variable name keyed by contract name
+ * @throws {Error} If an entry is malformed
+ */
+function parseContractMap(value) {
+    const map = {};
+    if (!value) return map;
+    for (const entry of value.split(",").map(item => item.trim()).filter(Boolean)) {
+        const [name, envVar] = entry.split(/\s*(?::|->|=)\s*/);
+        if (!name || !envVar || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(envVar)) {
+            throw new Error(`Invalid DEPLOY_CONTRACT_MAP entry "${entry}"; expected ContractName:ENV_VAR`);
+        }
+        map[name] = envVar;
+    }
+    return map;
+}
+
+/**
+ * Derive a default variable name from a contract name, e.g. "Test_USDC" -> "TEST_USDC_ADDRESS"
+ * @param {string} contractName - Contract name
+ * @returns {string} Env variable name
+ */
+function defaultEnvVar(contractName) {
+    const snake = contractName
+        .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+        .replace(/[^A-Za-z0-9]+/g, "_")
+        .toUpperCase();
+    return `${snake}_ADDRESS`;
+}
+
+/**
+ * Read every contract created by a script run. Contracts whose creation
+ * transaction reverted are left out.
+ * @param {string} artifactPath - Path of run-latest.json
+ * @param {Object} [options] - Read options
+ * @param {number} [options.notBefore] - Reject an artifact last written before this time (ms), i.e. left over from an earlier run
+ * @returns {{contractName: string, contractAddress: string, txHash: string|null, initCode: string|null}[]}
+ *   Created contracts in deployment order, with the creation input (init code and constructor arguments)
+ * @throws {Error} If the artifact is missing, stale or unreadable
+ */
+function readDeployedContracts(artifactPath, { notBefore } = {}) {
+    if (!fs.existsSync(artifactPath)) {
+        throw new Error(`Forge broadcast artifact not found: ${artifactPath}`);
+    }
+    if (notBefore && fs.statSync(artifactPath).mtimeMs < notBefore) {
+        throw new Error(`Forge broadcast artifact ${artifactPath} predates this run; forge did not record the deployment`);
+    }
+
+    let run;
+    try {
+        run = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
+    } catch (error) {
+        throw new Error(`Failed to parse ${artifactPath}: ${error.message}`);
+    }
+
+    const failed = new Set(
+        (run.receipts || [])
+            .filter(receipt => receipt.status !== undefined && BigInt(receipt.status) === 0n)
+            .map(receipt => receipt.transactionHash)
+    );
+
+    return (run.transactions || [])
+        .filter(tx => CREATE_TYPES.includes(tx.transactionType) && tx.contractAddress && !failed.has(tx.hash))
+        .map(tx => ({
+            contractName: tx.contractName || "unknown",
+            contractAddress: ethers.getAddress(tx.contractAddress),
+            txHash: tx.hash || null,
+            initCode: (tx.transaction && (tx.transaction.input || tx.transaction.data)) || null
+        }));
+}
+
+/**
+ * Assign each deployed contract its .env variable and pick the contract that
+ * gets Chainlink services.
+ * Without a mapping, a single contract becomes CONTRACT_ADDRESS and several become <NAME>_ADDRESS,
+ * except the target, which becomes CONTRACT_ADDRESS unless another contract is mapped there.
+ * If a contract name was deployed more than once, the last instance wins.
+ * @param {Object[]} deployed - Contracts from readDeployedContracts
+ * @param {Object} [options] - Selection options
+ * @param {Object<string, string>} [options.contractMap] - From parseContractMap(DEPLOY_CONTRACT_MAP)
+ * @param {string} [options.target] - Contract name for Chainlink services (DEPLOY_TARGET_CONTRACT / --target)
+ * @param {boolean} [options.requireTarget=true] - Fail without a target; a pipeline names its service contracts itself
+ * @returns {{contracts: Object<string, {address: string, txHash: string|null, envVar: string}>, target: string|null}}
+ *   Contracts keyed by name, and the target's name
+ * @throws {Error} If nothing was deployed or the target is unknown or ambiguous
+ */
+function selectContracts(deployed, { contractMap = {}, target, requireTarget = true } = {}) {
+    if (deployed.length === 0) {
+        throw new Error("The forge script did not create any contracts");
+    }
+
+    const names = [...new Set(deployed.map(contract => contract.contractName))];
+    const contracts = {};
+    for (const { contractName, contractAddress, txHash } of deployed) {
+        const envVar = contractMap[contractName]
+            || (names.length === 1 ? DEFAULT_ENV_VAR : defaultEnvVar(contractName));
+        contracts[contractName] = { address: contractAddress, txHash, envVar };
+    }
+
+    for (const name of Object.keys(contractMap)) {
+        if (!contracts[name]) {
+            throw new Error(`${name} is mapped to ${contractMap[name]}, but the script deployed only ${names.join(", ")}`);
+        }
+    }
+    if (!requireTarget && !target) {
+        return { contracts, target: null };
+    }
+
+    let selected = target;
+    if (!selected) {
+        const mapped = names.filter(name => contracts[name].envVar === DEFAULT_ENV_VAR);
+        if (mapped.length === 1) selected = mapped[0];
+        else if (names.length === 1) selected = names[0];
+    }
+    if (!selected) {
+        throw new Error(
+            `The script deployed ${names.join(", ")}; choose the contract for Chainlink services ` +
+            `with DEPLOY_TARGET_CONTRACT or --target, or map one to ${DEFAULT_ENV_VAR} in DEPLOY_CONTRACT_MAP`
+        );
+    }
+    if (!contracts[selected]) {
+        throw new Error(`Target contract ${selected} was not deployed by the script (deployed: ${names.join(", ")})`);
+    }
+
+    // The other scripts read the Chainlink target from CONTRACT_ADDRESS
+    const hasDefault = names.some(name => contracts[name].envVar === DEFAULT_ENV_VAR);
+    if (!hasDefault && !contractMap[selected]) {
+        contracts[selected].envVar = DEFAULT_ENV_VAR;
+    }
+
+    return { contracts, target: selected };
+}
+
+module.exports = {
+    DEFAULT_ENV_VAR,
+    getBroadcastPath,
+    parseContractMap,
+    defaultEnvVar,
+    readDeployedContracts,
+    selectContracts
+};
@@ -0,0 +1,200 @@
+/**
+ * Contract capability checks: before Chainlink services are attached, make sure the
+ * contract has the functions they call, read from its forge ABI artifact or, without
+ * one, from the selectors in its deployed bytecode
+ */
+
+const { ethers } = require("ethers");
+const { withRetry, ERROR_KINDS } = require("./retry");
+const { logDebug, logInfo, logSuccess } = require("./log");
+const { findBuildArtifact } = require("./verification");
+
+// struct Log from ILogAutomation, as it appears in checkLog's signature
+const LOG_STRUCT = "(uint256,uint256,bytes32,uint256,bytes32,address,bytes32[],bytes)";
+
+// Access control errors decoded even without the contract's ABI (OpenZeppelin Ownable and AccessControl)
+const ACCESS_ERRORS = new ethers.Interface([
+    "error OwnableUnauthorizedAccount(address account)",
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)"
+]);
+
+// Functions each service calls on the contract, and why
+const SERVICE_FUNCTIONS = {
+    automation: [
+        { signature: "performUpkeep(bytes)", reason: "the forwarder calls it to perform the upkeep" },
+        { signature: "setForwarderAddress(address)", reason: "the forwarder is set with it after registration, so only the forwarder can perform the upkeep" }
+    ],
+    conditional: [
+        { signature: "checkUpkeep(bytes)", reason: "the Automation network simulates it to decide when to perform a conditional upkeep" }
+    ],
+    logTrigger: [
+        { signature: `checkLog(${LOG_STRUCT},bytes)`, reason: "the Automation network calls it with each matching log of a log trigger upkeep (ILogAutomation)" }
+    ],
+    functions: [
+        { signature: "handleOracleFulfillment(bytes32,bytes,bytes)", reason: "the Functions router delivers responses through it (FunctionsClient)" }
+    ]
+};
+
+/**
+ * List the functions the given services need
+ * @param {Object} services - Services to attach
+ * @param {boolean} [services.functions] - Chainlink Functions
+ * @param {boolean} [services.automation] - Chainlink Automation
+ * @param {string|number} [services.triggerType=0] - Upkeep trigger type (0 = conditional, 1 = log)
+ * @returns {{signature: string, reason: string, service: string}[]} Required functions
+ */
+function getRequiredFunctions({ functions, automation, triggerType = 0 }) {
+    const required = [];
+    if (automation) {
+        const trigger = Number(triggerType) === 1 ? "logTrigger" : "conditional";
+        required.push(...[...SERVICE_FUNCTIONS[trigger], ...SERVICE_FUNCTIONS.automation].map(entry => ({ ...entry, service: "Automation" })));
+    }
+    if (functions) {
+        required.push(...SERVICE_FUNCTIONS.functions.map(entry => ({ ...entry, service: "Functions" })));
+    }
+    return required;
+}
+
+/**
+ * Collect the 4-byte values pushed by a contract's code, which include the selectors
+ * of its function dispatcher. Push data is skipped while walking the opcodes, so
+ * constants inside it are not mistaken for instructions.
+ * @param {string} code - Deployed bytecode
+ * @returns {Set<string>} Pushed values of up to 4 bytes as selectors, e.g. "0x6e04ff0d"
+ */
+function scanSelectors(code) {
+    const bytes = ethers.getBytes(code);
+    const selectors = new Set();
+    for (let i = 0; i < bytes.length; i++) {
+        const op = bytes[i];
+        // PUSH1..PUSH32; selectors with leading zero bytes may be pushed with fewer than 4
+        if (op < 0x60 || op > 0x7f) continue;
+        const size = op - 0x5f;
+        if (size <= 4 && i + size < bytes.length) {
+            selectors.add(ethers.zeroPadValue(ethers.hexlify(bytes.slice(i + 1, i + 1 + size)), 4));
+        }
+        i += size;
+    }
+    return selectors;
+}
+
+/**
+ * Find the ABI of a deployed contract in forge's build output
+ * @param {string} [contractName] - Contract name from the broadcast artifact or pipeline
+ * @returns {Object[]|null} The ABI, or null if there is no name or no single matching artifact
+ */
+function findArtifactAbi(contractName) {
+    if (!contractName) return null;
+    try {
+        return findBuildArtifact(contractName, null).abi || null;
+    } catch (error) {
+        logDebug(`No ABI artifact for ${contractName}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Describe why a call reverted, decoding custom errors with the contract's ABI when known,
+ * then common access control errors
+ * @param {Error} error - Error from the static call
+ * @param {Object} iface - ethers Interface of the contract
+ * @returns {string} Revert reason, e.g. 'OwnableUnauthorizedAccount("0x...")'
+ */
+function describeRevert(error, iface) {
+    for (const errors of error.data && error.data !== "0x" ? [iface, ACCESS_ERRORS] : []) {
+        try {
+            const parsed = errors.parseError(error.data);
+            if (parsed) return `${parsed.name}(${parsed.args.map(String).join(", ")})`;
+        } catch (parseError) {
+            // Not one of these errors; try the next set, then ethers' description
+        }
+    }
+    return error.reason || error.shortMessage || error.message;
+}
+
+/**
+ * Check that a deployed contract can take the given Chainlink services: it has every
+ * function they call, and the signer may call setForwarderAddress (checked with a
+ * static call, so nothing is sent)
+ * @param {Object} params - Check parameters
+ * @param {string} params.contractAddress - Deployed contract
+ * @param {string} [params.contractName] - Contract name, to read its forge ABI artifact
+ * @param {Object} params.services - Services to attach, see getRequiredFunctions
+ * @param {string} params.signerAddress - Account that will set the forwarder
+ * @param {string} params.rpcUrl - RPC endpoint URL
+ * @param {string} [params.forwarderProbe] - Non-zero address passed to setForwarderAddress in the static call
+ * @returns {Promise<{source: string, problems: string[]}>} Where the functions were read from ("ABI artifact"
+ *   or "deployed bytecode") and every problem found
+ */
+async function checkContractCapabilities({ contractAddress, contractName, services, signerAddress, rpcUrl, forwarderProbe }) {
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const lookup = (label, fn) => withRetry(fn, { label, retryOn: [ERROR_KINDS.TRANSIENT] });
+    try {
+        const code = await lookup("Contract code lookup", () => provider.getCode(contractAddress));
+        if (code === "0x") {
+            return { source: "deployed bytecode", problems: [`there is no contract at ${contractAddress}`] };
+        }
+
+        const abi = findArtifactAbi(contractName);
+        const iface = new ethers.Interface(abi || ["function setForwarderAddress(address)"]);
+        const selectors = new Set();
+        if (abi) iface.forEachFunction(fragment => selectors.add(fragment.selector));
+        const source = abi ? "ABI artifact" : "deployed bytecode";
+        const available = abi ? selectors : scanSelectors(code);
+
+        const problems = [];
+        const required = getRequiredFunctions(services);
+        for (const { signature, reason, service } of required) {
+            if (!available.has(ethers.id(signature).slice(0, 10))) {
+                problems.push(`${service}: ${signature} is missing; ${reason}`);
+            }
+        }
+
+        // Only the signer's permission is left to check, and only if the function exists
+        const needsForwarder = required.some(entry => entry.signature === "setForwarderAddress(address)");
+        if (needsForwarder && !problems.some(problem => problem.includes("setForwarderAddress"))) {
+            const data = iface.encodeFunctionData("setForwarderAddress", [forwarderProbe || signerAddress]);
+            try {
+                await lookup("setForwarderAddress static call", () => provider.call({ to: contractAddress, from: signerAddress, data }));
+            } catch (error) {
+                if (error.code !== "CALL_EXCEPTION") throw error;
+                problems.push(
+                    `Automation: setForwarderAddress reverts when called by the signer ${signerAddress} (${describeRevert(error, iface)}); ` +
+                    "sign with the account that may set the forwarder, usually the contract's owner, or grant the signer access first"
+                );
+            }
+        }
+        return { source, problems };
+    } finally {
+        provider.destroy();
+    }
+}
+
+/**
+ * Run the capability checks and abort with every problem if the contract cannot take the services
+ * @param {Object} params - See checkContractCapabilities
+ * @returns {Promise<void>}
+ * @throws {Error} Explaining each missing function or permission
+ */
+async function assertContractCapabilities(params) {
+    const label = params.contractName ? `${params.contractName} (${params.contractAddress})` : params.contractAddress;
+    const names = [params.services.functions && "Functions", params.services.automation && "Automation"].filter(Boolean);
+    logInfo(`🔬 Checking that ${label} supports Chainlink ${names.join(" and ")}...`);
+
+    const { source, problems } = await checkContractCapabilities(params);
+    if (problems.length > 0) {
+        throw new Error(
+            `${label} cannot take Chainlink ${names.join(" and ")}, judging by its ${source}:\n` +
+            `${problems.map(problem => `  • ${problem}`).join("\n")}\n` +
+            "No upkeep was registered and no consumer was added for it."
+        );
+    }
+    logSuccess(`${label} has the functions Chainlink ${names.join(" and ")} call (from its ${source})`);
+}
+
+module.exports = {
+    getRequiredFunctions,
+    scanSelectors,
+    checkContractCapabilities,
+    assertContractCapabilities
+};
@@ -0,0 +1,153 @@
+/**
+ * Command line flag parsing for deploy/cli.js: typed and validated flags that
+ * override their .env variables, with help text generated from the flag table
+ */
+
+const { ethers } = require("ethers");
+
+// Value checks and help placeholders per flag type
+const FLAG_TYPES = {
+    boolean: { placeholder: "" },
+    string: { placeholder: "<value>", check: value => value !== "" },
+    address: { placeholder: "<address>", check: value => ethers.isAddress(value), expected: "an address" },
+    uint: { placeholder: "<number>", check: value => /^\d+$/.test(value), expected: "a non-negative integer" },
+    hash: { placeholder: "<txHash>", check: value => /^0x[0-9a-fA-F]{64}$/.test(value), expected: "a 32-byte transaction hash" },
+    url: { placeholder: "<url>", check: value => /^(https?|wss?):\/\/\S+$/.test(value), expected: "an http(s) or ws(s) URL" }
+};
+
+/**
+ * Create a usage error, which the CLI answers with a pointer to --help
+ * @param {string} message - What is wrong with the command line
+ * @returns {Error} Error with `usage` set
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+/**
+ * Find the flag spec for a command line token
+ * @param {Object<string, Object>} specs - Flag specs keyed by option name
+ * @param {string} token - Flag as written, e.g. "--rpc-url" or "-n"
+ * @returns {[string, Object]|undefined} Option name and spec
+ */
+function findFlag(specs, token) {
+    return Object.entries(specs).find(([, spec]) => spec.flag === token || spec.alias === token);
+}
+
+/**
+ * Parse and validate command line flags. Unknown flags, missing values and
+ * values of the wrong type are rejected.
+ * @param {string[]} args - Command line arguments after the command name
+ * @param {Object<string, Object>} specs - Flag specs keyed by option name:
+ *   {flag, alias?, type, env?, choices?, required?, description}
+ * @returns {Object<string, *>} Values of the flags given, keyed by option name
+ * @throws {Error} A usage error describing the first problem
+ */
+function parseFlags(args, specs) {
+    const values = {};
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const [token, inline] = arg.startsWith("--") && arg.includes("=")
+            ? [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)]
+            : [arg, undefined];
+        const match = findFlag(specs, token);
+        if (!match) {
+            throw usageError(arg.startsWith("-") ? `Unknown flag ${token}` : `Unexpected argument "${arg}"`);
+        }
+        const [name, spec] = match;
+
+        if (spec.type === "boolean") {
+            if (inline !== undefined) throw usageError(`${spec.flag} does not take a value`);
+            values[name] = true;
+            continue;
+        }
+
+        const value = inline !== undefined ? inline : args[++i];
+        if (value === undefined || (inline === undefined && value.startsWith("--"))) {
+            throw usageError(`${spec.flag} needs a value ${FLAG_TYPES[spec.type].placeholder}`.trim());
+        }
+        values[name] = validateFlag(spec, value);
+    }
+    return values;
+}
+
+/**
+ * Check a flag value against its type and choices
+ * @param {Object} spec - Flag spec
+ * @param {string} value - Value as given
+ * @returns {string} The value
+ * @throws {Error} A usage error if the value is invalid
+ */
+function validateFlag(spec, value) {
+    const type = FLAG_TYPES[spec.type];
+    if (spec.choices && !spec.choices.includes(value)) {
+        throw usageError(`${spec.flag} must be one of ${spec.choices.join(", ")}, got "${value}"`);
+    }
+    if (type.check && !type.check(value)) {
+        throw usageError(`${spec.flag} must be ${type.expected || "non-empty"}, got "${value}"`);
+    }
+    return value;
+}
+
+/**
+ * Export the given flags to their .env variables, so flags win over .env
+ * everywhere the value is read
+ * @param {Object<string, *>} values - Parsed flag values
+ * @param {Object<string, Object>} specs - Flag specs
+ */
+function applyFlagEnv(values, specs) {
+    for (const [name, value] of Object.entries(values)) {
+        const spec = specs[name];
+        if (spec.env) process.env[spec.env] = String(value);
+    }
+}
+
+/**
+ * Complete the parsed flags with their .env fallbacks and check required ones
+ * @param {Object<string, *>} values - Parsed flag values
+ * @param {Object<string, Object>} specs - Flag specs
+ * @returns {Object<string, *>} Every option, keyed by name; booleans default to false
+ * @throws {Error} A usage error naming the first required option that has no value
+ */
+function resolveFlags(values, specs) {
+    const resolved = {};
+    for (const [name, spec] of Object.entries(specs)) {
+        let value = values[name];
+        if (value === undefined && spec.env) value = process.env[spec.env] || undefined;
+        if (value === undefined && spec.type === "boolean") value = false;
+        if (value === undefined && spec.required) {
+            throw usageError(`Missing ${spec.flag}${spec.env ? ` (or ${spec.env} in .env)` : ""}`);
+        }
+        resolved[name] = value;
+    }
+    return resolved;
+}
+
+/**
+ * Format the help lines for a flag table
+ * @param {Object<string, Object>} specs - Flag specs
+ * @returns {string[]} One line per flag
+ */
+function formatFlags(specs) {
+    const rows = Object.values(specs).map(spec => {
+        const names = [spec.alias, spec.flag].filter(Boolean).join(", ");
+        const placeholder = spec.choices ? `<${spec.choices.join("|")}>` : FLAG_TYPES[spec.type].placeholder;
+        const notes = [];
+        if (spec.required) notes.push("required");
+        if (spec.env) notes.push(`overrides ${spec.env}`);
+        return [`${names} ${placeholder}`.trim(), `${spec.description}${notes.length ? ` (${notes.join(", ")})` : ""}`];
+    });
+    const width = Math.max(...rows.map(([left]) => left.length)) + 2;
+    return rows.map(([left, right]) => `  ${left.padEnd(width)}${right}`);
+}
+
+module.exports = {
+    FLAG_TYPES,
+    usageError,
+    parseFlags,
+    applyFlagEnv,
+    resolveFlags,
+    formatFlags
+};
@@ -0,0 +1,214 @@
+/**
+ * Deployment state manifest
+ * Records the outcome of every deployment step in deployments/<chainId>.json
+ * so that a failed run can be resumed from the step that failed
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { logInfo, logWarn, getRunId, withLogContext } = require("./log");
+const { getEnvVar } = require("./updateEnvFile");
+
+/**
+ * Get the manifest file path for a chain
+ * @param {number|string} chainId - Chain ID of the deployment
+ * @returns {string} Absolute path to the manifest
+ */
+function getManifestPath(chainId) {
+    return path.resolve(getEnvVar("DEPLOYMENTS_DIR", "./deployments"), `${chainId}.json`);
+}
+
+/**
+ * Load the manifest for a chain
+ * @param {number|string} chainId - Chain ID of the deployment
+ * @returns {Object|null} The manifest, or null if none exists
+ */
+function loadManifest(chainId) {
+    const manifestPath = getManifestPath(chainId);
+    if (!fs.existsSync(manifestPath)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    } catch (error) {
+        throw new Error(`Failed to parse deployment manifest ${manifestPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Write the manifest for a chain atomically
+ * @param {Object} manifest - Manifest to write
+ */
+function saveManifest(manifest) {
+    const manifestPath = getManifestPath(manifest.chainId);
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    manifest.updatedAt = new Date().toISOString();
+    const tempPath = `${manifestPath}.tmp`;
+    fs.writeFileSync(tempPath, `${JSON.stringify(manifest, null, 2)}\n`);
+    fs.renameSync(tempPath, manifestPath);
+}
+
+/**
+ * Start a deployment run. A fresh run archives the previous manifest;
+ * a resumed run continues from the existing one.
+ * @param {number|string} chainId - Chain ID of the deployment
+ * @param {Object} [options] - Run options
+ * @param {string} [options.network] - Network profile name
+ * @param {string|null} [options.envProfile] - Environment profile the run reads and writes (null for .env)
+ * @param {boolean} [options.resume=false] - Continue the previous run
+ * @returns {Object} The manifest for this run
+ * @throws {Error} If resuming without a previous manifest, or with another environment profile
+ */
+function startRun(chainId, options = {}) {
+    const { network, envProfile = null, resume = false } = options;
+    const existing = loadManifest(chainId);
+
+    if (resume) {
+        if (!existing) {
+            throw new Error(`Nothing to resume: no deployment manifest at ${getManifestPath(chainId)}`);
+        }
+        // Resuming with another profile would write the remaining addresses to the wrong .env file
+        if ((existing.envProfile || null) !== envProfile) {
+            const flag = existing.envProfile ? `--env ${existing.envProfile}` : "no --env";
+            throw new Error(`The deployment being resumed used ${flag}; resume it with the same environment profile`);
+        }
+        logInfo(`Resuming deployment from ${getManifestPath(chainId)}`);
+        return existing;
+    }
+
+    if (existing) {
+        const stamp = (existing.createdAt || new Date().toISOString()).replace(/[:.]/g, "-");
+        const archivePath = getManifestPath(chainId).replace(/\.json$/, `-${stamp}.json`);
+        fs.renameSync(getManifestPath(chainId), archivePath);
+        logInfo(`Archived previous deployment manifest to ${archivePath}`);
+    }
+
+    const manifest = {
+        chainId: Number(chainId),
+        network,
+        envProfile,
+        createdAt: new Date().toISOString(),
+        runId: getRunId(),
+        steps: {}
+    };
+    saveManifest(manifest);
+    return manifest;
+}
+
+/**
+ * Name a step for one contract of a pipeline, e.g. "automation.register:DStock".
+ * Without a scope the plain step name is used, as in single-contract deployments.
+ * @param {string} step - Step name, e.g. "automation.register"
+ * @param {string} [scope] - Contract or script the step belongs to
+ * @returns {string} Step name as recorded in the manifest
+ */
+function scopedStep(step, scope) {
+    return scope ? `${step}:${scope}` : step;
+}
+
+/**
+ * Get the recorded result of a step if it completed
+ * @param {number|string} chainId - Chain ID of the deployment
+ * @param {string} step - Step name, e.g. "automation.register"
+ * @returns {Object|null} The step record, or null if not completed
+ */
+function getCompletedStep(chainId, step) {
+    const manifest = loadManifest(chainId);
+    const record = manifest && manifest.steps[step];
+    return record && record.status === "completed" ? record : null;
+}
+
+/**
+ * Record the outcome of a step in the manifest
+ * @param {number|string} chainId - Chain ID of the deployment
+ * @param {string} step - Step name
+ * @param {Object} record - Step record, including its status
+ */
+function recordStep(chainId, step, record) {
+    const manifest = loadManifest(chainId) || { chainId: Number(chainId), createdAt: new Date().toISOString(), steps: {} };
+    manifest.steps[step] = { ...record, updatedAt: new Date().toISOString() };
+    if (record.contractAddress && step === "deploy") {
+        manifest.contractAddress = record.contractAddress;
+    }
+    saveManifest(manifest);
+}
+
+/**
+ * Save what a running step has done so far, such as the hashes of a transaction it
+ * broadcast, so that a resumed run can pick up from it instead of repeating the work.
+ * The progress is kept if the step fails.
+ * @param {number|string} chainId - Chain ID of the deployment
+ * @param {string} step - Step name
+ * @param {Object} progress - Fields to merge into the step's progress, e.g. { txHashes: [...] }
+ */
+function recordStepProgress(chainId, step, progress) {
+    const manifest = loadManifest(chainId);
+    const record = (manifest && manifest.steps[step]) || {};
+    recordStep(chainId, step, { ...record, status: "running", progress: { ...record.progress, ...progress } });
+}
+
+/**
+ * Get the progress saved by a step that has not completed
+ * @param {number|string} chainId - Chain ID of the deployment
+ * @param {string} step - Step name
+ * @returns {Object|null} The progress from recordStepProgress, or null
+ */
+function getStepProgress(chainId, step) {
+    const manifest = loadManifest(chainId);
+    const record = manifest && manifest.steps[step];
+    return record && record.status !== "completed" && record.progress ? record.progress : null;
+}
+
+/**
+ * Run a deployment step and record its outcome. When resuming, a step that
+ * already completed is skipped and its recorded result returned instead.
+ * Everything logged during the step carries its name, e.g. step=automation.register.
+ * @param {number|string} chainId - Chain ID of the deployment
+ * @param {string} step - Step name
+ * @param {Function} fn - Async function performing the step; resolves to the data to record
+ * @param {Object} [options] - Step options
+ * @param {boolean} [options.resume=false] - Skip the step if it already completed
+ * @param {EventEmitter} [options.emitter] - Receives "step:start", "step:skip", "step:complete" and "step:fail" events
+ * @returns {Promise<Object>} The recorded step data
+ */
+async function runStep(chainId, step, fn, options = {}) {
+    const emit = (event, payload) => options.emitter && options.emitter.emit(event, { chainId, step, ...payload });
+
+    if (options.resume) {
+        const completed = getCompletedStep(chainId, step);
+        if (completed) {
+            logInfo(`⏭️  Skipping ${step} (completed ${completed.updatedAt})`);
+            emit("step:skip", { data: completed });
+            return completed;
+        }
+    }
+
+    return withLogContext({ step }, async () => {
+        emit("step:start");
+        try {
+            const data = (await fn()) || {};
+            recordStep(chainId, step, { status: "completed", ...data });
+            emit("step:complete", { data });
+            return data;
+        } catch (error) {
+            const progress = getStepProgress(chainId, step);
+            recordStep(chainId, step, { status: "failed", error: error.message, ...(progress ? { progress } : {}) });
+            logWarn(`Step ${step} failed; rerun with --resume to retry from here`);
+            emit("step:fail", { error });
+            throw error;
+        }
+    });
+}
+
+module.exports = {
+    getManifestPath,
+    loadManifest,
+    saveManifest,
+    startRun,
+    scopedStep,
+    getCompletedStep,
+    recordStep,
+    recordStepProgress,
+    getStepProgress,
+    runStep
+};
@@ -1,26 +1,135 @@
-const { exec } = require("child_process");
+const { spawn } = require("child_process");
+const { redact } = require("./redact");
+const { logDebug, logInfo } = require("./log");
+
+// Grace period between SIGTERM and SIGKILL when a command times out
+const KILL_GRACE_MS = 5000;
+
+/**
+ * Format a command for display, quoting arguments with shell metacharacters and masking secrets
+ * @param {string} file - Executable
+ * @param {string[]} [args=[]] - Arguments
+ * @returns {string} Printable, redacted command line
+ */
+function formatCommand(file, args = []) {
+    const quoted = [file, ...args].map(arg => (/[^\w@%+=:,./-]/.test(arg) ? `'${String(arg).replace(/'/g, "'\\''")}'` : arg));
+    return redact(quoted.join(" "));
+}
 
 /**
- * Executes a shell command and returns the output
- * @param {string} command - The command to execute
- * @returns {Promise<string>} The command output
+ * Create a writer that passes complete lines to the logger, so a secret
+ * split across two chunks is still masked
+ * @param {function(string): void} writeLine - Receives each line, e.g. logInfo
+ * @returns {{write: function(string): void, flush: function(): void}} Line writer
  */
-function executeCommand(command) {
+function createLineWriter(writeLine) {
+    let pending = "";
+    return {
+        write(chunk) {
+            const lines = (pending + chunk).split("\n");
+            pending = lines.pop();
+            lines.forEach(line => writeLine(line));
+        },
+        flush() {
+            if (pending) writeLine(pending);
+            pending = "";
+        }
+    };
+}
+
+/**
+ * Executes a command without a shell and returns its output.
+ * Arguments are passed as-is, so values containing spaces or shell metacharacters are never interpreted.
+ * Everything logged is redacted; the returned output is not. Streamed output is logged
+ * line by line at info level, otherwise the full output is only logged at debug level.
+ * @param {string} file - Executable, e.g. "forge" or process.execPath
+ * @param {string[]} [args=[]] - Arguments
+ * @param {Object} [options] - Execution options
+ * @param {boolean} [options.stream=false] - Echo stdout/stderr as it arrives instead of after the command exits
+ * @param {number} [options.timeoutMs=600000] - Kill the command after this long (0 disables the timeout)
+ * @param {Object} [options.env=process.env] - Environment for the command
+ * @param {string} [options.cwd] - Working directory
+ * @returns {Promise<string>} The command's stdout
+ * @throws {Error} If the command cannot start, exits non-zero or times out; `stdout`, `stderr` and `code` are attached
+ */
+function executeCommand(file, args = [], options = {}) {
+    const { stream = false, timeoutMs = 600000, env = process.env, cwd } = options;
+
     return new Promise((resolve, reject) => {
-        console.log(`Executing: ${command}`);
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                console.error(`Error: ${error.message}`);
-                reject(error);
-                return;
+        logInfo(`Executing: ${formatCommand(file, args)}`);
+
+        const child = spawn(file, args, { env, cwd, shell: false });
+        const stdoutWriter = createLineWriter(logInfo);
+        const stderrWriter = createLineWriter(logInfo);
+        let stdout = "";
+        let stderr = "";
+        let timedOut = false;
+        let killTimer = null;
+        let settled = false;
+
+        const timer = timeoutMs > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                child.kill("SIGTERM");
+                killTimer = setTimeout(() => child.kill("SIGKILL"), KILL_GRACE_MS);
+            }, timeoutMs)
+            : null;
+
+        child.stdout.setEncoding("utf8");
+        child.stderr.setEncoding("utf8");
+        child.stdout.on("data", chunk => {
+            stdout += chunk;
+            if (stream) stdoutWriter.write(chunk);
+        });
+        child.stderr.on("data", chunk => {
+            stderr += chunk;
+            if (stream) stderrWriter.write(chunk);
+        });
+
+        const fail = (message, code) => {
+            if (settled) return;
+            settled = true;
+            const error = new Error(redact(message));
+            error.code = code;
+            error.stdout = stdout;
+            error.stderr = stderr;
+            logDebug(`Error: ${error.message}`);
+            reject(error);
+        };
+
+        child.on("error", error => {
+            clearTimeout(timer);
+            fail(`Failed to start ${file}: ${error.message}`, error.code);
+        });
+
+        child.on("close", (code, signal) => {
+            clearTimeout(timer);
+            clearTimeout(killTimer);
+            if (settled) return;
+            if (stream) {
+                stdoutWriter.flush();
+                stderrWriter.flush();
+            } else {
+                if (stderr) logDebug(`stderr: ${stderr}`);
+                logDebug(`stdout: ${stdout}`);
             }
-            if (stderr) {
-                console.log(`stderr: ${stderr}`);
+
+            if (timedOut) {
+                fail(`Command timed out after ${Math.round(timeoutMs / 1000)}s: ${formatCommand(file, args)}`, "ETIMEDOUT");
+            } else if (code !== 0) {
+                // Our own scripts log failures to stdout, so fall back to its tail
+                const detail = (stderr.trim() || stdout.trim()).split("\n").slice(-5).join("\n");
+                fail(
+                    `Command failed with ${signal ? `signal ${signal}` : `exit code ${code}`}: ${formatCommand(file, args)}` +
+                    (detail ? `\n${detail}` : ""),
+                    code
+                );
+            } else if (!settled) {
+                settled = true;
+                resolve(stdout);
             }
-            console.log(`stdout: ${stdout}`);
-            resolve(stdout);
         });
     });
 }
 
-module.exports = executeCommand;
\ No newline at end of file
+module.exports = { executeCommand, formatCommand };
@@ -0,0 +1,219 @@
+/**
+ * Gas and fee policy shared by forge scripts, cast sends and ethers transactions
+ */
+
+const { ethers } = require("ethers");
+const { resolveNetwork } = require("../config/networks");
+
+const FEE_TYPES = ["auto", "eip1559", "legacy"];
+const DEFAULT_GAS_LIMIT_MULTIPLIER = 1.2;
+
+/**
+ * Parse an optional gwei amount
+ * @param {string|number} [value] - Amount in gwei
+ * @param {string} label - Setting name for error messages
+ * @returns {bigint|undefined} Amount in wei
+ * @throws {Error} If the value is not a non-negative number
+ */
+function parseGwei(value, label) {
+    if (value === undefined || value === null || value === "") return undefined;
+    try {
+        const wei = ethers.parseUnits(String(value).trim(), "gwei");
+        if (wei < 0n) throw new Error("negative");
+        return wei;
+    } catch (error) {
+        throw new Error(`${label} must be an amount in gwei, got "${value}"`);
+    }
+}
+
+/**
+ * Read the fee policy from a network profile's fees section
+ * (FEE_TYPE, MAX_FEE_PER_GAS_GWEI, ... in .env override it, see config/networks.js)
+ * @param {Object} [profile] - Network profile (defaults to resolveNetwork())
+ * @returns {{type: string, maxFeePerGas?: bigint, maxPriorityFeePerGas?: bigint, gasPrice?: bigint, gasLimitMultiplier: number, maxFeeCeiling?: bigint}}
+ *   Fee policy; unset fees are taken from the node at send time
+ * @throws {Error} If a setting is invalid
+ */
+function getFeePolicy(profile = resolveNetwork()) {
+    const fees = profile.fees || {};
+    const type = fees.type || "auto";
+    if (!FEE_TYPES.includes(type)) {
+        throw new Error(`Invalid fee type "${type}"; expected one of ${FEE_TYPES.join(", ")}`);
+    }
+
+    const gasLimitMultiplier = fees.gasLimitMultiplier === undefined || fees.gasLimitMultiplier === ""
+        ? DEFAULT_GAS_LIMIT_MULTIPLIER
+        : Number(fees.gasLimitMultiplier);
+    if (!Number.isFinite(gasLimitMultiplier) || gasLimitMultiplier < 1) {
+        throw new Error(`Gas limit multiplier must be a number of at least 1, got "${fees.gasLimitMultiplier}"`);
+    }
+
+    return {
+        type,
+        maxFeePerGas: parseGwei(fees.maxFeePerGasGwei, "Max fee per gas"),
+        maxPriorityFeePerGas: parseGwei(fees.maxPriorityFeePerGasGwei, "Max priority fee per gas"),
+        gasPrice: parseGwei(fees.gasPriceGwei, "Gas price"),
+        gasLimitMultiplier,
+        maxFeeCeiling: parseGwei(fees.maxFeeCeilingGwei, "Max fee ceiling")
+    };
+}
+
+/**
+ * Apply the policy's multiplier to a gas estimate
+ * @param {bigint|number|string} estimate - Gas estimate
+ * @param {Object} [policy] - Fee policy (defaults to getFeePolicy())
+ * @returns {bigint} Gas limit
+ */
+function scaleGasLimit(estimate, policy = getFeePolicy()) {
+    return (BigInt(estimate) * BigInt(Math.round(policy.gasLimitMultiplier * 1000))) / 1000n;
+}
+
+/**
+ * Abort if a fee is above the policy's ceiling
+ * @param {Object} fees - Fees from resolveFees
+ * @param {Object} policy - Fee policy
+ * @throws {Error} If the max fee (or legacy gas price) exceeds the ceiling
+ */
+function assertBelowCeiling(fees, policy) {
+    const fee = fees.type === "legacy" ? fees.gasPrice : fees.maxFeePerGas;
+    if (policy.maxFeeCeiling !== undefined && fee > policy.maxFeeCeiling) {
+        const error = new Error(
+            `Fee of ${ethers.formatUnits(fee, "gwei")} gwei exceeds the max fee ceiling of ` +
+            `${ethers.formatUnits(policy.maxFeeCeiling, "gwei")} gwei; not sending. ` +
+            "Wait for fees to drop or raise MAX_FEE_CEILING_GWEI."
+        );
+        error.code = "FEE_CEILING_EXCEEDED";
+        throw error;
+    }
+}
+
+/**
+ * Work out the fees to send with: configured values win, the rest come from the node
+ * @param {Object} provider - ethers provider
+ * @param {Object} [policy] - Fee policy (defaults to getFeePolicy())
+ * @returns {Promise<{type: string, maxFeePerGas?: bigint, maxPriorityFeePerGas?: bigint, gasPrice?: bigint}>}
+ *   EIP-1559 or legacy fees
+ * @throws {Error} If the fee exceeds the ceiling
+ */
+async function resolveFees(provider, policy = getFeePolicy()) {
+    const feeData = await provider.getFeeData();
+    const type = policy.type === "auto"
+        ? (feeData.maxFeePerGas !== null ? "eip1559" : "legacy")
+        : policy.type;
+
+    let fees;
+    if (type === "legacy") {
+        fees = { type, gasPrice: policy.gasPrice ?? feeData.gasPrice };
+    } else {
+        const maxPriorityFeePerGas = policy.maxPriorityFeePerGas ?? feeData.maxPriorityFeePerGas;
+        if (policy.maxFeePerGas === undefined && feeData.maxFeePerGas === null) {
+            throw new Error("The node reports no EIP-1559 fees; set FEE_TYPE=legacy for this network");
+        }
+        // The node's max fee already includes its own priority fee; swap in the configured one
+        let maxFeePerGas = policy.maxFeePerGas
+            ?? feeData.maxFeePerGas - (feeData.maxPriorityFeePerGas ?? 0n) + maxPriorityFeePerGas;
+        // A configured priority fee above the node's max fee would make the transaction invalid
+        if (maxFeePerGas < maxPriorityFeePerGas) maxFeePerGas = maxPriorityFeePerGas;
+        fees = { type, maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    assertBelowCeiling(fees, policy);
+    return fees;
+}
+
+/**
+ * Raise fees for a replacement transaction, still respecting the ceiling
+ * @param {Object} fees - Fees from resolveFees
+ * @param {number} factor - Multiplier, e.g. 1.25
+ * @param {Object} [policy] - Fee policy (defaults to getFeePolicy())
+ * @returns {Object} Bumped fees
+ * @throws {Error} If the bumped fee exceeds the ceiling
+ */
+function bumpFees(fees, factor, policy = getFeePolicy()) {
+    const bump = value => (BigInt(value) * BigInt(Math.round(factor * 1000))) / 1000n;
+    const bumped = fees.type === "legacy"
+        ? { type: fees.type, gasPrice: bump(fees.gasPrice) }
+        : { type: fees.type, maxFeePerGas: bump(fees.maxFeePerGas), maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas) };
+    assertBelowCeiling(bumped, policy);
+    return bumped;
+}
+
+/**
+ * Fill in the gas limit and fees of an ethers transaction request.
+ * A gas limit already on the request is kept; otherwise the estimate is scaled by the multiplier.
+ * @param {Object} wallet - ethers signer connected to a provider
+ * @param {Object} txRequest - Transaction request
+ * @param {Object} [options] - Options
+ * @param {number} [options.feeBump=1] - Multiplier for replacement transactions
+ * @param {Object} [options.policy] - Fee policy (defaults to getFeePolicy())
+ * @returns {Promise<Object>} Request with gasLimit and either maxFeePerGas/maxPriorityFeePerGas or gasPrice
+ * @throws {Error} If the fee exceeds the ceiling
+ */
+async function applyFeePolicy(wallet, txRequest, { feeBump = 1, policy = getFeePolicy() } = {}) {
+    let fees = await resolveFees(wallet.provider, policy);
+    if (feeBump !== 1) fees = bumpFees(fees, feeBump, policy);
+
+    const gasLimit = txRequest.gasLimit ?? scaleGasLimit(await wallet.estimateGas(txRequest), policy);
+    const { type, ...feeFields } = fees;
+    return {
+        ...txRequest,
+        type: type === "legacy" ? 0 : 2,
+        gasLimit,
+        ...feeFields
+    };
+}
+
+/**
+ * Build the fee flags for forge and cast, resolved to concrete values so both
+ * tools pay exactly what the ethers scripts would
+ * @param {Object} provider - ethers provider
+ * @param {Object} [options] - Flag options
+ * @param {string} [options.tool="cast"] - "forge" (script) or "cast" (send)
+ * @param {Object} [options.tx] - For cast: the call to estimate, so the gas limit gets the multiplier
+ * @param {Object} [policy] - Fee policy (defaults to getFeePolicy())
+ * @returns {Promise<string[]>} Fee arguments
+ * @throws {Error} If the fee exceeds the ceiling
+ */
+async function getFoundryFeeArgs(provider, { tool = "cast", tx } = {}, policy = getFeePolicy()) {
+    const fees = await resolveFees(provider, policy);
+    const gasPriceFlag = tool === "forge" ? "--with-gas-price" : "--gas-price";
+
+    const args = fees.type === "legacy"
+        ? ["--legacy", gasPriceFlag, fees.gasPrice.toString()]
+        : [gasPriceFlag, fees.maxFeePerGas.toString(), "--priority-gas-price", fees.maxPriorityFeePerGas.toString()];
+
+    if (tool === "forge") {
+        // forge applies the multiplier to its own estimates, as a percentage
+        args.push("--gas-estimate-multiplier", String(Math.round(policy.gasLimitMultiplier * 100)));
+    } else if (tx) {
+        args.push("--gas-limit", scaleGasLimit(await provider.estimateGas(tx), policy).toString());
+    }
+    return args;
+}
+
+/**
+ * Describe a fee policy for logs and the dry-run plan
+ * @param {Object} [policy] - Fee policy (defaults to getFeePolicy())
+ * @returns {string} Description, e.g. "eip1559, priority 0.01 gwei, gas limit x1.2, ceiling 10 gwei"
+ */
+function describeFeePolicy(policy = getFeePolicy()) {
+    const gwei = value => `${ethers.formatUnits(value, "gwei")} gwei`;
+    const parts = [policy.type];
+    if (policy.gasPrice !== undefined) parts.push(`gas price ${gwei(policy.gasPrice)}`);
+    if (policy.maxFeePerGas !== undefined) parts.push(`max fee ${gwei(policy.maxFeePerGas)}`);
+    if (policy.maxPriorityFeePerGas !== undefined) parts.push(`priority ${gwei(policy.maxPriorityFeePerGas)}`);
+    parts.push(`gas limit x${policy.gasLimitMultiplier}`);
+    parts.push(policy.maxFeeCeiling !== undefined ? `ceiling ${gwei(policy.maxFeeCeiling)}` : "no ceiling");
+    return parts.join(", ");
+}
+
+module.exports = {
+    FEE_TYPES,
+    getFeePolicy,
+    scaleGasLimit,
+    resolveFees,
+    bumpFees,
+    applyFeePolicy,
+    getFoundryFeeArgs,
+    describeFeePolicy
+};
@@ -1,22 +1,161 @@
+/**
+ * Leveled logger with step context, text or JSON-lines output and a per-run log file
+ */
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const { redact, redactValue } = require("./redact");
+
+// Severity per level; "success" is logged at info severity
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+const FORMATS = ["text", "json"];
+const PREFIXES = { debug: "[DEBUG]", info: "[INFO]", success: "[SUCCESS]", warn: "[WARN]", error: "[ERROR]" };
+
+// Command line flags handled by setupLogging
+const LOG_FLAGS = { "--verbose": ["level", "debug"], "--quiet": ["level", "warn"], "--log-json": ["format", "json"] };
+
+// Context of the code being run, e.g. { step: "automation.register" }
+const context = new AsyncLocalStorage();
+
+// Set by configureLogger; unset level and format fall back to LOG_LEVEL and LOG_FORMAT
+const settings = { level: undefined, format: undefined, runId: undefined, file: undefined };
+
+/**
+ * Check a level or format name
+ * @param {string} name - Setting name, for the error message
+ * @param {string} value - Value to check
+ * @param {string[]} allowed - Allowed values
+ * @returns {string} The value
+ * @throws {Error} If the value is not allowed
+ */
+function checkSetting(name, value, allowed) {
+    if (!allowed.includes(value)) {
+        throw new Error(`Invalid ${name} "${value}"; use ${allowed.join(", ")}`);
+    }
+    return value;
+}
+
+/**
+ * Create a run ID: the start time plus a random suffix, safe as a file name
+ * @returns {string} Run ID, e.g. "2024-05-01T12-00-00-000Z-3f9a1c"
+ */
+function createRunId() {
+    return `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+/**
+ * Configure the level, output format and log file. Until this is called,
+ * LOG_LEVEL and LOG_FORMAT are read on every message and nothing is written to disk.
+ * @param {Object} [options] - Logger options
+ * @param {string} [options.level] - debug, info, warn, error or silent (defaults to LOG_LEVEL, then info)
+ * @param {string} [options.format] - text or json (defaults to LOG_FORMAT, then text)
+ * @param {string} [options.dir] - Directory for the run's log file (defaults to LOG_DIR, then "logs"; "none" for no file)
+ * @param {string} [options.runId] - Run ID naming the log file (defaults to a new one)
+ * @returns {{runId: string, file: string|undefined}} Run ID and log file path
+ * @throws {Error} If the level or format is invalid
+ */
+function configureLogger(options = {}) {
+    const level = options.level || process.env.LOG_LEVEL;
+    const format = options.format || process.env.LOG_FORMAT;
+    settings.level = level ? checkSetting("log level", level.toLowerCase(), Object.keys(LEVELS)) : undefined;
+    settings.format = format ? checkSetting("log format", format.toLowerCase(), FORMATS) : undefined;
+    settings.runId = options.runId || createRunId();
+    settings.file = undefined;
+
+    const dir = options.dir !== undefined ? options.dir : (process.env.LOG_DIR || "logs");
+    if (dir && dir !== "none") {
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+            settings.file = path.join(dir, `${settings.runId}.log`);
+        } catch (error) {
+            logWarn(`Cannot create log directory ${dir}: ${error.message}; logging to the console only`);
+        }
+    }
+    return { runId: settings.runId, file: settings.file };
+}
+
+/**
+ * Configure the logger for a script from --verbose, --quiet and --log-json
+ * @param {string[]} args - Command line arguments
+ * @returns {string[]} The arguments without the logging flags
+ */
+function setupLogging(args) {
+    const options = {};
+    const rest = args.filter(arg => {
+        if (!LOG_FLAGS[arg]) return true;
+        const [setting, value] = LOG_FLAGS[arg];
+        options[setting] = value;
+        return false;
+    });
+    configureLogger(options);
+    return rest;
+}
+
+/**
+ * Get the current run's ID
+ * @returns {string|undefined} Run ID, once the logger is configured
+ */
+function getRunId() {
+    return settings.runId;
+}
 
 /**
- * Logging utilities with timestamps and level prefixes
+ * Run a function with context added to every message it logs, including from the async calls it makes
+ * @param {Object<string, string>} fields - Context fields, e.g. { step: "automation.register" }
+ * @param {function(): *} fn - Function to run
+ * @returns {*} The function's return value
  */
+function withLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
 
 /**
- * Internal logging function with timestamp and level prefix
- * @param {string} level - Log level (info, warn, error, success)
+ * Internal logging function. Every message goes to the run's log file as a JSON line; messages at or
+ * above the configured level also go to the console, as text or JSON lines. Secrets are masked in every argument.
+ * @param {string} level - Log level (debug, info, success, warn, error)
  * @param {...any} args - Arguments to log
  */
 function log(level, ...args) {
-    const ts = new Date().toISOString();
-    let prefix = "[INFO]";
-    if (level === "error") prefix = "[ERROR]";
-    else if (level === "warn") prefix = "[WARN]";
-    else if (level === "success") prefix = "[SUCCESS]";
-    console.log(`${ts} ${prefix}`, ...args);
+    const fields = context.getStore() || {};
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        ...(settings.runId ? { runId: settings.runId } : {}),
+        ...fields,
+        message: redact(util.format(...args.map(redactValue)))
+    };
+
+    if (settings.file) {
+        try {
+            fs.appendFileSync(settings.file, `${JSON.stringify(entry)}\n`);
+        } catch (error) {
+            settings.file = undefined;
+            console.error(`Cannot write the log file: ${error.message}`);
+        }
+    }
+
+    const threshold = settings.level || (process.env.LOG_LEVEL || "info").toLowerCase();
+    const severity = LEVELS[level === "success" ? "info" : level];
+    if (severity < (LEVELS[threshold] || LEVELS.info)) return;
+
+    const write = severity >= LEVELS.warn ? console.error : console.log;
+    if ((settings.format || (process.env.LOG_FORMAT || "text").toLowerCase()) === "json") {
+        write(JSON.stringify(entry));
+    } else {
+        const scope = Object.entries(fields).map(([key, value]) => `${key}=${value}`).join(" ");
+        write(`${entry.time} ${PREFIXES[level]}${scope ? ` [${scope}]` : ""}`, ...args.map(redactValue));
+    }
 }
 
+/**
+ * Log debug message with timestamp, shown with --verbose or LOG_LEVEL=debug
+ * @param {...any} args - Arguments to log
+ */
+function logDebug(...args) { log("debug", ...args); }
+
 /**
  * Log info message with timestamp
  * @param {...any} args - Arguments to log
@@ -41,4 +180,15 @@ function logError(...args) { log("error", ...args); }
  */
 function logSuccess(...args) { log("success", ...args); }
 
-module.exports = { logInfo, logWarn, logError, logSuccess };
\ No newline at end of file
+module.exports = {
+    LEVELS,
+    configureLogger,
+    setupLogging,
+    getRunId,
+    withLogContext,
+    logDebug,
+    logInfo,
+    logWarn,
+    logError,
+    logSuccess
+};
@@ -0,0 +1,245 @@
+/**
+ * Pre-flight checks: make sure the signer can pay for every step before the first broadcast
+ */
+
+const { ethers } = require("ethers");
+const { logInfo, logWarn, logSuccess } = require("./log");
+const { resolveFees, scaleGasLimit, getFeePolicy } = require("./fees");
+const { withRetry, ERROR_KINDS } = require("./retry");
+const { getEnvVar } = require("./updateEnvFile");
+const { scopedStep } = require("./deploymentState");
+const { ROUTER_ABI, getSubscription } = require("../function/subscription");
+
+const ERC20_ABI = ["function balanceOf(address account) view returns (uint256)"];
+
+// Gas budgeted per pipeline step, before the fee policy's multiplier.
+// The contract deployment is estimated by simulating the forge script instead.
+const STEP_GAS = {
+    "functions.createSubscription": 150000n,
+    "functions.fundSubscription": 120000n,
+    "functions.addConsumer": 120000n,
+    // Auto-approved registrations also deploy the upkeep's forwarder
+    "automation.register": 1000000n,
+    "automation.setForwarder": 80000n
+};
+
+// Functions requests fail once the subscription cannot cover their estimated cost
+const DEFAULT_MIN_SUBSCRIPTION_BALANCE = "500000000000000000"; // 0.5 LINK
+
+/**
+ * Format an amount with its unit and raw value, e.g. "0.05 ETH (50000000000000000 wei)"
+ * @param {bigint} amount - Amount in the smallest unit
+ * @param {string} symbol - Token symbol
+ * @param {string} rawUnit - Name of the smallest unit
+ * @returns {string} Formatted amount
+ */
+function formatAmount(amount, symbol, rawUnit) {
+    return `${ethers.formatUnits(amount, 18)} ${symbol} (${amount} ${rawUnit})`;
+}
+
+/**
+ * List the transactions this run still has to send
+ * @param {Object} options - Deployment options
+ * @param {function(string): boolean} isCompleted - Whether a step already completed (when resuming)
+ * @returns {{steps: {step: string, link: bigint}[], subscriptionIds: string[]}} Transactions with the LINK each
+ *   transfers, excluding the contract deployment, and the existing subscriptions that get a consumer
+ */
+function pendingSteps(options, isCompleted) {
+    const steps = [];
+    const subscriptionIds = [];
+    if (options.functions) {
+        const fundAmount = getEnvVar("FUNCTIONS_SUBSCRIPTION_FUND_AMOUNT");
+        const funded = !fundAmount || isCompleted("functions.fundSubscription");
+        if (options.createSubscription && !(isCompleted("functions.createSubscription") && funded)) {
+            if (!isCompleted("functions.createSubscription")) steps.push({ step: "functions.createSubscription", link: 0n });
+            if (!funded) steps.push({ step: "functions.fundSubscription", link: BigInt(fundAmount) });
+        } else {
+            subscriptionIds.push(getEnvVar("FUNCTIONS_SUBSCRIPTION_ID"));
+        }
+        if (!isCompleted("functions.addConsumer")) steps.push({ step: "functions.addConsumer", link: 0n });
+    }
+    if (options.automation) {
+        if (!isCompleted("automation.register")) {
+            steps.push({ step: "automation.register", link: BigInt(getEnvVar("AUTOMATION_LINK_AMOUNT", "0")) });
+        }
+        if (!isCompleted("automation.setForwarder")) steps.push({ step: "automation.setForwarder", link: 0n });
+    }
+    return { steps, subscriptionIds };
+}
+
+/**
+ * List the transactions a pipeline still has to send, with each contract's own
+ * settings from the pipeline file
+ * @param {Object} pipeline - Pipeline from loadPipeline
+ * @param {function(string): boolean} isCompleted - Whether a manifest step already completed (when resuming)
+ * @returns {{steps: {step: string, link: bigint}[], subscriptionIds: string[]}} As pendingSteps
+ */
+function pendingPipelineSteps(pipeline, isCompleted) {
+    const steps = [];
+    const subscriptionIds = new Set();
+    for (const { type, contract, params } of pipeline.steps) {
+        const done = step => isCompleted(scopedStep(step, contract));
+        if (type === "functions") {
+            if (params.createSubscription) {
+                if (!done("functions.createSubscription")) steps.push({ step: "functions.createSubscription", link: 0n });
+                const fundAmount = params.fundAmount || getEnvVar("FUNCTIONS_SUBSCRIPTION_FUND_AMOUNT");
+                if (fundAmount && !done("functions.fundSubscription")) {
+                    steps.push({ step: "functions.fundSubscription", link: BigInt(fundAmount) });
+                }
+            } else {
+                // Without an ID the contract uses FUNCTIONS_SUBSCRIPTION_ID, unless an earlier step creates one
+                const subscriptionId = params.subscriptionId || getEnvVar("FUNCTIONS_SUBSCRIPTION_ID");
+                if (subscriptionId) subscriptionIds.add(subscriptionId);
+            }
+            if (!done("functions.addConsumer")) steps.push({ step: "functions.addConsumer", link: 0n });
+        } else if (type === "automation") {
+            if (!done("automation.register")) {
+                steps.push({ step: "automation.register", link: BigInt(params.linkAmount || getEnvVar("AUTOMATION_LINK_AMOUNT", "0")) });
+            }
+            if (!done("automation.setForwarder")) steps.push({ step: "automation.setForwarder", link: 0n });
+        }
+    }
+    return { steps, subscriptionIds: [...subscriptionIds] };
+}
+
+/**
+ * Check an existing Functions subscription: it must exist, belong to the signer
+ * and hold at least FUNCTIONS_MIN_SUBSCRIPTION_BALANCE juels that are not blocked
+ * @param {Object} provider - ethers provider
+ * @param {Object} network - Resolved network profile
+ * @param {string} signerAddress - Signer address
+ * @param {string} subscriptionId - Subscription to check
+ * @returns {Promise<{problems: string[], check?: Object}>} Ownership problems and the balance check
+ */
+async function checkSubscription(provider, network, signerAddress, subscriptionId) {
+    const router = new ethers.Contract(network.functions.routerAddress, ROUTER_ABI, provider);
+
+    let sub;
+    try {
+        sub = await withRetry(() => getSubscription({ router }, subscriptionId), {
+            label: "Subscription lookup",
+            retryOn: [ERROR_KINDS.TRANSIENT]
+        });
+    } catch (error) {
+        return {
+            problems: [
+                `Functions subscription ${subscriptionId} could not be read from router ${network.functions.routerAddress}: ` +
+                (error.shortMessage || error.message)
+            ]
+        };
+    }
+
+    const problems = [];
+    if (sub.owner.toLowerCase() !== signerAddress.toLowerCase()) {
+        problems.push(
+            `Functions subscription ${subscriptionId} is owned by ${sub.owner}, not the signer ${signerAddress}; ` +
+            "the consumer cannot be added"
+        );
+    }
+
+    const required = BigInt(getEnvVar("FUNCTIONS_MIN_SUBSCRIPTION_BALANCE", DEFAULT_MIN_SUBSCRIPTION_BALANCE));
+    const available = sub.balance - sub.blockedBalance;
+    const check = { name: `Functions subscription ${subscriptionId}`, symbol: "LINK", rawUnit: "juels", required, available };
+    if (available < required) {
+        check.topUp = required - available;
+        check.howTo = `node deploy/function/subscription.js fund ${check.topUp}`;
+    }
+    return { problems, check };
+}
+
+/**
+ * Check that the signer can pay for every remaining step of the run:
+ * native balance against the gas budget, LINK against the Automation and
+ * subscription funding, and the existing Functions subscriptions' owner and balance
+ * @param {Object} params - Check parameters
+ * @param {Object} params.options - Deployment options (functions, automation, createSubscription)
+ * @param {Object} params.network - Resolved network profile
+ * @param {string} params.signerAddress - Address that will send the transactions
+ * @param {string} params.rpcUrl - RPC endpoint URL
+ * @param {bigint} [params.deployGas=0n] - Estimated gas for the contract deployments (0 if already deployed)
+ * @param {function(string): boolean} [params.isCompleted] - Whether a step already completed (when resuming)
+ * @param {Object} [params.pending] - Remaining transactions (defaults to pendingSteps(options, isCompleted))
+ * @returns {Promise<{checks: Object[], problems: string[], ok: boolean}>} Every balance check, other problems, and whether all passed
+ */
+async function runPreflightChecks({ options, network, signerAddress, rpcUrl, deployGas = 0n, isCompleted = () => false, pending }) {
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const policy = getFeePolicy(network);
+    const checks = [];
+    const problems = [];
+
+    // Native currency: every remaining transaction at the highest fee the policy allows it to pay
+    const { steps, subscriptionIds } = pending || pendingSteps(options, isCompleted);
+    const gas = steps.reduce((total, { step }) => total + scaleGasLimit(STEP_GAS[step], policy), BigInt(deployGas));
+    const fees = await withRetry(() => resolveFees(provider, policy), { label: "Fee lookup", retryOn: [ERROR_KINDS.TRANSIENT] });
+    const feePerGas = fees.type === "legacy" ? fees.gasPrice : fees.maxFeePerGas;
+    const nativeBalance = await withRetry(() => provider.getBalance(signerAddress), {
+        label: "Balance lookup",
+        retryOn: [ERROR_KINDS.TRANSIENT]
+    });
+    checks.push({
+        name: `Gas budget (${gas} gas at ${ethers.formatUnits(feePerGas, "gwei")} gwei)`,
+        symbol: network.nativeSymbol || "native",
+        rawUnit: "wei",
+        required: gas * feePerGas,
+        available: nativeBalance
+    });
+
+    // LINK: the upkeeps' starting balances plus funding for newly created subscriptions
+    const linkRequired = steps.reduce((total, { link }) => total + link, 0n);
+    if (linkRequired > 0n) {
+        const link = new ethers.Contract(network.linkTokenAddress, ERC20_ABI, provider);
+        const linkBalance = await withRetry(() => link.balanceOf(signerAddress), {
+            label: "LINK balance lookup",
+            retryOn: [ERROR_KINDS.TRANSIENT]
+        });
+        checks.push({ name: "LINK for Automation and subscription funding", symbol: "LINK", rawUnit: "juels", required: linkRequired, available: linkBalance });
+    }
+
+    // An existing subscription must accept the consumer and be able to pay for requests
+    for (const subscriptionId of subscriptionIds) {
+        const subscription = await checkSubscription(provider, network, signerAddress, subscriptionId);
+        problems.push(...subscription.problems);
+        if (subscription.check) checks.push(subscription.check);
+    }
+
+    for (const check of checks) {
+        if (check.topUp === undefined && check.available < check.required) {
+            check.topUp = check.required - check.available;
+        }
+    }
+    return { checks, problems, ok: problems.length === 0 && checks.every(check => check.topUp === undefined) };
+}
+
+/**
+ * Print the pre-flight results and abort if anything is short
+ * @param {Object} result - Result from runPreflightChecks
+ * @param {string} signerAddress - Address to top up
+ * @throws {Error} Listing every shortfall and problem, so all of them can be fixed in one go
+ */
+function assertPreflight(result, signerAddress) {
+    for (const check of result.checks) {
+        const line = `${check.name}: need ${formatAmount(check.required, check.symbol, check.rawUnit)}, ` +
+            `have ${formatAmount(check.available, check.symbol, check.rawUnit)}`;
+        if (check.topUp === undefined) logSuccess(line);
+        else logWarn(line);
+    }
+    for (const problem of result.problems) {
+        logWarn(problem);
+    }
+    if (result.ok) return;
+
+    const lines = result.checks
+        .filter(check => check.topUp !== undefined)
+        .map(check => `  • ${check.name}: top up ${formatAmount(check.topUp, check.symbol, check.rawUnit)}` +
+            (check.howTo ? ` (${check.howTo})` : ` to ${signerAddress}`));
+    lines.push(...result.problems.map(problem => `  • ${problem}`));
+    logInfo("Nothing has been broadcast.");
+    throw new Error(`Pre-flight checks failed:\n${lines.join("\n")}`);
+}
+
+module.exports = {
+    STEP_GAS,
+    pendingPipelineSteps,
+    runPreflightChecks,
+    assertPreflight
+};
@@ -0,0 +1,102 @@
+/**
+ * Secret redaction for everything that is logged or echoed
+ */
+
+const MASK = "***";
+
+// Env vars whose values are always masked: keys, secrets, tokens, passwords and RPC URLs (which often embed an API key)
+const SECRET_ENV_PATTERN = /(^|_)(PRIVATE_KEY|API_KEY|SECRET_KEY|SECRET|API_TOKEN|TOKEN|PASSWORD|MNEMONIC)$|^RPC_URL$/;
+
+// Command line flags whose next argument is a secret
+const SECRET_FLAGS = ["--private-key", "--etherscan-api-key", "--password", "--mnemonic", "--verifier-api-key"];
+
+// Values shorter than this are too likely to collide with ordinary output
+const MIN_SECRET_LENGTH = 6;
+
+const registeredSecrets = new Set();
+
+/**
+ * Register an additional value to mask, e.g. a secret resolved from the secrets manifest
+ * @param {string} value - Secret value
+ */
+function registerSecret(value) {
+    if (typeof value === "string" && value.length >= MIN_SECRET_LENGTH) {
+        registeredSecrets.add(value);
+    }
+}
+
+/**
+ * Collect every value currently considered secret
+ * @returns {string[]} Secret values, longest first so overlapping values are fully masked
+ */
+function getSecretValues() {
+    const values = new Set(registeredSecrets);
+    for (const [name, value] of Object.entries(process.env)) {
+        if (SECRET_ENV_PATTERN.test(name) && value && value.length >= MIN_SECRET_LENGTH) {
+            values.add(value);
+            // Private keys are also printed without their 0x prefix
+            if (value.startsWith("0x")) values.add(value.slice(2));
+        }
+    }
+    return [...values].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Mask secret values and secret flag arguments in a string
+ * @param {string} text - Text to redact
+ * @returns {string} Redacted text
+ */
+function redact(text) {
+    if (typeof text !== "string" || text.length === 0) return text;
+
+    let result = text;
+    for (const value of getSecretValues()) {
+        result = result.split(value).join(MASK);
+    }
+    for (const flag of SECRET_FLAGS) {
+        result = result.replace(new RegExp(`(${flag}[= ]+)(?!\\*\\*\\*)\\S+`, "g"), `$1${MASK}`);
+    }
+    return result;
+}
+
+/**
+ * Redact a value of any type for logging. Errors are reduced to their redacted stack;
+ * other objects are redacted through their JSON form.
+ * @param {*} value - Value to redact
+ * @returns {*} Redacted value
+ */
+function redactValue(value) {
+    if (typeof value === "string") return redact(value);
+    if (value instanceof Error) return redact(value.stack || value.message);
+    if (value && typeof value === "object") {
+        try {
+            const json = JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v));
+            const redacted = redact(json);
+            return redacted === json ? value : JSON.parse(redacted);
+        } catch (error) {
+            return value;
+        }
+    }
+    return value;
+}
+
+/**
+ * Route console.log/info/warn/error through the redaction layer. Safe to call more than once.
+ */
+function redactConsole() {
+    if (console.__redacted) return;
+    for (const method of ["log", "info", "warn", "error"]) {
+        const original = console[method].bind(console);
+        console[method] = (...args) => original(...args.map(redactValue));
+    }
+    console.__redacted = true;
+}
+
+module.exports = {
+    MASK,
+    SECRET_FLAGS,
+    registerSecret,
+    redact,
+    redactValue,
+    redactConsole
+};
@@ -0,0 +1,258 @@
+/**
+ * Retry engine with error classification for RPC, transaction, HTTP and command failures
+ */
+
+const { ethers } = require("ethers");
+const { logInfo, logWarn } = require("./log");
+const { applyFeePolicy } = require("./fees");
+
+// Delay between receipt polls
+const RECEIPT_POLL_MS = 3000;
+
+// Error kinds. Only "fatal" errors are never retried.
+const ERROR_KINDS = {
+    TRANSIENT: "transient",
+    NONCE: "nonce",
+    REPRICE: "reprice",
+    FATAL: "fatal"
+};
+
+// Checked in order: a revert is fatal even when the message also mentions a timeout
+const ERROR_PATTERNS = [
+    [ERROR_KINDS.FATAL, /FEE_CEILING_EXCEEDED/, "fee above the configured ceiling"],
+    // The transaction may still be mined, so sending it again could duplicate it
+    [ERROR_KINDS.FATAL, /TX_RECEIPT_TIMEOUT/, "transaction sent but not mined in time"],
+    [ERROR_KINDS.FATAL, /insufficient funds|transfer amount exceeds balance|insufficient balance|InsufficientBalance/i, "insufficient funds"],
+    [ERROR_KINDS.FATAL, /unauthori[sz]ed|only ?callable ?by|OnlyCallableByOwner|not (the )?owner|MustBeSubOwner|MustBeProposedOwner|OnlyAdmin|SenderMustAcceptTermsOfService/i, "unauthorized caller"],
+    [ERROR_KINDS.FATAL, /CALL_EXCEPTION|execution reverted|revert|status[\s":]+0\b/i, "transaction reverted"],
+    [ERROR_KINDS.REPRICE, /replacement (transaction )?underpriced|REPLACEMENT_UNDERPRICED|transaction underpriced|max fee per gas less than block base fee|fee too low/i, "fee too low"],
+    [ERROR_KINDS.NONCE, /nonce too low|NONCE_EXPIRED|nonce has already been used|already known/i, "nonce too low"],
+    [ERROR_KINDS.TRANSIENT, /\b429\b|too many requests|rate limit|exceeded .*capacity/i, "rate limited"],
+    [ERROR_KINDS.TRANSIENT, /ETIMEDOUT|ESOCKETTIMEDOUT|timeout|timed out/i, "timeout"],
+    [ERROR_KINDS.TRANSIENT, /ECONNRESET|ECONNREFUSED|EAI_AGAIN|ENOTFOUND|socket hang up|network error|NETWORK_ERROR|SERVER_ERROR|\b50[234]\b|bad gateway|service unavailable|header not found/i, "network error"]
+];
+
+/**
+ * Collect the text of an error and its nested causes for classification
+ * @param {Error|Object} error - Error from ethers, axios, executeCommand or the toolkit
+ * @returns {string} Combined error text
+ */
+function errorText(error) {
+    if (!error) return "";
+    const parts = [
+        error.code,
+        error.message,
+        error.shortMessage,
+        error.reason,
+        error.stderr,
+        error.response && error.response.status,
+        error.info && error.info.error && error.info.error.message,
+        error.error && error.error.message
+    ];
+    return parts.filter(part => part !== undefined && part !== null).join(" ");
+}
+
+/**
+ * Classify an error as transient, nonce, reprice or fatal
+ * @param {Error|Object} error - Error to classify
+ * @returns {{kind: string, reason: string}} Classification; unknown errors are fatal
+ */
+function classifyError(error) {
+    const text = errorText(error);
+    for (const [kind, pattern, reason] of ERROR_PATTERNS) {
+        if (pattern.test(text)) {
+            return { kind, reason };
+        }
+    }
+    return { kind: ERROR_KINDS.FATAL, reason: "unclassified error" };
+}
+
+/**
+ * Read the retry defaults from MAX_RETRIES and RETRY_DELAY_MS
+ * @returns {{maxRetries: number, retryDelay: number}} Retry defaults
+ */
+function getRetryOptions() {
+    const maxRetries = parseInt(process.env.MAX_RETRIES, 10);
+    const retryDelay = parseInt(process.env.RETRY_DELAY_MS, 10);
+    return {
+        maxRetries: Number.isNaN(maxRetries) ? 3 : maxRetries,
+        retryDelay: Number.isNaN(retryDelay) ? 2000 : retryDelay
+    };
+}
+
+/**
+ * Run an operation, retrying retryable failures with exponential backoff.
+ * The operation receives the attempt number and a fee multiplier that grows
+ * each time a transaction is rejected as underpriced.
+ * @param {function({attempt: number, feeBump: number}): Promise<*>} fn - Operation to run
+ * @param {Object} [options] - Retry options
+ * @param {string} [options.label="operation"] - Name used in log messages
+ * @param {number} [options.maxRetries] - Retries after the first attempt (defaults to MAX_RETRIES or 3)
+ * @param {number} [options.retryDelay] - Initial backoff in milliseconds (defaults to RETRY_DELAY_MS or 2000)
+ * @param {number} [options.maxDelay=30000] - Backoff ceiling in milliseconds
+ * @param {string[]} [options.retryOn] - Error kinds to retry (defaults to transient, nonce and reprice)
+ * @param {number} [options.feeBumpFactor=1.25] - Fee multiplier applied per reprice
+ * @returns {Promise<*>} The operation's result
+ * @throws {Error} The last error, with `classification` and `attempts` attached
+ */
+async function withRetry(fn, options = {}) {
+    const defaults = getRetryOptions();
+    const {
+        label = "operation",
+        maxRetries = defaults.maxRetries,
+        retryDelay = defaults.retryDelay,
+        maxDelay = 30000,
+        retryOn = [ERROR_KINDS.TRANSIENT, ERROR_KINDS.NONCE, ERROR_KINDS.REPRICE],
+        feeBumpFactor = 1.25
+    } = options;
+
+    let feeBump = 1;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn({ attempt, feeBump });
+        } catch (error) {
+            const classification = classifyError(error);
+            error.classification = classification;
+            error.attempts = attempt;
+
+            if (!retryOn.includes(classification.kind) || attempt > maxRetries) {
+                if (attempt > 1) {
+                    logWarn(`${label} failed after ${attempt} attempt(s) (${classification.kind}: ${classification.reason})`);
+                }
+                throw error;
+            }
+
+            if (classification.kind === ERROR_KINDS.REPRICE) {
+                feeBump *= feeBumpFactor;
+            }
+            const delay = Math.min(maxDelay, retryDelay * 2 ** (attempt - 1));
+            logWarn(
+                `${label} attempt ${attempt}/${maxRetries + 1} failed (${classification.kind}: ${classification.reason}); ` +
+                `retrying in ${(delay / 1000).toFixed(1)}s` +
+                (classification.kind === ERROR_KINDS.REPRICE ? ` with fees x${feeBump.toFixed(2)}` : "")
+            );
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Poll for the receipt of any of the given transactions. Repriced attempts share
+ * a nonce, so whichever of them is mined counts.
+ * @param {Object} provider - ethers provider
+ * @param {string[]} hashes - Hashes of every broadcast attempt
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<Object>} The first receipt found
+ * @throws {Error} If none is mined before the timeout
+ */
+async function waitForAnyReceipt(provider, hashes, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        for (const hash of hashes) {
+            const receipt = await withRetry(() => provider.getTransactionReceipt(hash), {
+                label: `receipt of ${hash}`,
+                retryOn: [ERROR_KINDS.TRANSIENT]
+            });
+            if (receipt) return receipt;
+        }
+        await new Promise(resolve => setTimeout(resolve, RECEIPT_POLL_MS));
+    }
+    const error = new Error(`No receipt for ${hashes.join(", ")} within ${Math.round(timeoutMs / 1000)}s`);
+    error.code = "TX_RECEIPT_TIMEOUT";
+    throw error;
+}
+
+/**
+ * Fail on a reverted transaction
+ * @param {Object} receipt - Transaction receipt
+ * @param {string} label - Transaction label for the error message
+ * @returns {Object} The receipt, if the transaction succeeded
+ * @throws {Error} With code CALL_EXCEPTION if it reverted
+ */
+function checkReceipt(receipt, label) {
+    if (receipt.status === 0) {
+        const error = new Error(`${label} reverted in ${receipt.hash}`);
+        error.code = "CALL_EXCEPTION";
+        error.receipt = receipt;
+        throw error;
+    }
+    return receipt;
+}
+
+/**
+ * Send a transaction and wait for its receipt, retrying transient failures.
+ * Gas limit and fees follow the network's fee policy (see fees.js).
+ * Each attempt is signed locally so its hash is known before broadcasting:
+ * a broadcast that errors after the node accepted it is recognised on the
+ * next attempt ("nonce too low" / "already known") instead of being sent twice,
+ * and a receipt timeout is never answered with a second transaction.
+ * @param {Object} wallet - ethers signer connected to a provider
+ * @param {Object|Promise<Object>} txRequest - Transaction request, e.g. from contract.fn.populateTransaction()
+ * @param {Object} [options] - Retry options (see withRetry)
+ * @param {number} [options.timeoutMs] - Receipt timeout (defaults to TX_TIMEOUT_MS or 10 minutes)
+ * @param {function(string[]): void} [options.onSent] - Called with every hash sent so far after each broadcast
+ * @param {string[]} [options.previousHashes] - Hashes an interrupted earlier run sent; if the node knows
+ *   any of them, its receipt is awaited and nothing new is sent unless it reverted
+ * @returns {Promise<Object>} Transaction receipt
+ * @throws {Error} If the transaction reverts, is never mined or retries are exhausted
+ */
+async function sendTransactionWithRetry(wallet, txRequest, options = {}) {
+    let request = await txRequest;
+    const label = options.label || "transaction";
+    const timeoutMs = options.timeoutMs || parseInt(process.env.TX_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+    const provider = wallet.provider;
+    const sentHashes = [];
+    // Every attempt reuses the first nonce, so a retry can replace but never duplicate the transaction
+    let nonce = request.nonce;
+
+    const previousHashes = options.previousHashes || [];
+    for (const earlier of previousHashes) {
+        const known = await withRetry(() => provider.getTransaction(earlier), {
+            label: `${label} lookup`,
+            retryOn: [ERROR_KINDS.TRANSIENT]
+        });
+        if (!known) continue;
+        logInfo(`${label}: already sent as ${earlier}; waiting for it instead of sending again`);
+        const receipt = await waitForAnyReceipt(provider, previousHashes, timeoutMs);
+        if (receipt.status !== 0) return receipt;
+        // A reverted attempt changed nothing, so it is sent again
+        logWarn(`${label} reverted in ${receipt.hash}; sending it again`);
+        break;
+    }
+
+    const hash = await withRetry(async ({ feeBump }) => {
+        const priced = await applyFeePolicy(wallet, request, { feeBump });
+        // Keep the first gas limit so repriced attempts differ only in fees
+        request = { ...request, gasLimit: priced.gasLimit };
+        const populated = await wallet.populateTransaction({ ...priced, nonce });
+        nonce = populated.nonce;
+        const signed = await wallet.signTransaction(populated);
+        const attemptHash = ethers.keccak256(signed);
+        sentHashes.push(attemptHash);
+        try {
+            await provider.broadcastTransaction(signed);
+        } catch (error) {
+            if (classifyError(error).kind !== ERROR_KINDS.NONCE) throw error;
+            // The nonce is taken: if by one of our own attempts, that one is the transaction
+            for (const earlier of sentHashes) {
+                if (await provider.getTransaction(earlier)) return earlier;
+            }
+            // Taken by another transaction from this account: start over with a fresh nonce
+            nonce = undefined;
+            throw error;
+        }
+        if (options.onSent) options.onSent([...sentHashes]);
+        return attemptHash;
+    }, { ...options, label });
+
+    logInfo(`${label}: sent ${hash}`);
+    return checkReceipt(await waitForAnyReceipt(provider, sentHashes, timeoutMs), label);
+}
+
+module.exports = {
+    ERROR_KINDS,
+    classifyError,
+    getRetryOptions,
+    withRetry,
+    sendTransactionWithRetry
+};
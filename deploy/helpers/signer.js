@@ -0,0 +1,268 @@
+/**
+ * Signer resolution shared by forge, cast and the ethers-based scripts.
+ * Supports a raw private key, Foundry keystore accounts, encrypted JSON keystores and HD mnemonics.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const crypto = require("crypto");
+const path = require("path");
+const readline = require("readline");
+const { ethers } = require("ethers");
+const { registerSecret } = require("./redact");
+
+const SIGNER_TYPES = ["private-key", "foundry-account", "keystore", "mnemonic"];
+const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
+
+// Decrypted keys are cached per process and signer configuration; child processes re-derive from the same env
+const cachedPrivateKeys = new Map();
+
+// Passwords entered at the prompt, by keystore path
+const promptedPasswords = new Map();
+
+/**
+ * Read the signer configuration from the environment. SIGNER_TYPE selects the
+ * signer explicitly; otherwise it is inferred from which variables are set.
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {Object} Signer configuration: type plus the fields that type needs
+ * @throws {Error} If no signer is configured or the configuration is incomplete
+ */
+function resolveSignerConfig(env = process.env) {
+    let type = env.SIGNER_TYPE;
+    if (!type) {
+        if (env.FOUNDRY_ACCOUNT) type = "foundry-account";
+        else if (env.KEYSTORE_PATH) type = "keystore";
+        else if (env.MNEMONIC || env.MNEMONIC_FILE) type = "mnemonic";
+        else if (env.PRIVATE_KEY) type = "private-key";
+        else throw new Error("No signer configured: set FOUNDRY_ACCOUNT, KEYSTORE_PATH, MNEMONIC or PRIVATE_KEY");
+    }
+    if (!SIGNER_TYPES.includes(type)) {
+        throw new Error(`Invalid SIGNER_TYPE "${type}"; expected one of ${SIGNER_TYPES.join(", ")}`);
+    }
+
+    const passwordFile = env.KEYSTORE_PASSWORD_FILE;
+    switch (type) {
+        case "private-key":
+            if (!env.PRIVATE_KEY) throw new Error("SIGNER_TYPE is private-key but PRIVATE_KEY is not set");
+            return { type, privateKey: env.PRIVATE_KEY };
+        case "foundry-account": {
+            if (!env.FOUNDRY_ACCOUNT) throw new Error("SIGNER_TYPE is foundry-account but FOUNDRY_ACCOUNT is not set");
+            const keystoreDir = env.FOUNDRY_KEYSTORE_DIR || path.join(os.homedir(), ".foundry", "keystores");
+            return { type, account: env.FOUNDRY_ACCOUNT, keystorePath: path.join(keystoreDir, env.FOUNDRY_ACCOUNT), passwordFile };
+        }
+        case "keystore":
+            if (!env.KEYSTORE_PATH) throw new Error("SIGNER_TYPE is keystore but KEYSTORE_PATH is not set");
+            return { type, keystorePath: path.resolve(env.KEYSTORE_PATH), passwordFile };
+        case "mnemonic":
+            if (!env.MNEMONIC && !env.MNEMONIC_FILE) throw new Error("SIGNER_TYPE is mnemonic but neither MNEMONIC nor MNEMONIC_FILE is set");
+            return {
+                type,
+                mnemonic: env.MNEMONIC,
+                mnemonicFile: env.MNEMONIC_FILE ? path.resolve(env.MNEMONIC_FILE) : undefined,
+                derivationPath: env.MNEMONIC_DERIVATION_PATH || DEFAULT_DERIVATION_PATH
+            };
+    }
+}
+
+/**
+ * Prompt for a password on the terminal without echoing it
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} The entered password
+ * @throws {Error} If there is no interactive terminal
+ */
+function promptPassword(question) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new Error("Keystore password required: set KEYSTORE_PASSWORD_FILE (no terminal to prompt on)"));
+    }
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        rl._writeToOutput = text => {
+            if (text.includes(question)) rl.output.write(text);
+        };
+        rl.question(question, answer => {
+            rl.close();
+            process.stdout.write("\n");
+            resolve(answer);
+        });
+    });
+}
+
+/**
+ * Get the keystore password from KEYSTORE_PASSWORD, the password file, or a prompt.
+ * A prompted password is remembered per keystore for the rest of the run, but never
+ * put in the environment that forge and cast inherit; they get it as a password file.
+ * @param {Object} config - Signer configuration
+ * @returns {Promise<string>} Keystore password
+ */
+async function getKeystorePassword(config) {
+    if (process.env.KEYSTORE_PASSWORD) return process.env.KEYSTORE_PASSWORD;
+    if (config.passwordFile) {
+        return fs.readFileSync(path.resolve(config.passwordFile), "utf8").replace(/\r?\n$/, "");
+    }
+    if (!promptedPasswords.has(config.keystorePath)) {
+        const password = await promptPassword(`Password for ${config.account || config.keystorePath}: `);
+        registerSecret(password);
+        promptedPasswords.set(config.keystorePath, password);
+    }
+    return promptedPasswords.get(config.keystorePath);
+}
+
+/**
+ * Read the mnemonic phrase from MNEMONIC or MNEMONIC_FILE
+ * @param {Object} config - Mnemonic signer configuration
+ * @returns {string} Mnemonic phrase
+ */
+function readMnemonic(config) {
+    return (config.mnemonic || fs.readFileSync(config.mnemonicFile, "utf8")).trim();
+}
+
+/**
+ * Resolve the configured signer to a private key, for ethers-based scripts
+ * (including the functions-toolkit's ethers v5 wallets)
+ * @param {Object} [config] - Signer configuration (defaults to resolveSignerConfig())
+ * @returns {Promise<string>} Hex private key
+ * @throws {Error} If the keystore cannot be decrypted
+ */
+async function getPrivateKey(config = resolveSignerConfig()) {
+    const cacheKey = JSON.stringify(config);
+    if (cachedPrivateKeys.has(cacheKey)) return cachedPrivateKeys.get(cacheKey);
+
+    let privateKey;
+    if (config.type === "private-key") {
+        privateKey = config.privateKey;
+    } else if (config.type === "mnemonic") {
+        privateKey = ethers.HDNodeWallet.fromPhrase(readMnemonic(config), undefined, config.derivationPath).privateKey;
+    } else {
+        if (!fs.existsSync(config.keystorePath)) {
+            throw new Error(`Keystore not found: ${config.keystorePath}`);
+        }
+        const json = fs.readFileSync(config.keystorePath, "utf8");
+        try {
+            privateKey = (await ethers.Wallet.fromEncryptedJson(json, await getKeystorePassword(config))).privateKey;
+        } catch (error) {
+            throw new Error(`Failed to unlock keystore ${config.keystorePath}: ${error.message}`);
+        }
+    }
+
+    registerSecret(privateKey);
+    registerSecret(privateKey.replace(/^0x/, ""));
+    cachedPrivateKeys.set(cacheKey, privateKey);
+    return privateKey;
+}
+
+/**
+ * Create an ethers wallet for the configured signer
+ * @param {Object} [provider] - ethers provider to connect to
+ * @returns {Promise<Object>} ethers Wallet
+ */
+async function getWallet(provider) {
+    return new ethers.Wallet(await getPrivateKey(), provider);
+}
+
+/**
+ * Get the address of the configured signer
+ * @returns {Promise<string>} Signer address
+ */
+async function getSignerAddress() {
+    return ethers.computeAddress(await getPrivateKey());
+}
+
+/**
+ * Write a secret to a file only the current user can read
+ * @param {string} dir - Private directory from withFoundryWallet
+ * @param {string} name - File name
+ * @param {string} content - Secret to write
+ * @returns {string} File path
+ */
+function writeSecretFile(dir, name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content, { mode: 0o600 });
+    return file;
+}
+
+/**
+ * Build the wallet flags for forge and cast, so they sign with the same account
+ * as the ethers-based scripts. Secrets are passed as files, never as arguments.
+ * @param {Object} config - Signer configuration
+ * @param {string} dir - Private directory for the secret files
+ * @param {boolean} sender - Add --sender, which `forge script` needs for non-key signers
+ * @returns {Promise<string[]>} Wallet arguments
+ */
+async function buildWalletArgs(config, dir, sender) {
+    let args;
+    if (config.type === "mnemonic") {
+        const mnemonicFile = config.mnemonicFile || writeSecretFile(dir, "mnemonic", readMnemonic(config));
+        args = ["--mnemonic", mnemonicFile, "--mnemonic-derivation-path", config.derivationPath];
+    } else if (config.type === "private-key") {
+        // forge and cast only read raw keys from arguments, so the key goes into a throwaway keystore.
+        // Its strength comes from the file permissions, so a light scrypt cost keeps this fast.
+        const password = crypto.randomBytes(32).toString("hex");
+        const wallet = new ethers.Wallet(config.privateKey);
+        const keystore = ethers.encryptKeystoreJsonSync({ address: wallet.address, privateKey: wallet.privateKey }, password, {
+            scrypt: { N: 1 << 12 }
+        });
+        args = ["--keystore", writeSecretFile(dir, "keystore.json", keystore), "--password-file", writeSecretFile(dir, "password", password)];
+    } else {
+        const passwordFile = config.passwordFile && !process.env.KEYSTORE_PASSWORD
+            ? path.resolve(config.passwordFile)
+            : writeSecretFile(dir, "password", await getKeystorePassword(config));
+        // Foundry accounts are passed by path too: --account only looks in ~/.foundry/keystores,
+        // which would ignore FOUNDRY_KEYSTORE_DIR
+        args = ["--keystore", config.keystorePath, "--password-file", passwordFile];
+    }
+
+    if (sender) {
+        args.push("--sender", ethers.computeAddress(await getPrivateKey(config)));
+    }
+    return args;
+}
+
+/**
+ * Run forge or cast with the configured signer. Private keys, passwords and mnemonic
+ * phrases never appear on the command line, where any user can read them from the
+ * process list: they are written to files only the current user can read, in a
+ * temporary directory that is removed once the function settles.
+ * @param {Object} [options] - Wallet options
+ * @param {boolean} [options.sender=false] - Add --sender, which `forge script` needs for non-key signers
+ * @param {function(string[]): Promise<*>} fn - Receives the wallet arguments and runs the commands
+ * @param {Object} [config] - Signer configuration (defaults to resolveSignerConfig())
+ * @returns {Promise<*>} The function's result
+ */
+async function withFoundryWallet({ sender = false } = {}, fn, config = resolveSignerConfig()) {
+    // mkdtemp creates the directory readable by the current user only
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "foundry-wallet-"));
+    try {
+        return await fn(await buildWalletArgs(config, dir, sender));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Describe the configured signer without revealing secrets
+ * @param {Object} [config] - Signer configuration (defaults to resolveSignerConfig())
+ * @returns {string} Description, e.g. "foundry-account deployer"
+ */
+function describeSigner(config = resolveSignerConfig()) {
+    switch (config.type) {
+        case "foundry-account":
+            return `foundry-account ${config.account}`;
+        case "keystore":
+            return `keystore ${config.keystorePath}`;
+        case "mnemonic":
+            return `mnemonic ${config.derivationPath}`;
+        default:
+            return "private-key";
+    }
+}
+
+module.exports = {
+    SIGNER_TYPES,
+    DEFAULT_DERIVATION_PATH,
+    resolveSignerConfig,
+    getPrivateKey,
+    getWallet,
+    getSignerAddress,
+    withFoundryWallet,
+    describeSigner
+};
@@ -0,0 +1,73 @@
+/**
+ * Shared pieces of the command-line transaction scripts: argument parsing,
+ * sending contract calls and usage output generated from a command table
+ */
+
+const { ethers } = require("ethers");
+const { logSuccess } = require("./log");
+const { withRetry, sendTransactionWithRetry, ERROR_KINDS } = require("./retry");
+const { scaleGasLimit } = require("./fees");
+
+// LINK pays registrars, registries and routers through ERC-677 transferAndCall
+const LINK_ABI = ["function transferAndCall(address to, uint256 value, bytes data) returns (bool)"];
+
+// Largest LINK amount in juels the registry and router accept
+const UINT96_MAX = (1n << 96n) - 1n;
+
+/**
+ * Parse an address argument
+ * @param {string} value - Raw argument
+ * @param {string} label - Argument name for error messages
+ * @returns {string} Checksummed address
+ */
+function parseAddress(value, label) {
+    if (!value || !ethers.isAddress(value)) {
+        throw new Error(`${label} must be an address, got "${value}"`);
+    }
+    return ethers.getAddress(value);
+}
+
+/**
+ * Send a contract call and wait for it to be mined, retrying RPC failures.
+ * Gas is estimated through the contract first so reverts are decoded against its ABI,
+ * then scaled by the fee policy's gas limit multiplier.
+ * @param {string} label - Description of the action
+ * @param {Object} contract - Contract connected to the signer
+ * @param {string} method - Function to call
+ * @param {Array} [args=[]] - Function arguments
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function sendAndWait(label, contract, method, args = []) {
+    const estimate = await withRetry(() => contract[method].estimateGas(...args), {
+        label: `${label}: gas estimate`,
+        retryOn: [ERROR_KINDS.TRANSIENT]
+    });
+    const gasLimit = scaleGasLimit(estimate);
+    const txRequest = await contract[method].populateTransaction(...args, { gasLimit });
+    const receipt = await sendTransactionWithRetry(contract.runner, txRequest, { label });
+    logSuccess(`${label}: confirmed in block ${receipt.blockNumber}. Hash: ${receipt.hash}`);
+    return receipt;
+}
+
+/**
+ * Print usage generated from a command table
+ * @param {string} usage - Usage line, e.g. "node deploy/automation/manageUpkeep.js <command> [args]"
+ * @param {Object<string, {usage: string, description: string}>} commands - Command table
+ * @param {string} [footer] - Closing note
+ */
+function printUsage(usage, commands, footer) {
+    console.log(`Usage: ${usage}\n`);
+    console.log("Commands:");
+    for (const spec of Object.values(commands)) {
+        console.log(`  ${spec.usage.padEnd(28)} ${spec.description}`);
+    }
+    if (footer) console.log(`\n${footer}`);
+}
+
+module.exports = {
+    LINK_ABI,
+    UINT96_MAX,
+    parseAddress,
+    sendAndWait,
+    printUsage
+};
@@ -1,73 +1,256 @@
 /**
  * Environment variable management utilities
- * Uses dotenv for reading and fs for safe writing to .env files
+ * Uses dotenv for reading and fs for safe writing to .env files. A named
+ * environment profile (--env staging or ENV_PROFILE) selects .env.staging instead of .env.
  */
 
 const fs = require("fs");
 const path = require("path");
 const { logSuccess, logError, logWarn } = require("./log");
 
+// Profile names become part of a file name: .env.<profile>
+const ENV_PROFILE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Values written without quotes; anything else is quoted so dotenv reads it back unchanged
+const BARE_VALUE_PATTERN = /^[A-Za-z0-9_.,:/@+=%-]*$/;
+
+// How long a writer waits for another's lock, and when a lock left behind is considered stale
+const LOCK_TIMEOUT_MS = 10 * 1000;
+const LOCK_STALE_MS = 60 * 1000;
+
+/**
+ * Get the selected environment profile
+ * @returns {string|null} Profile name from --env or ENV_PROFILE, or null for the default .env
+ * @throws {Error} If the profile name is not usable in a file name
+ */
+function getEnvProfile() {
+    const profile = process.env.ENV_PROFILE || null;
+    if (profile && !ENV_PROFILE_PATTERN.test(profile)) {
+        throw new Error(`Invalid environment profile "${profile}"; use letters, digits, "-" and "_"`);
+    }
+    return profile;
+}
+
+/**
+ * Get the .env file of an environment profile
+ * @param {string|null} [profile] - Profile name (defaults to the selected profile)
+ * @returns {string} Absolute path: .env, or .env.<profile>
+ */
+function getEnvPath(profile = getEnvProfile()) {
+    return path.resolve(profile ? `./.env.${profile}` : "./.env");
+}
+
+/**
+ * Select the environment profile from --env <name> (or --env=<name>) for a script.
+ * The choice is exported as ENV_PROFILE, so loadEnvFile and updateEnvFile use .env.<name>.
+ * @param {string[]} args - Command line arguments
+ * @returns {string[]} The arguments without --env
+ * @throws {Error} If --env has no profile name
+ */
+function setupEnvProfile(args) {
+    const rest = [];
+    for (let i = 0; i < args.length; i++) {
+        let profile;
+        if (args[i] === "--env") profile = args[++i];
+        else if (args[i].startsWith("--env=")) profile = args[i].slice("--env=".length);
+        else {
+            rest.push(args[i]);
+            continue;
+        }
+        if (!profile || profile.startsWith("-")) {
+            throw new Error("--env needs a profile name, e.g. --env staging");
+        }
+        process.env.ENV_PROFILE = profile;
+    }
+    return rest;
+}
+
+/**
+ * Quote a value for a .env file so that dotenv reads it back unchanged.
+ * Plain values stay bare, others are single-quoted (taken literally), and values
+ * containing a single quote or a newline are double-quoted with newlines as \n.
+ * @param {string} value - Value to write
+ * @returns {string} The value as written after "KEY="
+ * @throws {Error} If dotenv cannot read the value back, e.g. it contains both quote characters
+ */
+function formatEnvValue(value) {
+    if (BARE_VALUE_PATTERN.test(value)) return value;
+    if (!/['\r\n]/.test(value)) return `'${value}'`;
+    if (!value.includes("\"") && !/\\[nr]/.test(value)) {
+        return `"${value.replace(/\r/g, "\\r").replace(/\n/g, "\\n")}"`;
+    }
+    throw new Error("dotenv cannot read this value back: it has a single quote or newline together with a double quote or a literal \\n");
+}
+
+/**
+ * Find the trailing comment of a .env assignment, following dotenv: a quoted value
+ * ends at its closing quote, an unquoted one at the first "#"
+ * @param {string} rest - The line after "KEY="
+ * @returns {string} The comment starting at "#", or "" if there is none
+ */
+function findEnvComment(rest) {
+    const quote = rest[0];
+    let end = 0;
+    if (quote === "'" || quote === "\"" || quote === "`") {
+        end = 1;
+        while (end < rest.length && rest[end] !== quote) {
+            end += quote === "\"" && rest[end] === "\\" ? 2 : 1;
+        }
+        end += 1;
+    }
+    const comment = rest.slice(end).match(/#.*$/);
+    return comment ? comment[0] : "";
+}
+
+/**
+ * Rewrite every assignment of a key in .env content, keeping its export prefix,
+ * its trailing comment (at the same column where possible) and the order of the lines
+ * @param {string} content - Current file content
+ * @param {string} key - Environment variable name
+ * @param {string} formatted - Value from formatEnvValue
+ * @returns {string|null} The new content, or null if the key is not assigned
+ */
+function replaceEnvAssignment(content, key, formatted) {
+    // key matches ENV_KEY_PATTERN, so it needs no escaping in the pattern
+    const assignment = new RegExp(`^(\\s*(?:export\\s+)?)${key}\\s*=\\s*(.*)$`);
+    let found = false;
+    const lines = content.split("\n").map(line => {
+        const eol = line.endsWith("\r") ? "\r" : "";
+        const text = line.slice(0, line.length - eol.length);
+        const match = text.match(assignment);
+        if (!match) return line;
+        found = true;
+        const newLine = `${match[1]}${key}=${formatted}`;
+        const comment = findEnvComment(match[2]);
+        if (!comment) return `${newLine}${eol}`;
+        const padding = " ".repeat(Math.max(1, text.length - comment.length - newLine.length));
+        return `${newLine}${padding}${comment}${eol}`;
+    });
+    return found ? lines.join("\n") : null;
+}
+
+/**
+ * Sleep without returning to the event loop, while waiting for a lock
+ * @param {number} ms - Milliseconds to wait
+ */
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Check whether a lock file was left behind by a writer that is gone
+ * @param {string} lockPath - Lock file path
+ * @returns {boolean} True if its process has exited or the lock is older than LOCK_STALE_MS
+ */
+function isStaleLock(lockPath) {
+    try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) return true;
+        const pid = Number(fs.readFileSync(lockPath, "utf8"));
+        if (!pid) return false;
+        process.kill(pid, 0);
+        return false;
+    } catch (error) {
+        // ESRCH: no such process; ENOENT: the lock was just released
+        return error.code === "ESRCH" || error.code === "ENOENT";
+    }
+}
+
+/**
+ * Take the lock of a .env file, waiting for other writers to finish
+ * @param {string} envPath - Path to the .env file
+ * @returns {function(): void} Releases the lock
+ * @throws {Error} If another process holds the lock for longer than LOCK_TIMEOUT_MS
+ */
+function lockEnvFile(envPath) {
+    const lockPath = `${envPath}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+        try {
+            fs.writeFileSync(lockPath, String(process.pid), { flag: "wx" });
+            return () => fs.rmSync(lockPath, { force: true });
+        } catch (error) {
+            if (error.code !== "EEXIST") throw error;
+        }
+        if (isStaleLock(lockPath)) {
+            logWarn(`Removing stale lock ${lockPath}`);
+            fs.rmSync(lockPath, { force: true });
+        } else if (Date.now() > deadline) {
+            throw new Error(`${envPath} is locked by another process; delete ${lockPath} if none is running`);
+        } else {
+            sleepSync(100);
+        }
+    }
+}
+
 /**
- * Update or add an environment variable to the .env file
+ * Update or add an environment variable in the .env file of the selected profile.
+ * The value is quoted as needed, existing lines keep their order and trailing comments,
+ * concurrent writers are serialized with a lock file, and the previous file is kept as <file>.bak.
  * @param {string} key - Environment variable name
  * @param {string} value - Environment variable value
  * @param {Object} options - Options for updating
- * @param {string} [options.envPath="./.env"] - Path to .env file
+ * @param {string} [options.envPath] - Path to .env file (defaults to the selected profile's, see getEnvPath)
  * @param {boolean} [options.createIfMissing=true] - Create .env file if it doesn't exist
  * @returns {boolean} Success status
  */
 function updateEnvFile(key, value, options = {}) {
     const {
-        envPath = path.resolve("./.env"),
+        envPath = getEnvPath(),
         createIfMissing = true
     } = options;
+    const fileName = path.basename(envPath);
 
+    let release;
     try {
+        if (!ENV_KEY_PATTERN.test(key)) {
+            throw new Error(`Invalid variable name "${key}"`);
+        }
+        value = String(value);
+        const formatted = formatEnvValue(value);
+
+        release = lockEnvFile(envPath);
         let envContent = "";
+        let mode = 0o600;
 
         // Read existing .env file or create new one
         if (fs.existsSync(envPath)) {
             envContent = fs.readFileSync(envPath, "utf8");
+            mode = fs.statSync(envPath).mode & 0o777;
         } else if (createIfMissing) {
-            logWarn(`Creating new .env file at ${envPath}`);
+            logWarn(`Creating new ${fileName} file at ${envPath}`);
             envContent = "# Environment Variables\n";
         } else {
             throw new Error(`Environment file not found: ${envPath}`);
         }
 
-        // Handle both export and regular format
-        const exportRegex = new RegExp(`^export\\s+${key}=.*`, "m");
-        const regularRegex = new RegExp(`^${key}=.*`, "m");
-        const newLine = `export ${key}=${value}`;
-
-        if (exportRegex.test(envContent)) {
-            // Replace existing export line
-            envContent = envContent.replace(exportRegex, newLine);
-        } else if (regularRegex.test(envContent)) {
-            // Replace existing regular line
-            envContent = envContent.replace(regularRegex, newLine);
-        } else {
+        let newContent = replaceEnvAssignment(envContent, key, formatted);
+        if (newContent === null) {
             // Add new line
-            if (!envContent.endsWith("\n")) {
-                envContent += "\n";
-            }
-            envContent += `${newLine}\n`;
+            newContent = `${envContent}${envContent.endsWith("\n") ? "" : "\n"}export ${key}=${formatted}\n`;
         }
 
-        // Write file atomically
-        const tempPath = `${envPath}.tmp`;
-        fs.writeFileSync(tempPath, envContent);
-        fs.renameSync(tempPath, envPath);
+        if (newContent !== envContent) {
+            // Keep the previous version, then write the new one atomically
+            if (fs.existsSync(envPath)) {
+                fs.copyFileSync(envPath, `${envPath}.bak`);
+            }
+            const tempPath = `${envPath}.tmp`;
+            fs.writeFileSync(tempPath, newContent, { mode });
+            fs.renameSync(tempPath, envPath);
+        }
 
         // Update process.env for immediate use
         process.env[key] = value;
 
-        logSuccess(`Updated ${key} in .env file`);
+        logSuccess(`Updated ${key} in ${fileName} file`);
         return true;
 
     } catch (error) {
-        logError(`Failed to update .env file: ${error.message}`);
+        logError(`Failed to update ${key} in ${fileName}: ${error.message}`);
         return false;
+    } finally {
+        if (release) release();
     }
 }
 
@@ -98,11 +281,17 @@ function validateRequiredEnvVars(requiredVars) {
 }
 
 /**
- * Load environment variables from .env file
- * @param {string} [envPath="./.env"] - Path to .env file
+ * Load environment variables from the selected profile's .env file.
+ * Variables already set in the environment are kept.
+ * @param {string} [envPath] - Path to .env file (defaults to .env, or .env.<profile> with --env or ENV_PROFILE)
  * @returns {boolean} Success status
+ * @throws {Error} If a named profile's file does not exist
  */
-function loadEnvFile(envPath = "./.env") {
+function loadEnvFile(envPath = getEnvPath()) {
+    const profile = getEnvProfile();
+    if (profile && !fs.existsSync(envPath)) {
+        throw new Error(`Environment profile "${profile}" not found: ${envPath} does not exist`);
+    }
     try {
         require("dotenv").config({ path: envPath });
         return true;
@@ -170,19 +359,51 @@ function generateUpkeepName(prefix = "Test", timezone = null) {
 /**
  * Get numeric environment variable
  * @param {string} key - Environment variable name
- * @param {number} [defaultValue=0] - Default value if not found
+ * @param {number} [defaultValue=0] - Default value if not set
  * @returns {number} Numeric value
+ * @throws {Error} If the variable is set but is not an integer
  */
 function getNumericEnvVar(key, defaultValue = 0) {
     const value = getEnvVar(key);
     if (!value) return defaultValue;
-    const parsed = parseInt(value, 10);
-    return isNaN(parsed) ? defaultValue : parsed;
+    if (!/^-?\d+$/.test(value.trim())) {
+        throw new Error(`${key} must be an integer, got "${value}"`);
+    }
+    return parseInt(value, 10);
+}
+
+/**
+ * Run a synchronous function with some environment variables temporarily replaced,
+ * e.g. to validate one pipeline contract's settings with the usual getters
+ * @param {Object<string, string>} overrides - Variables to set while fn runs; undefined values are skipped
+ * @param {Function} fn - Synchronous function
+ * @returns {*} The function's result
+ */
+function withEnv(overrides, fn) {
+    const previous = {};
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value === undefined) continue;
+        previous[key] = process.env[key];
+        process.env[key] = value;
+    }
+    try {
+        return fn();
+    } finally {
+        for (const [key, value] of Object.entries(previous)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    }
 }
 
 module.exports = {
+    getEnvProfile,
+    getEnvPath,
+    setupEnvProfile,
+    formatEnvValue,
     updateEnvFile,
     getEnvVar,
+    withEnv,
     getBooleanEnvVar,
     getNumericEnvVar,
     validateRequiredEnvVars,
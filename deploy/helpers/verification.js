@@ -0,0 +1,192 @@
+/**
+ * Contract verification with `forge verify-contract` on Etherscan (v2 API), Blockscout or Sourcify.
+ * Contract names and constructor arguments come from forge's broadcast artifact,
+ * source paths and compiler settings from the build artifacts under out/.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { executeCommand } = require("./executeCommand");
+const { withRetry, ERROR_KINDS } = require("./retry");
+const { getEnvVar } = require("./updateEnvFile");
+const { ETHERSCAN_V2_API_URL } = require("../config/networks");
+
+const VERIFIERS = ["etherscan", "blockscout", "sourcify"];
+
+// How often and how far apart forge re-checks while the explorer indexes a new contract
+const INDEXING_RETRIES = 10;
+const INDEXING_DELAY_SECONDS = 10;
+
+/**
+ * Resolve the verifier settings of a network profile (VERIFIER and VERIFIER_URL override them)
+ * @param {Object} network - Resolved network profile
+ * @returns {{verifier: string, verifierUrl: string|undefined, name: string}} Verifier, its API URL and a display name
+ * @throws {Error} If the verifier is unknown or Blockscout has no URL
+ */
+function getVerifierSettings(network) {
+    const verifier = (network.explorer.verifier || "etherscan").toLowerCase();
+    if (!VERIFIERS.includes(verifier)) {
+        throw new Error(`Unknown verifier "${verifier}"; use ${VERIFIERS.join(", ")}`);
+    }
+
+    let verifierUrl = network.explorer.verifierUrl;
+    if (verifier === "etherscan" && !verifierUrl && network.explorer.apiUrl) {
+        // The v2 API serves every chain from one endpoint, selected by chainid
+        verifierUrl = network.explorer.apiUrl === ETHERSCAN_V2_API_URL
+            ? `${ETHERSCAN_V2_API_URL}?chainid=${network.chainId}`
+            : network.explorer.apiUrl;
+    }
+    if (verifier === "blockscout" && !verifierUrl) {
+        throw new Error("Blockscout verification needs VERIFIER_URL, e.g. https://base-sepolia.blockscout.com/api/");
+    }
+
+    const names = { etherscan: network.explorer.name, blockscout: "Blockscout", sourcify: "Sourcify" };
+    return { verifier, verifierUrl, name: names[verifier] };
+}
+
+/**
+ * Find the build artifact of a deployed contract under forge's output directory
+ * @param {string} contractName - Contract name from the broadcast artifact
+ * @param {string|null} initCode - Creation input, used to tell apart contracts of the same name
+ * @param {string} [outDir] - Build output directory (defaults to FOUNDRY_OUT, then ./out)
+ * @returns {Object} Parsed artifact, e.g. out/DStock.sol/DStock.json
+ * @throws {Error} If no artifact, or more than one, matches
+ */
+function findBuildArtifact(contractName, initCode, outDir = getEnvVar("FOUNDRY_OUT", "out")) {
+    if (!fs.existsSync(outDir)) {
+        throw new Error(`Build output ${outDir} not found; run forge build first`);
+    }
+
+    const candidates = fs.readdirSync(outDir)
+        .map(dir => path.join(outDir, dir, `${contractName}.json`))
+        .filter(file => fs.existsSync(file))
+        .map(file => JSON.parse(fs.readFileSync(file, "utf8")));
+    const matching = candidates.length > 1 && initCode
+        ? candidates.filter(artifact => extractConstructorArgs(initCode, artifact.bytecode && artifact.bytecode.object) !== null)
+        : candidates;
+
+    if (matching.length === 0) {
+        throw new Error(`No build artifact for ${contractName} in ${outDir}`);
+    }
+    if (matching.length > 1) {
+        throw new Error(`Several build artifacts named ${contractName} in ${outDir}; cannot tell which was deployed`);
+    }
+    return matching[0];
+}
+
+/**
+ * Read the source path and compiler settings of a build artifact
+ * @param {Object} artifact - Build artifact from findBuildArtifact
+ * @param {string} contractName - Contract name
+ * @returns {{identifier: string, compilerVersion: string, optimizerRuns: number|undefined, evmVersion: string|undefined, viaIR: boolean}}
+ *   Contract identifier such as "src/DStock.sol:DStock", and the settings it was compiled with
+ * @throws {Error} If the artifact has no metadata (build with extra_output including metadata)
+ */
+function describeBuild(artifact, contractName) {
+    const metadata = typeof artifact.metadata === "object" && artifact.metadata
+        ? artifact.metadata
+        : JSON.parse(artifact.rawMetadata || artifact.metadata || "null");
+    if (!metadata || !metadata.settings) {
+        throw new Error(`The build artifact of ${contractName} has no compiler metadata`);
+    }
+
+    const { compilationTarget = {}, optimizer = {}, evmVersion, viaIR } = metadata.settings;
+    const source = Object.keys(compilationTarget)[0];
+    return {
+        identifier: source ? `${source}:${contractName}` : contractName,
+        compilerVersion: `v${metadata.compiler.version}`,
+        optimizerRuns: optimizer.enabled ? optimizer.runs : undefined,
+        evmVersion,
+        viaIR: Boolean(viaIR)
+    };
+}
+
+/**
+ * Extract the ABI-encoded constructor arguments from a creation input. The input is the
+ * init code followed by the arguments, behind a salt for CREATE2 factory deployments.
+ * @param {string|null} initCode - Creation input from the broadcast artifact
+ * @param {string} [bytecode] - Creation bytecode from the build artifact
+ * @returns {string|null} Hex-encoded arguments ("0x" for none), or null if the bytecode is not in the input
+ */
+function extractConstructorArgs(initCode, bytecode) {
+    if (!initCode || !bytecode) return null;
+    const code = bytecode.replace(/^0x/, "").toLowerCase();
+    const input = initCode.replace(/^0x/, "").toLowerCase();
+    const start = code ? input.indexOf(code) : -1;
+    return start === -1 ? null : `0x${input.slice(start + code.length)}`;
+}
+
+/**
+ * Build the `forge verify-contract` arguments for a deployed contract
+ * @param {Object} contract - Contract to verify
+ * @param {string} contract.address - Deployed address
+ * @param {Object} contract.build - Settings from describeBuild
+ * @param {string|null} contract.constructorArgs - From extractConstructorArgs; null lets forge read them from the creation transaction
+ * @param {Object} settings - Verification settings
+ * @param {number} settings.chainId - Chain the contract is on
+ * @param {string} settings.verifier - etherscan, blockscout or sourcify
+ * @param {string} [settings.verifierUrl] - Verifier API URL
+ * @param {string} [settings.apiKey] - Etherscan API key
+ * @param {string} [settings.rpcUrl] - RPC endpoint, needed when the constructor arguments are unknown
+ * @returns {string[]} Arguments for `forge`
+ */
+function buildVerifyArgs({ address, build, constructorArgs }, { chainId, verifier, verifierUrl, apiKey, rpcUrl }) {
+    const args = [
+        "verify-contract", address, build.identifier,
+        "--chain", String(chainId),
+        "--compiler-version", build.compilerVersion,
+        "--verifier", verifier,
+        "--watch",
+        "--retries", String(INDEXING_RETRIES),
+        "--delay", String(INDEXING_DELAY_SECONDS)
+    ];
+    if (build.optimizerRuns !== undefined) args.push("--optimizer-runs", String(build.optimizerRuns));
+    if (build.evmVersion) args.push("--evm-version", build.evmVersion);
+    if (build.viaIR) args.push("--via-ir");
+
+    if (constructorArgs === null) args.push("--guess-constructor-args", "--rpc-url", rpcUrl);
+    else if (constructorArgs !== "0x") args.push("--constructor-args", constructorArgs);
+
+    if (verifierUrl) args.push("--verifier-url", verifierUrl);
+    if (verifier === "etherscan") args.push("--etherscan-api-key", apiKey);
+    return args;
+}
+
+/**
+ * Verify one deployed contract. forge waits while the explorer indexes it, and the whole
+ * command is retried if the explorer is unreachable.
+ * @param {Object} deployed - Contract from readDeployedContracts
+ * @param {Object} settings - See buildVerifyArgs, plus:
+ * @param {number} [settings.timeoutMs=300000] - Timeout per forge attempt
+ * @param {number} [settings.maxRetries] - Retries after the first attempt (defaults to MAX_RETRIES)
+ * @returns {Promise<{alreadyVerified: boolean}>} Whether the explorer had verified it before
+ * @throws {Error} If verification fails
+ */
+async function verifyDeployedContract(deployed, settings) {
+    if (settings.verifier === "etherscan" && !settings.apiKey) {
+        throw new Error("ETHERSCAN_API_KEY is required for Etherscan verification");
+    }
+    const artifact = findBuildArtifact(deployed.contractName, deployed.initCode);
+    const args = buildVerifyArgs({
+        address: deployed.contractAddress,
+        build: describeBuild(artifact, deployed.contractName),
+        constructorArgs: extractConstructorArgs(deployed.initCode, artifact.bytecode && artifact.bytecode.object)
+    }, settings);
+
+    const output = await withRetry(() => executeCommand("forge", args, { timeoutMs: settings.timeoutMs || 5 * 60 * 1000 }), {
+        label: `Verification of ${deployed.contractName}`,
+        maxRetries: settings.maxRetries,
+        retryOn: [ERROR_KINDS.TRANSIENT]
+    });
+    return { alreadyVerified: /already verified/i.test(output) };
+}
+
+module.exports = {
+    VERIFIERS,
+    getVerifierSettings,
+    findBuildArtifact,
+    describeBuild,
+    extractConstructorArgs,
+    buildVerifyArgs,
+    verifyDeployedContract
+};
@@ -0,0 +1,50 @@
+/**
+ * Library entry point, for driving deployments from code such as Hardhat tasks or tests.
+ * Requiring it has no side effects: .env is not loaded, nothing runs and the process
+ * is never exited. Call loadEnvFile() first to use the same settings as the scripts
+ * (set ENV_PROFILE beforehand to load .env.<profile>).
+ */
+
+const { Deployer } = require("./modules/deployer");
+const { ChainlinkFunctions } = require("./modules/functions");
+const { ChainlinkAutomation } = require("./modules/automation");
+const { loadPipeline } = require("./config/pipeline");
+const { resolveNetwork, applyNetworkEnv } = require("./config/networks");
+const { loadEnvFile } = require("./helpers/updateEnvFile");
+const { configureLogger, withLogContext } = require("./helpers/log");
+const { loadManifest, getManifestPath } = require("./helpers/deploymentState");
+const { registerUpkeep } = require("./automation/registerAutomation");
+const { checkContractCapabilities } = require("./helpers/capabilities");
+const { runUpkeepCommand } = require("./automation/manageUpkeep");
+const { runSubscriptionCommand } = require("./function/subscription");
+const { sendRequest } = require("./function/sendRequest");
+
+/**
+ * Encrypt and upload the secrets from the secrets manifest.
+ * The Functions toolkit is only loaded when this is called.
+ * @param {Object} [options] - See deploy/function/uploadSecrets.js
+ * @returns {Promise<{hosting: string, slotId?: number, secretsVersion?: string, encryptedSecretsUrls?: string}>} Upload result
+ */
+function uploadSecrets(options) {
+    return require("./function/uploadSecrets").uploadSecrets(options);
+}
+
+module.exports = {
+    Deployer,
+    ChainlinkFunctions,
+    ChainlinkAutomation,
+    loadPipeline,
+    resolveNetwork,
+    applyNetworkEnv,
+    loadEnvFile,
+    configureLogger,
+    withLogContext,
+    loadManifest,
+    getManifestPath,
+    registerUpkeep,
+    checkContractCapabilities,
+    runUpkeepCommand,
+    runSubscriptionCommand,
+    sendRequest,
+    uploadSecrets
+};
@@ -1,74 +1,250 @@
-const executeCommand = require("../helpers/executeCommand");
-const { updateEnvFile, getEnvVar } = require("../helpers/updateEnvFile");
+const EventEmitter = require("events");
+const { ethers } = require("ethers");
+const { withRetry, ERROR_KINDS } = require("../helpers/retry");
+const { updateEnvFile, getEnvVar, withEnv } = require("../helpers/updateEnvFile");
 const { logInfo, logSuccess, logWarn } = require("../helpers/log");
+const { getCompletedStep, scopedStep } = require("../helpers/deploymentState");
+const { resolveNetwork } = require("../config/networks");
+const { getUpkeepInfo } = require("../automation/registry");
+const { runUpkeepCommand } = require("../automation/manageUpkeep");
+const { registerUpkeep, setForwarderAddress, findForwarder } = require("../automation/registerAutomation");
+const { getPrivateKey } = require("../helpers/signer");
 
-class ChainlinkAutomation {
+/**
+ * Chainlink Automation: upkeep registration, forwarder setup and lifecycle commands.
+ * Emits the deployment manifest's "step:start", "step:skip", "step:complete" and
+ * "step:fail" events while registering.
+ */
+class ChainlinkAutomation extends EventEmitter {
     /**
-     * Initialize Chainlink Automation module
+     * Initialize Chainlink Automation module. Settings left out are read from
+     * the environment when a method runs, so .env can be loaded after require.
      * @param {Object} config - Configuration object
-     * @param {number} [config.maxRetries=3] - Maximum number of retry attempts
-     * @param {number} [config.retryDelay=2000] - Delay between retries in milliseconds
+     * @param {string} [config.network] - Network profile name (defaults to NETWORK, CHAIN_ID or arbitrum-sepolia)
+     * @param {string} [config.rpcUrl] - RPC endpoint URL (defaults to RPC_URL)
+     * @param {number} [config.maxRetries] - Maximum number of retry attempts (defaults to MAX_RETRIES or 3)
+     * @param {number} [config.retryDelay] - Initial delay between retries in milliseconds (defaults to RETRY_DELAY_MS or 2000)
      */
     constructor(config = {}) {
+        super();
         this.config = {
-            maxRetries: config.maxRetries || 3,
-            retryDelay: config.retryDelay || 2000,
-            gasLimit: getEnvVar("AUTOMATION_GAS_LIMIT", "500000"),
-            linkAmount: getEnvVar("AUTOMATION_LINK_AMOUNT", "200000000000000000"), // 0.2 LINK
+            network: config.network,
+            rpcUrl: config.rpcUrl,
+            maxRetries: config.maxRetries,
+            retryDelay: config.retryDelay
         };
     }
 
+    /**
+     * Resolve the configured network profile
+     * @returns {Object} Network profile
+     */
+    getNetwork() {
+        return resolveNetwork(this.config.network);
+    }
+
+    /**
+     * Get the configured RPC endpoint
+     * @returns {string|undefined} RPC endpoint URL
+     */
+    getRpcUrl() {
+        return this.config.rpcUrl || getEnvVar("RPC_URL");
+    }
+
     /**
      * Registers a contract for Chainlink Automation
      * @param {string} contractAddress - The address of the contract to register
      * @param {Object} [options] - Registration options
-     * @param {string} [options.name] - Custom name for the upkeep
-     * @param {string} [options.adminAddress] - Admin address for the upkeep
-     * @returns {Promise<void>}
+     * @param {string} [options.name] - Custom name for the upkeep (defaults to AUTOMATION_UPKEEP_NAME)
+     * @param {string} [options.adminAddress] - Admin address for the upkeep (defaults to ADMIN_ADDRESS)
+     * @param {boolean} [options.resume] - Skip registration steps already recorded in the manifest
+     * @param {string} [options.scope] - Pipeline contract name; its steps are recorded as e.g. "automation.register:<scope>"
+     * @param {Object<string, string>} [options.env] - Per-upkeep settings such as AUTOMATION_GAS_LIMIT, overriding .env
+     * @param {EventEmitter} [options.emitter] - Receives the step events instead of this module
+     * @returns {Promise<Object>} Upkeep ID, registry, registration tx hash, forwarder address and setForwarder tx hash
      */
     async registerAutomation(contractAddress, options = {}) {
         logInfo("⚙️ Setting up Chainlink Automation (forwarder only)");
 
         try {
-            const output = await executeCommand(`node deploy/automation/registerAutomation.js`);
-
-            // Check if forwarder address was set successfully
-            if (output.includes("Forwarder address set in contract!")) {
-                logSuccess("Automation setup completed successfully");
-                logInfo("Forwarder address configured in contract");
-            } else {
-                logWarn("Automation setup completed but forwarder status unclear");
-            }
+            const registration = await registerUpkeep({
+                // The target need not be the contract saved as CONTRACT_ADDRESS
+                contractAddress,
+                resume: options.resume,
+                scope: options.scope,
+                env: {
+                    RPC_URL: this.getRpcUrl(),
+                    AUTOMATION_UPKEEP_NAME: options.name,
+                    ADMIN_ADDRESS: options.adminAddress,
+                    ...options.env
+                },
+                network: this.getNetwork(),
+                emitter: options.emitter || this
+            });
 
-            return;
+            logSuccess("Automation setup completed successfully");
+            return registration;
         } catch (error) {
             throw new Error(`Failed to register automation: ${error.message}`);
         }
     }
 
     /**
-     * Sets the forwarder address for an automation upkeep
+     * Find the forwarder and upkeep ID created by a registration transaction,
+     * e.g. once a registration that was pending approval has been approved
+     * @param {string} txHash - Registration transaction hash
+     * @returns {Promise<{forwarderAddress: string, upkeepId: string|null}>} Forwarder and upkeep ID
+     */
+    async findForwarder(txHash) {
+        const { forwarderAddress, upkeepId } = await findForwarder(txHash, { rpcUrl: this.getRpcUrl(), network: this.getNetwork() });
+        return { forwarderAddress, upkeepId: upkeepId === null ? null : upkeepId.toString() };
+    }
+
+    /**
+     * Sets the upkeep's forwarder in the contract, so only the forwarder can call performUpkeep
+     * @param {string} contractAddress - The contract to update
      * @param {string} forwarderAddress - The address of the forwarder contract
-     * @param {string} upkeepId - The ID of the upkeep
-     * @returns {Promise<void>}
+     * @returns {Promise<string>} The setForwarderAddress transaction hash
      */
-    async setForwarderAddress(forwarderAddress, upkeepId) {
-        if (!upkeepId) {
-            throw new Error("Missing upkeep ID");
+    async setForwarderAddress(contractAddress, forwarderAddress) {
+        if (!contractAddress || !forwarderAddress) {
+            throw new Error("Missing contract or forwarder address");
         }
 
-        logInfo(`Setting forwarder address for upkeep ${upkeepId}`);
-
         try {
-            await executeCommand(`node deploy/automation/setForwarderAddress.js ${forwarderAddress} ${upkeepId}`);
-
+            const txHash = await setForwarderAddress(contractAddress, forwarderAddress, await getPrivateKey(), this.getRpcUrl());
             logSuccess("Forwarder address set successfully");
             updateEnvFile("AUTOMATION_FORWARDER_ADDRESS", forwarderAddress);
+            return txHash;
         } catch (error) {
             throw new Error(`Failed to set forwarder address: ${error.message}`);
         }
     }
 
+    /**
+     * Resolve the upkeep ID and registry to operate on
+     * @param {Object} [options] - Explicit values, taking precedence over the manifest and .env
+     * @param {string} [options.upkeepId] - Upkeep ID
+     * @param {string} [options.registryAddress] - Automation registry address
+     * @param {string} [options.scope] - Pipeline contract name whose manifest steps to read
+     * @returns {{upkeepId: string|undefined, registryAddress: string|undefined}} Upkeep reference
+     */
+    getUpkeepReference(options = {}) {
+        const { chainId, automation } = this.getNetwork();
+        const upkeep = getCompletedStep(chainId, scopedStep("automation.upkeep", options.scope)) || {};
+        const forwarder = getCompletedStep(chainId, scopedStep("automation.forwarder", options.scope)) || {};
+
+        return {
+            upkeepId: options.upkeepId
+                || upkeep.upkeepId
+                || forwarder.upkeepId
+                || getEnvVar("AUTOMATION_UPKEEP_ID"),
+            registryAddress: options.registryAddress
+                || upkeep.registryAddress
+                || automation.registryAddress
+        };
+    }
+
+    /**
+     * Run an upkeep lifecycle command: status, add-funds, pause, unpause, set-gas-limit,
+     * set-check-data, set-trigger-config, cancel, withdraw, transfer-admin or accept-admin
+     * @param {string} command - Lifecycle command
+     * @param {string[]} [args=[]] - Positional command arguments, e.g. the amount for add-funds
+     * @param {Object} [options] - Upkeep selection
+     * @param {string} [options.upkeepId] - Upkeep ID (defaults to the manifest or AUTOMATION_UPKEEP_ID)
+     * @param {string} [options.registryAddress] - Registry address (defaults to the manifest or network profile)
+     * @returns {Promise<string|Object>} Transaction hash, or upkeep info for "status"
+     */
+    async manageUpkeep(command, args = [], options = {}) {
+        const { upkeepId, registryAddress } = this.getUpkeepReference(options);
+
+        try {
+            return await runUpkeepCommand(command, args, {
+                upkeepId,
+                registryAddress,
+                linkTokenAddress: this.getNetwork().linkTokenAddress,
+                privateKey: getPrivateKey,
+                rpcUrl: this.getRpcUrl()
+            });
+        } catch (error) {
+            throw new Error(`Upkeep ${command} failed: ${error.shortMessage || error.message}`);
+        }
+    }
+
+    /**
+     * Verify that the registered upkeep matches the deployed contract
+     * @param {string} contractAddress - The address of the contract that should be the upkeep target
+     * @param {Object} [options] - Verification options
+     * @param {string} [options.upkeepId] - Upkeep ID (defaults to the manifest or AUTOMATION_UPKEEP_ID)
+     * @param {string} [options.registryAddress] - Registry address (defaults to the manifest or network profile)
+     * @param {string} [options.scope] - Pipeline contract name whose manifest steps to read
+     * @param {string} [options.adminAddress] - Expected upkeep admin (defaults to ADMIN_ADDRESS)
+     * @param {string} [options.forwarderAddress] - Expected forwarder (defaults to AUTOMATION_FORWARDER_ADDRESS)
+     * @param {Object<string, string>} [options.env] - The registration's settings overriding .env, such as a pipeline contract's ADMIN_ADDRESS
+     * @param {string} [options.rpcUrl] - RPC endpoint URL (defaults to the configured one)
+     * @returns {Promise<boolean>} Whether the upkeep is registered, funded, active and matches the contract
+     */
+    async verifyRegistration(contractAddress, options = {}) {
+        const { upkeepId, registryAddress } = this.getUpkeepReference(options);
+
+        if (!upkeepId || !registryAddress) {
+            logWarn("Cannot verify registration: upkeep ID or registry address unknown (set AUTOMATION_UPKEEP_ID and AUTOMATION_REGISTRY_ADDRESS)");
+            return false;
+        }
+
+        try {
+            const provider = new ethers.JsonRpcProvider(options.rpcUrl || this.getRpcUrl());
+            const info = await withRetry(() => getUpkeepInfo(provider, registryAddress, upkeepId), {
+                label: "Upkeep lookup",
+                maxRetries: this.config.maxRetries,
+                retryDelay: this.config.retryDelay,
+                retryOn: [ERROR_KINDS.TRANSIENT]
+            });
+
+            logInfo(`🔎 Upkeep ${upkeepId} on registry ${registryAddress}`);
+            logInfo(`   Target: ${info.target}`);
+            logInfo(`   Admin: ${info.admin}`);
+            logInfo(`   Balance: ${ethers.formatUnits(info.balance, 18)} LINK`);
+            logInfo(`   Paused: ${info.paused}`);
+            logInfo(`   Forwarder: ${info.forwarder}`);
+
+            const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+            // Compare against the settings the upkeep was registered with, not just .env
+            const [envAdmin, envForwarder] = withEnv(options.env || {}, () =>
+                [getEnvVar("ADMIN_ADDRESS"), getEnvVar("AUTOMATION_FORWARDER_ADDRESS")]);
+            const expectedAdmin = options.adminAddress || envAdmin;
+            const expectedForwarder = options.forwarderAddress || envForwarder;
+            const problems = [];
+
+            if (!sameAddress(info.target, contractAddress)) {
+                problems.push(`Upkeep target ${info.target} does not match contract ${contractAddress}`);
+            }
+            if (expectedAdmin && !sameAddress(info.admin, expectedAdmin)) {
+                problems.push(`Upkeep admin ${info.admin} does not match ADMIN_ADDRESS ${expectedAdmin}`);
+            }
+            if (info.balance === 0n) {
+                problems.push("Upkeep has no LINK balance");
+            }
+            if (info.paused) {
+                problems.push("Upkeep is paused");
+            }
+            if (expectedForwarder && !sameAddress(info.forwarder, expectedForwarder)) {
+                problems.push(`Registry forwarder ${info.forwarder} does not match AUTOMATION_FORWARDER_ADDRESS ${expectedForwarder}`);
+            }
+
+            if (problems.length > 0) {
+                problems.forEach(problem => logWarn(problem));
+                return false;
+            }
+
+            logSuccess(`Upkeep ${upkeepId} is active and targets ${contractAddress}`);
+            return true;
+        } catch (error) {
+            logWarn(`Failed to verify registration: ${error.message}`);
+            return false;
+        }
+    }
 }
 
-module.exports = new ChainlinkAutomation();
\ No newline at end of file
+module.exports = new ChainlinkAutomation();
+module.exports.ChainlinkAutomation = ChainlinkAutomation;
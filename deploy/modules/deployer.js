@@ -0,0 +1,897 @@
+const EventEmitter = require("events");
+const path = require("path");
+const { ethers } = require("ethers");
+const { executeCommand, formatCommand } = require("../helpers/executeCommand");
+const { withRetry, ERROR_KINDS } = require("../helpers/retry");
+const { logInfo, logWarn, logSuccess } = require("../helpers/log");
+const { getFoundryFeeArgs, describeFeePolicy } = require("../helpers/fees");
+const { runPreflightChecks, assertPreflight, pendingPipelineSteps } = require("../helpers/preflight");
+const { withFoundryWallet, getSignerAddress, describeSigner } = require("../helpers/signer");
+const { updateEnvFile, getEnvVar, withEnv, getEnvProfile, getEnvPath } = require("../helpers/updateEnvFile");
+const { getBroadcastPath, parseContractMap, readDeployedContracts, selectContracts } = require("../helpers/broadcastArtifacts");
+const { getVerifierSettings, verifyDeployedContract } = require("../helpers/verification");
+const { assertContractCapabilities } = require("../helpers/capabilities");
+const { startRun, runStep, scopedStep, getManifestPath, getCompletedStep } = require("../helpers/deploymentState");
+const { getRegistrationParams, encodeRegistration, decodeRegistration } = require("../automation/registerAutomation");
+const { validateConfig, validatePipelineConfig, validateChainConfig } = require("../config/validation");
+const { loadPipeline, getServiceEnv } = require("../config/pipeline");
+const { resolveNetwork, applyNetworkEnv } = require("../config/networks");
+const { loadSecretsManifest } = require("../function/secretsManifest");
+const { ChainlinkFunctions } = require("./functions");
+const { ChainlinkAutomation } = require("./automation");
+
+/**
+ * Deploys forge scripts and sets up their Chainlink services. Returns structured
+ * results and throws on failure; deploy/deploy.js is the command line front end.
+ * Emits "contract" for every deployed contract and the deployment manifest's
+ * "step:start", "step:skip", "step:complete" and "step:fail" events.
+ */
+class Deployer extends EventEmitter {
+    /**
+     * Initialize a deployer. Explicit settings are exported to the environment when
+     * a run starts, because the forge scripts and service scripts read them from there.
+     * @param {Object} [config] - Configuration object
+     * @param {string} [config.network] - Network profile name (defaults to NETWORK, CHAIN_ID or arbitrum-sepolia)
+     * @param {string} [config.rpcUrl] - RPC endpoint URL (defaults to RPC_URL)
+     * @param {string} [config.etherscanApiKey] - Explorer API key for verification (defaults to ETHERSCAN_API_KEY)
+     * @param {string} [config.scriptPath] - Forge deployment script (defaults to SCRIPT_PATH)
+     * @param {Object<string, string>} [config.env] - Further settings, e.g. AUTOMATION_GAS_LIMIT, taking precedence over .env
+     * @param {number} [config.forgeTimeoutMs=900000] - Timeout for forge deployments and simulations
+     * @param {ChainlinkFunctions} [config.functions] - Functions module (defaults to one for this network)
+     * @param {ChainlinkAutomation} [config.automation] - Automation module (defaults to one for this network)
+     */
+    constructor(config = {}) {
+        super();
+        this.config = {
+            network: config.network,
+            rpcUrl: config.rpcUrl,
+            etherscanApiKey: config.etherscanApiKey,
+            scriptPath: config.scriptPath,
+            env: config.env || {},
+            forgeTimeoutMs: config.forgeTimeoutMs || 15 * 60 * 1000,
+            // forge's file timestamps can trail the clock slightly
+            artifactClockSkewMs: 2000
+        };
+        this.functions = config.functions || new ChainlinkFunctions({ network: config.network, rpcUrl: config.rpcUrl });
+        this.automation = config.automation || new ChainlinkAutomation({ network: config.network, rpcUrl: config.rpcUrl });
+    }
+
+    /**
+     * Get the configured RPC endpoint
+     * @returns {string|undefined} RPC endpoint URL
+     */
+    getRpcUrl() {
+        return this.config.rpcUrl || getEnvVar("RPC_URL");
+    }
+
+    /**
+     * Export the explicit settings to the environment read by forge and the service scripts
+     */
+    applyConfigEnv() {
+        const settings = {
+            RPC_URL: this.config.rpcUrl,
+            ETHERSCAN_API_KEY: this.config.etherscanApiKey,
+            SCRIPT_PATH: this.config.scriptPath,
+            ...this.config.env
+        };
+        for (const [key, value] of Object.entries(settings)) {
+            if (value !== undefined) process.env[key] = String(value);
+        }
+    }
+
+    /**
+     * Build the forge script arguments for a deployment
+     * @param {string} scriptPath - Path to the Forge deployment script
+     * @param {Object} [options] - Command options
+     * @param {boolean} [options.broadcast=true] - Broadcast, or only simulate
+     * @param {string[]} options.walletArgs - Signer flags from withFoundryWallet
+     * @param {string[]} [options.feeArgs=[]] - Fee flags from getFoundryFeeArgs
+     * @returns {string[]} Arguments for `forge`
+     */
+    buildForgeArgs(scriptPath, { broadcast = true, walletArgs, feeArgs = [] } = {}) {
+        const base = ["script", scriptPath, ...walletArgs, ...feeArgs, "--rpc-url", this.getRpcUrl()];
+        return broadcast ? [...base, "--broadcast", "-vvv"] : [...base, "-vvv"];
+    }
+
+    /**
+     * Format a forge script command for the dry run plan. The real signer flags point at
+     * temporary files that withFoundryWallet deletes after the run, so a placeholder
+     * naming the signer stands in for them.
+     * @param {string} scriptPath - Path to the Forge deployment script
+     * @param {Object} [options] - See buildForgeArgs, without walletArgs
+     * @returns {string} Printable command
+     */
+    formatForgeCommand(scriptPath, options = {}) {
+        const placeholder = "SIGNER_FLAGS";
+        const command = formatCommand("forge", this.buildForgeArgs(scriptPath, { ...options, walletArgs: [placeholder] }));
+        return command.replace(placeholder, `<wallet flags for ${describeSigner()}>`);
+    }
+
+    /**
+     * Estimate the gas used by the deploy script by simulating it with forge.
+     * The estimate already includes forge's --gas-estimate-multiplier.
+     * @param {string} scriptPath - Path to the Forge deployment script
+     * @param {string} [configured] - Known estimate that skips the simulation (DEPLOY_GAS_ESTIMATE or a pipeline script's gasEstimate)
+     * @returns {Promise<bigint>} Estimated gas
+     * @throws {Error} If forge does not report an estimate
+     */
+    async estimateDeploymentGas(scriptPath, configured) {
+        if (configured) return BigInt(configured);
+
+        const feeArgs = await getFoundryFeeArgs(new ethers.JsonRpcProvider(this.getRpcUrl()), { tool: "forge" });
+        const output = await withFoundryWallet({ sender: true }, walletArgs => withRetry(
+            () => executeCommand("forge", this.buildForgeArgs(scriptPath, { broadcast: false, walletArgs, feeArgs }), {
+                timeoutMs: this.config.forgeTimeoutMs
+            }),
+            { label: "Forge simulation", retryOn: [ERROR_KINDS.TRANSIENT] }
+        ));
+        const match = output.match(/Estimated total gas used for script:\s*(\d+)/);
+        if (!match) {
+            throw new Error("Could not read the gas estimate from the forge simulation; set DEPLOY_GAS_ESTIMATE");
+        }
+        return BigInt(match[1]);
+    }
+
+    /**
+     * Estimate the gas of every pipeline script that has not been deployed yet
+     * @param {Object} pipeline - Pipeline from loadPipeline
+     * @param {function(string): boolean} isCompleted - Whether a manifest step already completed (when resuming)
+     * @returns {Promise<bigint>} Total estimated gas
+     * @throws {Error} If a script cannot be simulated
+     */
+    async estimatePipelineGas(pipeline, isCompleted) {
+        let total = 0n;
+        for (const step of pipeline.steps.filter(step => step.type === "script")) {
+            if (isCompleted(scopedStep("deploy", step.id))) continue;
+            try {
+                total += await this.estimateDeploymentGas(step.path, step.gasEstimate);
+            } catch (error) {
+                const hint = step.dependsOn.length > 0
+                    ? ". A script that needs contracts from earlier steps can declare its gasEstimate in the pipeline file"
+                    : "";
+                throw new Error(`Gas estimate for script ${step.id} failed: ${error.message}${hint}`);
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Read the contracts a forge script run created and pick the Chainlink target
+     * @param {string} scriptPath - Path to the Forge deployment script
+     * @param {number} chainId - Chain the script ran against
+     * @param {Object} [options] - Read options
+     * @param {boolean} [options.dryRun=false] - Read the simulation's artifact
+     * @param {number} [options.notBefore] - Reject an artifact written before this time (ms)
+     * @param {string} [options.target] - Contract name for Chainlink services
+     * @param {Object<string, string>} [options.contractMap] - A pipeline script's contracts; replaces DEPLOY_CONTRACT_MAP and needs no target
+     * @returns {{contracts: Object, target: string|null}} Deployed contracts and the target's name
+     */
+    loadDeployedContracts(scriptPath, chainId, { dryRun = false, notBefore, target, contractMap } = {}) {
+        const deployed = readDeployedContracts(getBroadcastPath(scriptPath, chainId, { dryRun }), { notBefore });
+        return selectContracts(deployed, {
+            contractMap: contractMap || parseContractMap(getEnvVar("DEPLOY_CONTRACT_MAP")),
+            target,
+            requireTarget: !contractMap
+        });
+    }
+
+    /**
+     * Deploy the script's contracts using Forge and save each address to .env
+     * under its mapped variable
+     * @param {string} scriptPath - Path to the Forge deployment script
+     * @param {number} chainId - Chain to deploy to
+     * @param {Object} [options] - Deployment options
+     * @param {string} [options.target] - Contract name for Chainlink services
+     * @param {Object<string, string>} [options.contractMap] - A pipeline script's contracts and their .env variables
+     * @returns {Promise<{contractAddress: string|null, target: string|null, contracts: Object}>}
+     *   The target's address and name (none for a pipeline script), and every deployed contract keyed by name
+     */
+    async deployContract(scriptPath, chainId, { target, contractMap } = {}) {
+        logInfo(`📄 Deploying Contract`);
+
+        if (!this.getRpcUrl()) {
+            throw new Error("Missing required environment variables for deployment");
+        }
+
+        try {
+            const feeArgs = await getFoundryFeeArgs(new ethers.JsonRpcProvider(this.getRpcUrl()), { tool: "forge" });
+            const startedAt = Date.now();
+            await withFoundryWallet({ sender: true }, walletArgs => executeCommand("forge", this.buildForgeArgs(scriptPath, { walletArgs, feeArgs }), {
+                stream: true,
+                timeoutMs: this.config.forgeTimeoutMs
+            }));
+
+            const deployment = this.loadDeployedContracts(scriptPath, chainId, {
+                notBefore: startedAt - this.config.artifactClockSkewMs,
+                target,
+                contractMap
+            });
+
+            for (const [name, contract] of Object.entries(deployment.contracts)) {
+                logSuccess(`${name} deployed at: ${contract.address} (${contract.envVar})`);
+                if (!updateEnvFile(contract.envVar, contract.address)) {
+                    throw new Error(`Failed to update ${contract.envVar} in .env file`);
+                }
+                this.emit("contract", { name, ...contract });
+            }
+            if (!deployment.target) {
+                return { contractAddress: null, ...deployment };
+            }
+            logInfo(`🎯 Chainlink services target: ${deployment.target}`);
+
+            return { contractAddress: deployment.contracts[deployment.target].address, ...deployment };
+        } catch (error) {
+            throw new Error(`Contract deployment failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Verify the contracts a forge script deployed with `forge verify-contract`.
+     * Every contract is attempted even if an earlier one fails.
+     * @param {string} scriptPath - Path to the Forge deployment script
+     * @param {Object} network - Resolved network profile
+     * @param {Object} [options] - Verification options
+     * @param {string[]} [options.contracts] - Contract names to verify (defaults to every contract the script created)
+     * @returns {Promise<{status: string, verifier: string, explorer: string, contracts: Object<string, Object>}>}
+     *   "verified" or "failed", and each contract's address, status and error
+     */
+    async verifyContracts(scriptPath, network, { contracts: names } = {}) {
+        const { verifier, verifierUrl, name } = getVerifierSettings(network);
+        const deployed = readDeployedContracts(getBroadcastPath(scriptPath, network.chainId))
+            .filter(contract => !names || names.includes(contract.contractName));
+        if (deployed.length === 0) {
+            throw new Error(`No ${names ? names.join(", ") : "contracts"} in the broadcast artifact of ${scriptPath}`);
+        }
+
+        const contracts = {};
+        for (const contract of deployed) {
+            logInfo(`🔎 Verifying ${contract.contractName} at ${contract.contractAddress} on ${name}`);
+            try {
+                const { alreadyVerified } = await verifyDeployedContract(contract, {
+                    chainId: network.chainId,
+                    verifier,
+                    verifierUrl,
+                    apiKey: getEnvVar("ETHERSCAN_API_KEY"),
+                    rpcUrl: this.getRpcUrl()
+                });
+                logSuccess(`${contract.contractName} ${alreadyVerified ? "was already verified" : "verified"} on ${name}`);
+                contracts[contract.contractName] = { address: contract.contractAddress, status: "verified" };
+            } catch (error) {
+                logWarn(`Verification of ${contract.contractName} failed: ${error.message}`);
+                contracts[contract.contractName] = { address: contract.contractAddress, status: "failed", error: error.message };
+            }
+        }
+
+        const failed = Object.values(contracts).some(contract => contract.status === "failed");
+        return { status: failed ? "failed" : "verified", verifier, explorer: name, contracts };
+    }
+
+    /**
+     * Run verification as its own manifest step. The contracts are already live, so a
+     * failure is reported in the result instead of failing the deployment; the step is
+     * recorded as failed and retried on --resume.
+     * @param {string} scriptPath - Path to the Forge deployment script
+     * @param {Object} network - Resolved network profile
+     * @param {Object} [options] - Step options
+     * @param {boolean} [options.skip] - Skip verification (--skip-verify)
+     * @param {string} [options.scope] - Pipeline script the step belongs to
+     * @param {boolean} [options.resume] - Skip the step if it already completed
+     * @returns {Promise<{status: string, verifier?: string, explorer?: string, contracts?: Object, error?: string}>}
+     *   Status "verified", "failed" or "skipped"
+     */
+    async runVerification(scriptPath, network, { skip, scope, resume } = {}) {
+        if (skip) {
+            logInfo("⏭️  Contract verification skipped (--skip-verify)");
+            return { status: "skipped" };
+        }
+
+        let outcome;
+        try {
+            return await runStep(network.chainId, scopedStep("verify", scope), async () => {
+                outcome = await this.verifyContracts(scriptPath, network);
+                if (outcome.status !== "verified") {
+                    const failed = Object.keys(outcome.contracts).filter(name => outcome.contracts[name].status === "failed");
+                    throw new Error(`${failed.join(", ")} not verified on ${outcome.explorer}`);
+                }
+                return outcome;
+            }, { resume, emitter: this });
+        } catch (error) {
+            logWarn(`Contract verification failed (${error.message}); the deployment itself succeeded. ` +
+                `Retry with \`node deploy/cli.js verify --script ${scriptPath}\` or rerun with --resume`);
+            return outcome || { status: "failed", error: error.message };
+        }
+    }
+
+    /**
+     * Print the Chainlink Functions part of a plan: subscription creation, the
+     * off-chain secrets upload and the addConsumer call
+     * @param {string} consumerAddress - Predicted consumer address
+     * @param {Object} network - Resolved network profile
+     * @param {Object} settings - Functions settings
+     * @param {boolean} [settings.createSubscription] - Whether a subscription is created first
+     * @param {string} [settings.fundAmount] - Juels to fund the new subscription with
+     * @param {string} settings.subscriptionId - Subscription the consumer is added to
+     * @param {boolean} [settings.uploadSecrets=true] - Whether the secrets upload happens in this step
+     * @param {string} [settings.scope] - Pipeline contract the transactions belong to
+     * @returns {Object[]} Planned transactions
+     */
+    planFunctions(consumerAddress, network, { createSubscription, fundAmount, subscriptionId, uploadSecrets = true, scope }) {
+        if (createSubscription) {
+            logInfo(`   createSubscription on router ${network.functions.routerAddress}`);
+            if (fundAmount) {
+                logInfo(`   transferAndCall ${fundAmount} juels to the router to fund the new subscription`);
+            }
+        }
+        if (uploadSecrets) {
+            const secretsManifest = loadSecretsManifest();
+            const secretNames = Object.keys(secretsManifest.secrets).join(", ") || "none";
+            if (secretsManifest.hosting === "don") {
+                logInfo(`   Upload secrets [${secretNames}] to DON ${network.functions.donId} slot ${secretsManifest.slotId} via ${(network.functions.gatewayUrls || []).join(", ")} (off-chain)`);
+            } else {
+                logInfo(`   Encrypt secrets [${secretNames}] for ${secretsManifest.hosting} hosting (off-chain)`);
+            }
+        }
+        const call = this.functions.buildAddConsumerCall(consumerAddress, {
+            routerAddress: network.functions.routerAddress,
+            subscriptionId
+        });
+        logInfo(`   addConsumer on router ${call.to}`);
+        logInfo(`     ${call.signature} (${call.args.join(", ")})`);
+        logInfo(`     calldata: ${call.data}`);
+        return [{ step: scopedStep("functions.addConsumer", scope), to: call.to, data: call.data }];
+    }
+
+    /**
+     * Print the Chainlink Automation part of a plan: the LINK transferAndCall that
+     * registers the upkeep, with its decoded parameters, and the setForwarderAddress call.
+     * Registration settings are read from the environment.
+     * @param {string} upkeepAddress - Predicted upkeep contract address
+     * @param {string} [scope] - Pipeline contract the transactions belong to
+     * @returns {Object[]} Planned transactions
+     */
+    planAutomation(upkeepAddress, scope) {
+        const params = getRegistrationParams(upkeepAddress);
+        const registration = encodeRegistration(params);
+        const decoded = decodeRegistration(registration.registerData);
+        logInfo(`   transferAndCall on LINK token ${registration.to}`);
+        logInfo(`     to (registrar): ${params.REGISTRAR}`);
+        logInfo(`     value: ${params.LINK_AMOUNT} juels`);
+        logInfo(`     registerUpkeep params:`);
+        for (const [field, value] of Object.entries(decoded)) {
+            logInfo(`       ${field}: ${value}`);
+        }
+        logInfo(`     calldata: ${registration.data}`);
+
+        const forwarderIface = new ethers.Interface(["function setForwarderAddress(address forwarderAddress)"]);
+        const selector = forwarderIface.getFunction("setForwarderAddress").selector;
+        logInfo(`   setForwarderAddress on contract ${upkeepAddress}`);
+        logInfo(`     setForwarderAddress(address) [${selector}] with the forwarder created by the registration`);
+        return [
+            { step: scopedStep("automation.register", scope), to: registration.to, data: registration.data },
+            { step: scopedStep("automation.setForwarder", scope), to: upkeepAddress, selector }
+        ];
+    }
+
+    /**
+     * Print the verification part of a plan
+     * @param {Object} network - Resolved network profile
+     * @param {Object} options - Deployment options
+     * @returns {string} The verifier, or "skipped"
+     */
+    planVerification(network, options) {
+        if (options.skipVerify) {
+            logInfo("✔️  Contract verification skipped (--skip-verify)");
+            return "skipped";
+        }
+        const { verifier, name } = getVerifierSettings(network);
+        logInfo(`✔️  Verify the deployed contracts on ${name} with forge verify-contract (${verifier})`);
+        return verifier;
+    }
+
+    /**
+     * Print the full execution plan without broadcasting anything.
+     * The forge script is run in simulation mode to predict the contract address,
+     * and every Chainlink transaction is encoded exactly as it would be sent.
+     * @param {string} scriptPath - Path to the Forge deployment script
+     * @param {Object} network - Resolved network profile
+     * @param {Object} options - Deployment options
+     * @returns {Promise<Object>} The plan, including the predicted contract address
+     */
+    async planDeployment(scriptPath, network, options) {
+        logInfo("📝 Dry run: printing the execution plan, nothing will be broadcast");
+
+        // Step 1: Simulate the deploy script
+        logInfo(`1️⃣  Deploy contract (simulation)`);
+        const feeArgs = await getFoundryFeeArgs(new ethers.JsonRpcProvider(this.getRpcUrl()), { tool: "forge" });
+        // Nothing is broadcast, so RPC failures can simply be retried
+        const startedAt = Date.now();
+        logInfo(`   Command: ${this.formatForgeCommand(scriptPath, { broadcast: false, feeArgs })}`);
+        await withFoundryWallet({ sender: true }, walletArgs => withRetry(
+            () => executeCommand("forge", this.buildForgeArgs(scriptPath, { broadcast: false, walletArgs, feeArgs }), {
+                timeoutMs: this.config.forgeTimeoutMs
+            }),
+            { label: "Forge simulation", retryOn: [ERROR_KINDS.TRANSIENT] }
+        ));
+        let predictedAddress;
+        try {
+            const { contracts, target } = this.loadDeployedContracts(scriptPath, network.chainId, {
+                dryRun: true,
+                notBefore: startedAt - this.config.artifactClockSkewMs,
+                target: options.target
+            });
+            for (const [name, contract] of Object.entries(contracts)) {
+                logInfo(`   Predicted ${name} address: ${contract.address} (${contract.envVar})`);
+            }
+            logInfo(`   Chainlink services target: ${target}`);
+            predictedAddress = contracts[target].address;
+        } catch (error) {
+            logWarn(`Could not determine the predicted address: ${error.message}`);
+            predictedAddress = ethers.ZeroAddress;
+        }
+        logInfo(`   On broadcast: ${this.formatForgeCommand(scriptPath, { feeArgs })}`);
+
+        const plan = { network: network.key, chainId: network.chainId, predictedAddress, transactions: [] };
+
+        // Step 2: Chainlink Functions
+        if (options.functions) {
+            logInfo(`2️⃣  Chainlink Functions`);
+            plan.transactions.push(...this.planFunctions(predictedAddress, network, {
+                createSubscription: options.createSubscription,
+                fundAmount: getEnvVar("FUNCTIONS_SUBSCRIPTION_FUND_AMOUNT"),
+                subscriptionId: getEnvVar("FUNCTIONS_SUBSCRIPTION_ID", "<new subscription>")
+            }));
+        }
+
+        // Step 3: Chainlink Automation
+        if (options.automation) {
+            logInfo(`3️⃣  Chainlink Automation`);
+            plan.transactions.push(...this.planAutomation(predictedAddress));
+        }
+
+        // Step 4: Contract verification
+        plan.verification = this.planVerification(network, options);
+
+        logSuccess(`Dry run complete: ${plan.transactions.length} Chainlink transaction(s) planned after deployment`);
+        return plan;
+    }
+
+    /**
+     * Print the execution plan of a pipeline without broadcasting anything.
+     * Scripts are simulated in order, each seeing the predicted addresses of the
+     * contracts before it, and every Chainlink transaction is encoded with its
+     * contract's settings from the pipeline file.
+     * @param {Object} pipeline - Pipeline from loadPipeline
+     * @param {Object} network - Resolved network profile
+     * @param {Object} [options] - Deployment options
+     * @returns {Promise<Object>} The plan, including the predicted contract addresses
+     */
+    async planPipeline(pipeline, network, options = {}) {
+        logInfo(`📝 Dry run of pipeline ${pipeline.file}: printing the execution plan, nothing will be broadcast`);
+
+        const feeArgs = await getFoundryFeeArgs(new ethers.JsonRpcProvider(this.getRpcUrl()), { tool: "forge" });
+        const predicted = {};
+        // Later scripts read earlier contracts from their .env variables
+        const predictedEnv = {};
+        const plan = { network: network.key, chainId: network.chainId, pipeline: pipeline.file, predictedAddresses: predicted, transactions: [] };
+        let secretsPlanned = false;
+        let subscriptionCreated = false;
+
+        for (const [index, step] of pipeline.steps.entries()) {
+            logInfo(`▶️  [${index + 1}/${pipeline.steps.length}] ${step.id}`);
+
+            if (step.type === "script") {
+                const startedAt = Date.now();
+                logInfo(`   Command: ${this.formatForgeCommand(step.path, { broadcast: false, feeArgs })}`);
+                try {
+                    await withFoundryWallet({ sender: true }, walletArgs => withRetry(
+                        () => executeCommand("forge", this.buildForgeArgs(step.path, { broadcast: false, walletArgs, feeArgs }), {
+                            timeoutMs: this.config.forgeTimeoutMs,
+                            env: { ...process.env, ...predictedEnv }
+                        }),
+                        { label: `Forge simulation of ${step.id}`, retryOn: [ERROR_KINDS.TRANSIENT] }
+                    ));
+                    const { contracts } = this.loadDeployedContracts(step.path, network.chainId, {
+                        dryRun: true,
+                        notBefore: startedAt - this.config.artifactClockSkewMs,
+                        contractMap: step.contracts
+                    });
+                    for (const [name, contract] of Object.entries(contracts)) {
+                        logInfo(`   Predicted ${name} address: ${contract.address} (${contract.envVar})`);
+                        predicted[name] = contract.address;
+                        predictedEnv[contract.envVar] = contract.address;
+                    }
+                } catch (error) {
+                    logWarn(`Could not determine the predicted addresses: ${error.message}`);
+                    for (const name of Object.keys(step.contracts)) {
+                        predicted[name] = ethers.ZeroAddress;
+                    }
+                }
+                logInfo(`   On broadcast: ${this.formatForgeCommand(step.path, { feeArgs })}`);
+            } else if (step.type === "functions") {
+                const { createSubscription, fundAmount, subscriptionId } = step.params;
+                plan.transactions.push(...this.planFunctions(predicted[step.contract], network, {
+                    createSubscription,
+                    fundAmount: fundAmount || getEnvVar("FUNCTIONS_SUBSCRIPTION_FUND_AMOUNT"),
+                    subscriptionId: subscriptionId
+                        || (createSubscription || subscriptionCreated ? "<new subscription>" : getEnvVar("FUNCTIONS_SUBSCRIPTION_ID")),
+                    uploadSecrets: !secretsPlanned,
+                    scope: step.contract
+                }));
+                secretsPlanned = true;
+                subscriptionCreated = subscriptionCreated || createSubscription;
+            } else {
+                plan.transactions.push(...withEnv(getServiceEnv(step, predicted), () =>
+                    this.planAutomation(predicted[step.contract], step.contract)));
+            }
+        }
+
+        plan.verification = this.planVerification(network, options);
+
+        logSuccess(`Dry run complete: ${plan.transactions.length} Chainlink transaction(s) planned`);
+        return plan;
+    }
+
+    /**
+     * Add a contract as a Functions consumer, creating a subscription and
+     * uploading the secrets first if asked to
+     * @param {string} contractAddress - Consumer contract
+     * @param {Object} network - Resolved network profile
+     * @param {Object} settings - Functions settings
+     * @param {boolean} [settings.createSubscription] - Create and fund a new subscription first
+     * @param {string} [settings.fundAmount] - Juels to fund the new subscription with (defaults to FUNCTIONS_SUBSCRIPTION_FUND_AMOUNT)
+     * @param {string} [settings.subscriptionId] - Subscription to join (defaults to FUNCTIONS_SUBSCRIPTION_ID)
+     * @param {boolean} [settings.uploadSecrets=true] - Upload the secrets in this step
+     * @param {string} [settings.scope] - Pipeline contract the steps belong to
+     * @param {boolean} [settings.resume] - Skip steps already completed in the manifest
+     * @returns {Promise<{subscriptionId: string, createSubscriptionTxHash?: string, fundSubscriptionTxHash?: string,
+     *   addConsumerTxHash: string|null, secrets?: Object}>}
+     *   The subscription, transaction hashes and, if uploaded here, the secrets version or URLs
+     */
+    async setUpFunctions(contractAddress, network, { createSubscription, fundAmount, subscriptionId, uploadSecrets = true, scope, resume }) {
+        const chainId = network.chainId;
+        const stepOptions = { resume, emitter: this };
+        const result = {};
+
+        if (createSubscription) {
+            // Created and funded in separate steps, so a failed funding is retried on the same subscription
+            const subscription = await runStep(chainId, scopedStep("functions.createSubscription", scope), () =>
+                this.functions.createSubscription(), stepOptions);
+            // Contracts without their own subscription use the new one from here on
+            process.env.FUNCTIONS_SUBSCRIPTION_ID = subscription.subscriptionId;
+            subscriptionId = subscription.subscriptionId;
+            result.createSubscriptionTxHash = subscription.txHash;
+
+            const amount = fundAmount || getEnvVar("FUNCTIONS_SUBSCRIPTION_FUND_AMOUNT");
+            if (amount) {
+                const funding = await runStep(chainId, scopedStep("functions.fundSubscription", scope), async () => ({
+                    subscriptionId,
+                    amount,
+                    txHash: await this.functions.fundSubscription(subscriptionId, amount)
+                }), stepOptions);
+                result.fundSubscriptionTxHash = funding.txHash;
+            } else {
+                logWarn("Subscription created without funding; set FUNCTIONS_SUBSCRIPTION_FUND_AMOUNT or run the fund command");
+            }
+        }
+        result.subscriptionId = subscriptionId || getEnvVar("FUNCTIONS_SUBSCRIPTION_ID");
+
+        // Secrets belong to the signer, not a consumer, so they are recorded once per run
+        if (uploadSecrets) {
+            const { hosting, secretsVersion, encryptedSecretsUrls } = await runStep(chainId, "functions.uploadSecrets", () =>
+                this.functions.setupFunctions(), stepOptions);
+            result.secrets = { hosting, secretsVersion, encryptedSecretsUrls };
+        }
+
+        const consumer = await runStep(chainId, scopedStep("functions.addConsumer", scope), async () => ({
+            subscriptionId: result.subscriptionId,
+            txHash: await this.functions.addFunctionsConsumer(contractAddress, {
+                routerAddress: network.functions.routerAddress,
+                subscriptionId: result.subscriptionId,
+                rpcUrl: this.getRpcUrl()
+            })
+        }), stepOptions);
+        result.addConsumerTxHash = consumer.txHash;
+
+        return result;
+    }
+
+    /**
+     * Check that a contract has the functions its Chainlink services call, and that the
+     * signer may set its forwarder, before any service is attached. Services whose last
+     * step a resumed run already completed are not checked again.
+     * @param {string} contractAddress - Deployed contract
+     * @param {string|null} contractName - Contract name, to read its forge ABI artifact
+     * @param {Object} network - Resolved network profile
+     * @param {Object} services - Services to check
+     * @param {boolean} [services.functions] - Chainlink Functions
+     * @param {boolean} [services.automation] - Chainlink Automation
+     * @param {Object<string, string>} [services.env] - Per-upkeep settings overriding .env
+     * @param {string} [services.scope] - Pipeline contract the steps belong to
+     * @param {boolean} [services.resume] - Skip services already completed in the manifest
+     * @returns {Promise<void>}
+     * @throws {Error} If the contract lacks a function or the signer cannot set the forwarder
+     */
+    async checkCapabilities(contractAddress, contractName, network, { functions, automation, env = {}, scope, resume }) {
+        const isPending = step => !(resume && getCompletedStep(network.chainId, scopedStep(step, scope)));
+        const services = {
+            functions: Boolean(functions) && isPending("functions.addConsumer"),
+            automation: Boolean(automation) && isPending("automation.setForwarder"),
+            triggerType: withEnv(env, () => getEnvVar("AUTOMATION_TRIGGER_TYPE", "0"))
+        };
+        if (!services.functions && !services.automation) return;
+
+        await assertContractCapabilities({
+            contractAddress,
+            contractName,
+            services,
+            signerAddress: await getSignerAddress(),
+            rpcUrl: this.getRpcUrl(),
+            forwarderProbe: network.automation.registryAddress
+        });
+    }
+
+    /**
+     * Register a contract's upkeep and check the registration on-chain
+     * @param {string} contractAddress - Upkeep contract
+     * @param {Object} [options] - Registration options
+     * @param {string} [options.scope] - Pipeline contract the steps belong to
+     * @param {Object<string, string>} [options.env] - Per-upkeep settings overriding .env
+     * @param {boolean} [options.resume] - Skip steps already completed in the manifest
+     * @returns {Promise<Object>} The registration from ChainlinkAutomation.registerAutomation, plus whether it verified
+     */
+    async setUpAutomation(contractAddress, { scope, env, resume } = {}) {
+        // The registration records its own steps in the manifest
+        const registration = await this.automation.registerAutomation(contractAddress, { resume, scope, env, emitter: this });
+        const verified = await this.automation.verifyRegistration(contractAddress, { ...registration, scope, env });
+        return { ...registration, verified };
+    }
+
+    /**
+     * Execute a pipeline: run each step in order, recording it in the deployment
+     * manifest under a per-script or per-contract name, e.g. "deploy:core" or
+     * "automation.register:DStock"
+     * @param {Object} pipeline - Pipeline from loadPipeline
+     * @param {Object} network - Resolved network profile
+     * @param {Object} [options] - Run options
+     * @param {boolean} [options.resume] - Skip steps already completed in the deployment manifest
+     * @returns {Promise<{contracts: Object<string, Object>, services: Object<string, Object>, secrets?: Object}>}
+     *   Deployed contracts and the outcome of each service, keyed by contract name, and the secrets upload
+     */
+    async runPipeline(pipeline, network, { resume = false } = {}) {
+        const chainId = network.chainId;
+        const contracts = {};
+        const services = {};
+        const result = { contracts, services };
+
+        for (const [index, step] of pipeline.steps.entries()) {
+            logInfo(`▶️  [${index + 1}/${pipeline.steps.length}] ${step.id}`);
+
+            if (step.type === "script") {
+                const deployment = await runStep(chainId, scopedStep("deploy", step.id), async () => ({
+                    ...await this.deployContract(step.path, chainId, { contractMap: step.contracts }),
+                    scriptPath: step.path
+                }), { resume, emitter: this });
+                Object.assign(contracts, deployment.contracts);
+                continue;
+            }
+
+            const contractAddress = contracts[step.contract].address;
+            const addresses = Object.fromEntries(Object.entries(contracts).map(([name, contract]) => [name, contract.address]));
+            if (!services[step.contract]) {
+                // Checked before the contract's first service, covering all of them
+                const serviceSteps = pipeline.steps.filter(other => other.contract === step.contract);
+                const automationStep = serviceSteps.find(other => other.type === "automation");
+                await this.checkCapabilities(contractAddress, step.contract, network, {
+                    functions: serviceSteps.some(other => other.type === "functions"),
+                    automation: Boolean(automationStep),
+                    env: automationStep ? getServiceEnv(automationStep, addresses) : {},
+                    scope: step.contract,
+                    resume
+                });
+                services[step.contract] = {};
+            }
+
+            if (step.type === "functions") {
+                const { secrets, ...consumer } = await this.setUpFunctions(contractAddress, network, {
+                    ...step.params,
+                    uploadSecrets: !result.secrets,
+                    scope: step.contract,
+                    resume
+                });
+                if (secrets) result.secrets = secrets;
+                services[step.contract].functions = consumer;
+            } else {
+                services[step.contract].automation = await this.setUpAutomation(contractAddress, {
+                    scope: step.contract,
+                    env: getServiceEnv(step, addresses),
+                    resume
+                });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Verify the contracts of a script that was already deployed, e.g. after a
+     * failed verification or a deployment with --skip-verify
+     * @param {Object} [options] - Verification options
+     * @param {string} [options.scriptPath] - Forge deployment script whose broadcast artifact to read (defaults to SCRIPT_PATH)
+     * @param {string[]} [options.contracts] - Contract names to verify (defaults to every contract the script created)
+     * @returns {Promise<Object>} See verifyContracts
+     * @throws {Error} If the script, its broadcast artifact or the verifier settings are missing
+     */
+    async verify(options = {}) {
+        this.applyConfigEnv();
+        const network = resolveNetwork(this.config.network);
+        applyNetworkEnv(network);
+
+        const scriptPath = options.scriptPath || getEnvVar("SCRIPT_PATH");
+        if (!scriptPath) {
+            throw new Error("SCRIPT_PATH not set in .env file. Please specify the deploy script whose contracts to verify.");
+        }
+        return this.verifyContracts(scriptPath, network, { contracts: options.contracts });
+    }
+
+    /**
+     * Deploy the contract with selected Chainlink services, or every script and
+     * service of a pipeline
+     * @param {Object} [options] - Deployment options
+     * @param {boolean} [options.functions] - Whether to enable Chainlink Functions
+     * @param {boolean} [options.automation] - Whether to enable Chainlink Automation
+     * @param {boolean} [options.resume] - Skip steps already completed in the deployment manifest
+     * @param {boolean} [options.dryRun] - Return the execution plan instead of broadcasting
+     * @param {boolean} [options.createSubscription] - Create and fund a new Functions subscription first
+     * @param {boolean} [options.simulate] - Simulate the Functions source locally before deploying
+     * @param {string} [options.target] - Deployed contract that gets Chainlink services (see DEPLOY_CONTRACT_MAP)
+     * @param {string} [options.pipeline] - Pipeline file declaring several scripts, contracts and their services
+     * @param {boolean} [options.skipVerify] - Do not verify the deployed contracts
+     * @returns {Promise<Object>} The plan for a dry run; otherwise the deployed contracts, the Functions and
+     *   Automation outcome (or, for a pipeline, each contract's services), the verification outcome
+     *   (per script for a pipeline) and the manifest path
+     * @throws {Error} If validation, a pre-flight check or any step fails
+     */
+    async deploy(options = {}) {
+        this.applyConfigEnv();
+
+        // Resolve the network profile and expose it to the spawned scripts
+        const network = resolveNetwork(this.config.network);
+        applyNetworkEnv(network);
+
+        // A pipeline declares its services per contract instead of through flags
+        const pipeline = options.pipeline ? loadPipeline(options.pipeline) : null;
+        if (pipeline && (options.functions || options.automation || options.createSubscription)) {
+            throw new Error("--functions, --automation and --create-subscription do not apply to a pipeline; declare services per contract in the pipeline file");
+        }
+
+        logInfo("🚀 Starting deployment process");
+        logInfo("Options:", {
+            network: `${network.name} (${network.chainId})`,
+            env: path.basename(getEnvPath()),
+            pipeline: pipeline ? `${pipeline.file} (${pipeline.steps.length} steps)` : "none",
+            functions: options.functions ? "enabled" : "disabled",
+            automation: options.automation ? "enabled" : "disabled",
+            resume: options.resume ? "yes" : "no",
+            dryRun: options.dryRun ? "yes" : "no",
+            simulate: options.simulate ? "yes" : "no",
+            verify: options.skipVerify ? "skipped" : network.explorer.verifier
+        });
+
+        // Validate configuration before starting deployment
+        logInfo("🔍 Validating configuration...");
+        if (pipeline) {
+            validatePipelineConfig(pipeline, options);
+            logSuccess(`Configuration validation passed; pipeline order: ${pipeline.steps.map(step => step.id).join(" → ")}`);
+        } else {
+            validateConfig(options);
+            logSuccess("Configuration validation passed");
+        }
+        if (!options.skipVerify) {
+            // Fails here, before broadcasting, if the verifier is misconfigured
+            getVerifierSettings(network);
+        }
+
+        // Unlock the signer once; spawned scripts reuse the same account
+        const signerAddress = await getSignerAddress();
+        logInfo(`🔑 Signer: ${describeSigner()} (${signerAddress})`);
+        logInfo(`⛽ Fees: ${describeFeePolicy()}`);
+
+        // The RPC must serve the configured chain, where the Chainlink contracts exist
+        logInfo("🔗 Checking the configuration against the chain...");
+        await validateChainConfig({ options, pipeline, network, rpcUrl: this.getRpcUrl(), signerAddress });
+        logSuccess("Chain checks passed");
+
+        const scriptPath = getEnvVar("SCRIPT_PATH");
+        if (!scriptPath && !pipeline) {
+            throw new Error("SCRIPT_PATH not set in .env file. Please specify your contract's deploy script path.");
+        }
+
+        // Pre-flight: a broken request source fails here, before anything is paid for
+        const usesFunctions = pipeline ? pipeline.steps.some(step => step.type === "functions") : options.functions;
+        if (usesFunctions && options.simulate) {
+            await this.functions.simulateFunctions();
+        }
+
+        if (options.dryRun) {
+            const plan = pipeline ? await this.planPipeline(pipeline, network, options) : await this.planDeployment(scriptPath, network, options);
+            return { dryRun: true, ...plan };
+        }
+
+        // Every step records its outcome in deployments/<chainId>.json
+        const chainId = network.chainId;
+        const resume = Boolean(options.resume);
+        const stepOptions = { resume, emitter: this };
+
+        // Pre-flight: abort before the first transaction if any balance is short
+        logInfo("💰 Checking balances...");
+        const isCompleted = step => resume && Boolean(getCompletedStep(chainId, step));
+        let deployGas;
+        if (pipeline) deployGas = await this.estimatePipelineGas(pipeline, isCompleted);
+        else deployGas = isCompleted("deploy") ? 0n : await this.estimateDeploymentGas(scriptPath, getEnvVar("DEPLOY_GAS_ESTIMATE"));
+        assertPreflight(await runPreflightChecks({
+            options,
+            network,
+            signerAddress,
+            rpcUrl: this.getRpcUrl(),
+            deployGas,
+            isCompleted,
+            pending: pipeline ? pendingPipelineSteps(pipeline, isCompleted) : undefined
+        }), signerAddress);
+        logSuccess("Pre-flight checks passed");
+
+        startRun(chainId, { network: network.key, envProfile: getEnvProfile(), resume });
+        const summary = { network: network.key, chainId, explorer: network.explorer, manifestPath: getManifestPath(chainId) };
+
+        if (pipeline) {
+            const outcome = await this.runPipeline(pipeline, network, { resume });
+            // Verified last, so a slow explorer does not hold up the Chainlink services
+            const verification = {};
+            for (const step of pipeline.steps.filter(step => step.type === "script")) {
+                verification[step.id] = await this.runVerification(step.path, network, { skip: options.skipVerify, scope: step.id, resume });
+            }
+            return { ...summary, pipeline: pipeline.file, ...outcome, verification };
+        }
+
+        // Step 1: Deploy the contract
+        const { contractAddress, target, contracts } = await runStep(chainId, "deploy", async () => ({
+            ...await this.deployContract(scriptPath, chainId, { target: options.target }),
+            scriptPath
+        }), stepOptions);
+
+        logInfo("==== Deployment Complete ====");
+
+        if (!contractAddress) {
+            throw new Error("Deployment failed: No contract address returned");
+        }
+        const result = { ...summary, contractAddress, target, contracts };
+
+        // Both services are checked before either is attached
+        await this.checkCapabilities(contractAddress, target, network, {
+            functions: options.functions,
+            automation: options.automation,
+            resume
+        });
+
+        // Step 2: Set up Chainlink Functions if enabled
+        if (options.functions) {
+            result.functions = await this.setUpFunctions(contractAddress, network, {
+                createSubscription: options.createSubscription,
+                resume
+            });
+        }
+
+        // Step 3: Set up Chainlink Automation if enabled
+        if (options.automation) {
+            result.automation = await this.setUpAutomation(contractAddress, { resume });
+        }
+
+        // Step 4: Verify the deployed contracts, last so a slow explorer does not hold up the services
+        result.verification = await this.runVerification(scriptPath, network, { skip: options.skipVerify, resume });
+
+        return result;
+    }
+}
+
+module.exports = {
+    Deployer
+};
@@ -1,51 +1,240 @@
-const executeCommand = require("../helpers/executeCommand");
-const { updateEnvFile } = require("../helpers/updateEnvFile");
+const EventEmitter = require("events");
+const { ethers } = require("ethers");
+const { executeCommand } = require("../helpers/executeCommand");
+const { withRetry, ERROR_KINDS } = require("../helpers/retry");
+const { updateEnvFile, getEnvVar } = require("../helpers/updateEnvFile");
 const { logInfo, logSuccess, logWarn } = require("../helpers/log");
+const { resolveNetwork } = require("../config/networks");
+const { runSubscriptionCommand } = require("../function/subscription");
+const { loadSecretsManifest, resolveSecrets } = require("../function/secretsManifest");
+const { sendRequest, parseRequestArgs } = require("../function/sendRequest");
+const { getPrivateKey, withFoundryWallet, getSignerAddress } = require("../helpers/signer");
+const { getFoundryFeeArgs } = require("../helpers/fees");
 
-class ChainlinkFunctions {
+/**
+ * Chainlink Functions: secrets, simulation, subscriptions and consumers
+ */
+class ChainlinkFunctions extends EventEmitter {
     /**
-     * Initialize Chainlink Functions module
+     * Initialize Chainlink Functions module. Settings left out are read from
+     * the environment when a method runs, so .env can be loaded after require.
      * @param {Object} config - Configuration object
-     * @param {number} [config.maxRetries=3] - Maximum number of retry attempts
-     * @param {number} [config.retryDelay=2000] - Delay between retries in milliseconds
+     * @param {string} [config.network] - Network profile name (defaults to NETWORK, CHAIN_ID or arbitrum-sepolia)
+     * @param {string} [config.rpcUrl] - RPC endpoint URL (defaults to RPC_URL)
+     * @param {number} [config.maxRetries] - Maximum number of retry attempts (defaults to MAX_RETRIES or 3)
+     * @param {number} [config.retryDelay] - Initial delay between retries in milliseconds (defaults to RETRY_DELAY_MS or 2000)
+     * @param {number} [config.txTimeoutMs=300000] - Timeout for cast transactions and calls
      */
     constructor(config = {}) {
+        super();
         this.config = {
-            maxRetries: config.maxRetries || 3,
-            retryDelay: config.retryDelay || 2000
+            network: config.network,
+            rpcUrl: config.rpcUrl,
+            maxRetries: config.maxRetries,
+            retryDelay: config.retryDelay,
+            txTimeoutMs: config.txTimeoutMs || 5 * 60 * 1000
         };
     }
 
     /**
-     * Sets up Chainlink Functions by uploading secrets
-     * @returns {Promise<string>} The secrets version number
+     * Resolve the configured network profile
+     * @returns {Object} Network profile
+     */
+    getNetwork() {
+        return resolveNetwork(this.config.network);
+    }
+
+    /**
+     * Get the configured RPC endpoint
+     * @returns {string|undefined} RPC endpoint URL
+     */
+    getRpcUrl() {
+        return this.config.rpcUrl || getEnvVar("RPC_URL");
+    }
+
+    /**
+     * Sets up Chainlink Functions by uploading the secrets listed in the secrets manifest,
+     * and saves the secrets version or encrypted secrets URLs to .env
+     * @returns {Promise<{hosting: string, secretsVersion?: string, encryptedSecretsUrls?: string}>}
+     *   The DON secrets version, or the encrypted secrets URLs for gist/URL hosting
+     * @throws {Error} If a secret referenced by the manifest is missing or the upload fails
      */
     async setupFunctions() {
         logInfo("🔐 Setting up Chainlink Functions");
 
+        // Validate before uploading: missing secrets must never be uploaded
+        const manifest = loadSecretsManifest();
+        resolveSecrets(manifest);
+        logInfo(`Secrets: ${Object.keys(manifest.secrets).join(", ") || "none"} (${manifest.hosting}-hosted)`);
+
         try {
-            const output = await executeCommand(`node deploy/function/uploadSecrets.js`);
+            // The toolkit is only loaded when secrets are uploaded
+            const { uploadSecrets } = require("../function/uploadSecrets");
+            const result = await uploadSecrets({ network: this.getNetwork(), rpcUrl: this.getRpcUrl() });
 
-            const numbers = output.match(/\b\d+\b/g);
-            const version = numbers && numbers.length > 0 ? numbers[numbers.length - 1] : "1";
+            if (manifest.hosting !== "don") {
+                if (!updateEnvFile("FUNCTIONS_ENCRYPTED_SECRETS_URLS", result.encryptedSecretsUrls)) {
+                    throw new Error("Failed to update FUNCTIONS_ENCRYPTED_SECRETS_URLS in .env file");
+                }
+                logInfo(`📝 Encrypted secrets URLs saved to FUNCTIONS_ENCRYPTED_SECRETS_URLS`);
+                return { hosting: manifest.hosting, encryptedSecretsUrls: result.encryptedSecretsUrls };
+            }
 
+            const version = result.secretsVersion;
             logInfo(`📝 Secrets version: ${version}`);
 
             if (!updateEnvFile("FUNCTIONS_SECRETS_VERSION", version)) {
                 throw new Error("Failed to update FUNCTIONS_SECRETS_VERSION in .env file");
             }
+            if (!updateEnvFile("FUNCTIONS_SECRETS_SLOT_ID", String(manifest.slotId))) {
+                throw new Error("Failed to update FUNCTIONS_SECRETS_SLOT_ID in .env file");
+            }
 
-            return version;
+            return { hosting: manifest.hosting, secretsVersion: version };
         } catch (error) {
-            logWarn("⚠️ Secrets upload failed:", error.message);
-            logInfo("Using default version: 1");
+            // Failing here leaves the manifest step failed, so --resume uploads again
+            throw new Error(`Secrets upload failed: ${error.message}`);
+        }
+    }
 
-            if (!updateEnvFile("FUNCTIONS_SECRETS_VERSION", "1")) {
-                throw new Error("Failed to set default FUNCTIONS_SECRETS_VERSION");
-            }
+    /**
+     * Run the Functions request source locally with the configured args and secrets
+     * @param {Object} [options] - Simulation options
+     * @param {string} [options.sourcePath] - Request source file (defaults to FUNCTIONS_SOURCE_PATH)
+     * @param {string} [options.returnType] - uint256, int256, string or bytes (defaults to FUNCTIONS_RETURN_TYPE)
+     * @returns {Promise<{decodedResponse: string, responseBytesHexstring: string, output: string}>}
+     *   The decoded and raw response, and what the source printed
+     * @throws {Error} If the source throws or returns no response
+     */
+    async simulateFunctions(options = {}) {
+        logInfo("🧪 Simulating Chainlink Functions source");
 
-            return "1";
+        let result;
+        try {
+            // The toolkit is only loaded when a simulation runs
+            const { main: simulate } = require("../function/simulate");
+            result = await simulate({ sourcePath: options.sourcePath, returnType: options.returnType });
+        } catch (error) {
+            throw new Error(`Functions simulation failed: ${error.message}`);
+        }
+
+        logSuccess(`Simulation succeeded: ${result.decodedResponse}`);
+        return {
+            decodedResponse: result.decodedResponse,
+            responseBytesHexstring: result.responseBytesHexstring,
+            output: result.capturedTerminalOutput || ""
+        };
+    }
+
+    /**
+     * Send a Functions request through the deployed consumer and wait for the DON to fulfill it
+     * @param {string} contractAddress - The consumer contract
+     * @param {Object} [options] - Request options
+     * @param {string} [options.functionSignature] - Request-sending function (defaults to FUNCTIONS_REQUEST_FUNCTION)
+     * @param {Array} [options.args] - Its arguments (defaults to the FUNCTIONS_REQUEST_ARGS JSON array)
+     * @param {string} [options.returnType] - uint256, int256, string or bytes (defaults to FUNCTIONS_RETURN_TYPE)
+     * @param {number} [options.timeoutSeconds] - How long to wait (defaults to FUNCTIONS_REQUEST_TIMEOUT or 300)
+     * @returns {Promise<Object>} Request ID, result code, decoded response or error, billed cost and elapsed time
+     * @throws {Error} If the request fails to start, is not fulfilled, or returns an error
+     */
+    async sendTestRequest(contractAddress, options = {}) {
+        logInfo("📨 Sending Chainlink Functions request");
+
+        let result;
+        try {
+            result = await sendRequest({
+                contractAddress,
+                functionSignature: options.functionSignature || getEnvVar("FUNCTIONS_REQUEST_FUNCTION"),
+                args: options.args || parseRequestArgs(getEnvVar("FUNCTIONS_REQUEST_ARGS")),
+                returnType: options.returnType || getEnvVar("FUNCTIONS_RETURN_TYPE", "uint256"),
+                timeoutMs: Number(options.timeoutSeconds || getEnvVar("FUNCTIONS_REQUEST_TIMEOUT", 300)) * 1000,
+                routerAddress: this.getNetwork().functions.routerAddress,
+                privateKey: await getPrivateKey(),
+                rpcUrl: this.getRpcUrl()
+            });
+        } catch (error) {
+            throw new Error(`Functions request failed: ${error.shortMessage || error.message}`);
         }
+
+        if (result.resultCode !== "FULFILLED") {
+            throw new Error(`Functions request ${result.requestId} was not fulfilled: ${result.resultCode}`);
+        }
+        if (result.error) {
+            throw new Error(`Functions request ${result.requestId} returned an error: ${result.error}`);
+        }
+
+        logSuccess(`Request fulfilled in ${result.elapsedSeconds.toFixed(1)}s for ${ethers.formatUnits(result.totalCostJuels, 18)} LINK: ${result.response}`);
+        return result;
+    }
+
+    /**
+     * Create a Functions subscription owned by the signer and store its ID as
+     * FUNCTIONS_SUBSCRIPTION_ID straight away, so it is kept even if funding it fails
+     * @returns {Promise<{subscriptionId: string, txHash: string}>} The new subscription
+     */
+    async createSubscription() {
+        logInfo("🆕 Creating Chainlink Functions subscription");
+        const result = await this.manageSubscription("create");
+
+        if (!updateEnvFile("FUNCTIONS_SUBSCRIPTION_ID", result.subscriptionId)) {
+            throw new Error("Failed to update FUNCTIONS_SUBSCRIPTION_ID in .env file");
+        }
+        return result;
+    }
+
+    /**
+     * Fund a Functions subscription with LINK
+     * @param {string} subscriptionId - Subscription to fund
+     * @param {string} [fundAmount] - LINK in juels (defaults to FUNCTIONS_SUBSCRIPTION_FUND_AMOUNT)
+     * @returns {Promise<string>} Funding transaction hash
+     */
+    async fundSubscription(subscriptionId, fundAmount = getEnvVar("FUNCTIONS_SUBSCRIPTION_FUND_AMOUNT")) {
+        return this.manageSubscription("fund", [fundAmount], { subscriptionId });
+    }
+
+    /**
+     * Run a subscription command: create, fund, info, add-consumer, remove-consumer,
+     * cancel, transfer-owner or accept-owner
+     * @param {string} command - Subscription command
+     * @param {string[]} [args=[]] - Positional command arguments, e.g. the refund address for cancel
+     * @param {Object} [options] - Subscription selection
+     * @param {string} [options.subscriptionId] - Subscription ID (defaults to FUNCTIONS_SUBSCRIPTION_ID)
+     * @returns {Promise<string|Object>} Transaction hash, or a result object for "create" and "info"
+     */
+    async manageSubscription(command, args = [], options = {}) {
+        const network = this.getNetwork();
+
+        try {
+            return await runSubscriptionCommand(command, args, {
+                subscriptionId: options.subscriptionId || getEnvVar("FUNCTIONS_SUBSCRIPTION_ID"),
+                routerAddress: network.functions.routerAddress,
+                linkTokenAddress: network.linkTokenAddress,
+                privateKey: getPrivateKey,
+                rpcUrl: this.getRpcUrl()
+            });
+        } catch (error) {
+            throw new Error(`Subscription ${command} failed: ${error.shortMessage || error.message}`);
+        }
+    }
+
+    /**
+     * Encode the router addConsumer call without sending it
+     * @param {string} contractAddress - The address of the contract to add as consumer
+     * @param {Object} config - Configuration object
+     * @param {string} config.routerAddress - The address of the Functions router contract
+     * @param {string} config.subscriptionId - The subscription ID
+     * @returns {{to: string, signature: string, args: Array, data: string}} The encoded call
+     */
+    buildAddConsumerCall(contractAddress, config) {
+        const { routerAddress, subscriptionId } = config;
+        const signature = "addConsumer(uint64,address)";
+        const iface = new ethers.Interface([`function ${signature}`]);
+        return {
+            to: routerAddress,
+            signature,
+            args: [subscriptionId, contractAddress],
+            data: iface.encodeFunctionData("addConsumer", [subscriptionId, contractAddress])
+        };
     }
 
     /**
@@ -54,31 +243,49 @@ class ChainlinkFunctions {
      * @param {Object} config - Configuration object
      * @param {string} config.routerAddress - The address of the Functions router contract
      * @param {string} config.subscriptionId - The subscription ID
-     * @param {string} config.privateKey - The private key for transaction signing
+     * @param {string} [config.privateKey] - Raw private key; defaults to the configured signer
      * @param {string} config.rpcUrl - The RPC URL for the network
+     * @returns {Promise<string|null>} The addConsumer transaction hash, if reported by cast
      * @throws {Error} If parameters are missing or invalid
      */
     async addFunctionsConsumer(contractAddress, config) {
         const { routerAddress, subscriptionId, privateKey, rpcUrl } = config;
 
         // Validate parameters
-        if (!contractAddress || !routerAddress || !subscriptionId || !privateKey || !rpcUrl) {
+        if (!contractAddress || !routerAddress || !subscriptionId || !rpcUrl) {
             throw new Error("Missing required parameters for adding Functions consumer");
         }
 
         logInfo(`🔄 Adding ${contractAddress} as Functions Consumer`);
 
         try {
-            const command = `cast send ${routerAddress} "addConsumer(uint64,address)" ${subscriptionId} ${contractAddress} --private-key ${privateKey} --rpc-url ${rpcUrl}`;
-
-            const deployOutput = await executeCommand(command);
+            const call = this.buildAddConsumerCall(contractAddress, config);
+            const from = privateKey ? ethers.computeAddress(privateKey) : await getSignerAddress();
+            // addConsumer is a no-op for an existing consumer, so resending after an RPC failure is safe
+            const deployOutput = await withFoundryWallet({}, walletArgs => withRetry(async () => executeCommand("cast", [
+                "send", routerAddress, "addConsumer(uint64,address)", String(subscriptionId), contractAddress,
+                ...walletArgs,
+                // Re-read on each attempt so a retry pays current fees
+                ...await getFoundryFeeArgs(new ethers.JsonRpcProvider(rpcUrl), { tool: "cast", tx: { from, to: call.to, data: call.data } }),
+                "--rpc-url", rpcUrl
+            ], { timeoutMs: this.config.txTimeoutMs }), {
+                label: "addConsumer",
+                maxRetries: this.config.maxRetries,
+                retryDelay: this.config.retryDelay,
+                retryOn: [ERROR_KINDS.TRANSIENT]
+            }), privateKey ? { type: "private-key", privateKey } : undefined);
 
             if (!deployOutput.includes('"status":"1"') && !deployOutput.includes("status               1 (success)")) {
                 throw new Error("Transaction failed - check gas settings and network status");
             }
 
+            const txHashMatch = deployOutput.match(/transactionHash"?\s*:?\s*"?(0x[0-9a-fA-F]{64})/);
+            const txHash = txHashMatch ? txHashMatch[1] : null;
+
             logSuccess(`Successfully added ${contractAddress} as consumer to Functions subscription ${subscriptionId}`);
             logInfo(`🎉 Contract is now authorized to use Chainlink Functions!`);
+
+            return txHash;
         } catch (error) {
             throw new Error(`Failed to add Functions consumer: ${error.message}`);
         }
@@ -97,9 +304,16 @@ class ChainlinkFunctions {
         const { routerAddress, subscriptionId, rpcUrl } = config;
 
         try {
-            const command = `cast call ${routerAddress} "isAuthorizedSender(uint64,address)" ${subscriptionId} ${contractAddress} --rpc-url ${rpcUrl}`;
-
-            const result = await executeCommand(command);
+            // A read-only call, so any transient failure is safe to repeat
+            const result = await withRetry(() => executeCommand("cast", [
+                "call", routerAddress, "isAuthorizedSender(uint64,address)", String(subscriptionId), contractAddress,
+                "--rpc-url", rpcUrl
+            ], { timeoutMs: this.config.txTimeoutMs }), {
+                label: "Consumer check",
+                maxRetries: this.config.maxRetries,
+                retryDelay: this.config.retryDelay,
+                retryOn: [ERROR_KINDS.TRANSIENT]
+            });
 
             return result.includes("0x0000000000000000000000000000000000000000000000000000000000000001");
         } catch (error) {
@@ -109,4 +323,5 @@ class ChainlinkFunctions {
     }
 }
 
-module.exports = new ChainlinkFunctions();
\ No newline at end of file
+module.exports = new ChainlinkFunctions();
+module.exports.ChainlinkFunctions = ChainlinkFunctions;
@@ -0,0 +1,139 @@
+/**
+ * Tests for helpers/redact.js: secrets from the environment, registered secrets
+ * and secret flag arguments must never reach the output
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { MASK, registerSecret, redact, redactValue, redactConsole } = require("../helpers/redact");
+
+const PRIVATE_KEY = `0x${"ab12".repeat(16)}`;
+
+/**
+ * Restore process.env in place, dropping variables a test added
+ * @param {Object<string, string>} saved - Copy taken before the test
+ */
+function restoreEnv(saved) {
+    for (const key of Object.keys(process.env)) {
+        if (!(key in saved)) delete process.env[key];
+    }
+    Object.assign(process.env, saved);
+}
+
+describe("redact", () => {
+    let savedEnv;
+
+    beforeEach(() => {
+        savedEnv = { ...process.env };
+    });
+
+    afterEach(() => {
+        restoreEnv(savedEnv);
+    });
+
+    it("masks the values of secret environment variables", () => {
+        process.env.PRIVATE_KEY = PRIVATE_KEY;
+        process.env.ETHERSCAN_API_KEY = "etherscan-key-123";
+        process.env.GITHUB_API_TOKEN = "ghp_tokenvalue";
+        process.env.KEYSTORE_PASSWORD = "hunter22";
+        process.env.ALPACA_SECRET_KEY = "alpaca-secret";
+
+        const text = `key ${PRIVATE_KEY} api etherscan-key-123 gh ghp_tokenvalue pw hunter22 alpaca alpaca-secret`;
+        assert.equal(redact(text), `key ${MASK} api ${MASK} gh ${MASK} pw ${MASK} alpaca ${MASK}`);
+    });
+
+    it("masks private keys printed without their 0x prefix", () => {
+        process.env.PRIVATE_KEY = PRIVATE_KEY;
+        assert.equal(redact(`raw ${PRIVATE_KEY.slice(2)}`), `raw ${MASK}`);
+    });
+
+    it("masks RPC_URL, which often embeds an API key", () => {
+        process.env.RPC_URL = "https://arb-sepolia.example.com/v2/abcdef123456";
+        assert.equal(redact("connecting to https://arb-sepolia.example.com/v2/abcdef123456"), `connecting to ${MASK}`);
+    });
+
+    it("leaves ordinary variables and short values alone", () => {
+        process.env.CONTRACT_ADDRESS = "0x0000000000000000000000000000000000000001";
+        process.env.SHORT_SECRET = "abc";
+        const text = "contract 0x0000000000000000000000000000000000000001 abc";
+        assert.equal(redact(text), text);
+    });
+
+    it("masks registered secrets", () => {
+        registerSecret("manifest-secret-value");
+        assert.equal(redact("value: manifest-secret-value."), `value: ${MASK}.`);
+    });
+
+    it("ignores registered values too short to mask safely", () => {
+        registerSecret("12345");
+        assert.equal(redact("port 12345"), "port 12345");
+    });
+
+    it("masks a longer secret whole when it contains a shorter one", () => {
+        registerSecret("overlap");
+        registerSecret("overlap-and-more");
+        assert.equal(redact("overlap-and-more"), MASK);
+    });
+
+    it("masks the arguments of secret flags, with a space or an equals sign", () => {
+        assert.equal(
+            redact("cast send --private-key 0xdeadbeef --password=letmein --etherscan-api-key KEY123 --rpc-url local"),
+            `cast send --private-key ${MASK} --password=${MASK} --etherscan-api-key ${MASK} --rpc-url local`
+        );
+    });
+
+    it("does not mask a flag argument twice", () => {
+        process.env.PRIVATE_KEY = PRIVATE_KEY;
+        assert.equal(redact(`--private-key ${PRIVATE_KEY}`), `--private-key ${MASK}`);
+    });
+
+    it("returns non-strings and empty strings unchanged", () => {
+        assert.equal(redact(""), "");
+        assert.equal(redact(undefined), undefined);
+        assert.equal(redact(42), 42);
+    });
+});
+
+describe("redactValue", () => {
+    let savedEnv;
+
+    beforeEach(() => {
+        savedEnv = { ...process.env };
+        process.env.PRIVATE_KEY = PRIVATE_KEY;
+    });
+
+    afterEach(() => {
+        restoreEnv(savedEnv);
+    });
+
+    it("reduces errors to their redacted stack", () => {
+        const redacted = redactValue(new Error(`bad key ${PRIVATE_KEY}`));
+        assert.equal(typeof redacted, "string");
+        assert.ok(redacted.includes(`bad key ${MASK}`));
+        assert.ok(!redacted.includes(PRIVATE_KEY));
+    });
+
+    it("redacts nested object values, including bigints", () => {
+        const redacted = redactValue({ signer: { key: PRIVATE_KEY }, amount: 10n });
+        assert.deepEqual(redacted, { signer: { key: MASK }, amount: "10" });
+    });
+
+    it("returns objects without secrets as they are", () => {
+        const value = { contract: "0x1", amount: 1 };
+        assert.equal(redactValue(value), value);
+    });
+});
+
+describe("redactConsole", () => {
+    it("masks secrets in console output and can be called twice", (t) => {
+        const lines = [];
+        t.mock.method(console, "log", (...args) => lines.push(args.join(" ")));
+        registerSecret("console-secret-value");
+
+        redactConsole();
+        redactConsole();
+        console.log("printing", "console-secret-value");
+
+        assert.deepEqual(lines, [`printing ${MASK}`]);
+    });
+});
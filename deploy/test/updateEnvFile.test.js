@@ -0,0 +1,168 @@
+/**
+ * Tests for the .env writer in helpers/updateEnvFile.js: every value written must be
+ * read back unchanged by dotenv, and the rest of the file must survive the update
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const dotenv = require("dotenv");
+const { formatEnvValue, updateEnvFile } = require("../helpers/updateEnvFile");
+
+// Values dotenv has mangled or cut short when written bare
+const AWKWARD_VALUES = [
+    "",
+    "plain_value-1.2:3/4@5+6=7%8,9",
+    "0x1234abcd",
+    "with spaces",
+    "has # hash",
+    "trailing space ",
+    "double \"quoted\"",
+    "back`tick",
+    "$NOT_EXPANDED",
+    "it's",
+    "line one\nline two",
+    "it's\non two lines"
+];
+
+describe("formatEnvValue", () => {
+    it("writes plain values bare", () => {
+        assert.equal(formatEnvValue("0x1234abcd"), "0x1234abcd");
+        assert.equal(formatEnvValue("https://rpc.example.com/v2/key"), "https://rpc.example.com/v2/key");
+    });
+
+    it("single-quotes values with spaces, hashes or double quotes", () => {
+        assert.equal(formatEnvValue("has # hash"), "'has # hash'");
+        assert.equal(formatEnvValue("double \"quoted\""), "'double \"quoted\"'");
+    });
+
+    it("double-quotes values with a single quote or a newline", () => {
+        assert.equal(formatEnvValue("it's"), "\"it's\"");
+        assert.equal(formatEnvValue("line one\nline two"), "\"line one\\nline two\"");
+    });
+
+    it("rejects values dotenv cannot read back", () => {
+        assert.throws(() => formatEnvValue("it's \"both\""), /dotenv cannot read this value back/);
+        assert.throws(() => formatEnvValue("it's a literal \\n"), /dotenv cannot read this value back/);
+    });
+
+    for (const value of AWKWARD_VALUES) {
+        it(`is read back unchanged by dotenv: ${JSON.stringify(value)}`, () => {
+            const parsed = dotenv.parse(`export KEY=${formatEnvValue(value)}  # comment\n`);
+            assert.equal(parsed.KEY, value);
+        });
+    }
+});
+
+describe("updateEnvFile", () => {
+    let dir;
+    let envPath;
+    const savedLogLevel = process.env.LOG_LEVEL;
+
+    before(() => {
+        process.env.LOG_LEVEL = "silent";
+    });
+
+    after(() => {
+        if (savedLogLevel === undefined) delete process.env.LOG_LEVEL;
+        else process.env.LOG_LEVEL = savedLogLevel;
+    });
+
+    beforeEach((t) => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "env-test-"));
+        envPath = path.join(dir, ".env");
+        t.after(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+            delete process.env.TEST_ENV_KEY;
+            delete process.env.TEST_OTHER_KEY;
+        });
+    });
+
+    it("replaces an assignment in place, keeping its export prefix, comment and neighbours", () => {
+        fs.writeFileSync(envPath, [
+            "# Settings",
+            "export FIRST=1",
+            "export TEST_ENV_KEY=old          # the key under test",
+            "LAST=3",
+            ""
+        ].join("\n"));
+
+        assert.equal(updateEnvFile("TEST_ENV_KEY", "new", { envPath }), true);
+
+        assert.equal(fs.readFileSync(envPath, "utf8"), [
+            "# Settings",
+            "export FIRST=1",
+            "export TEST_ENV_KEY=new          # the key under test",
+            "LAST=3",
+            ""
+        ].join("\n"));
+    });
+
+    it("keeps a comment after a quoted value that contains a hash", () => {
+        fs.writeFileSync(envPath, "TEST_ENV_KEY='a # b' # note\n");
+        assert.equal(updateEnvFile("TEST_ENV_KEY", "has # hash", { envPath }), true);
+
+        const content = fs.readFileSync(envPath, "utf8");
+        assert.match(content, /^TEST_ENV_KEY='has # hash' +# note\n$/);
+        assert.equal(dotenv.parse(content).TEST_ENV_KEY, "has # hash");
+    });
+
+    it("keeps Windows line endings", () => {
+        fs.writeFileSync(envPath, "FIRST=1\r\nTEST_ENV_KEY=old\r\n");
+        assert.equal(updateEnvFile("TEST_ENV_KEY", "new", { envPath }), true);
+        assert.equal(fs.readFileSync(envPath, "utf8"), "FIRST=1\r\nTEST_ENV_KEY=new\r\n");
+    });
+
+    it("appends a missing key as an export, without joining it to the last line", () => {
+        fs.writeFileSync(envPath, "FIRST=1");
+        assert.equal(updateEnvFile("TEST_ENV_KEY", "value", { envPath }), true);
+        assert.equal(fs.readFileSync(envPath, "utf8"), "FIRST=1\nexport TEST_ENV_KEY=value\n");
+    });
+
+    it("writes values that dotenv reads back unchanged", () => {
+        fs.writeFileSync(envPath, "TEST_ENV_KEY=old\n");
+        for (const value of AWKWARD_VALUES) {
+            assert.equal(updateEnvFile("TEST_ENV_KEY", value, { envPath }), true);
+            assert.equal(dotenv.parse(fs.readFileSync(envPath, "utf8")).TEST_ENV_KEY, value);
+        }
+    });
+
+    it("updates process.env for the rest of the run", () => {
+        assert.equal(updateEnvFile("TEST_ENV_KEY", "value", { envPath }), true);
+        assert.equal(process.env.TEST_ENV_KEY, "value");
+    });
+
+    it("keeps the previous file as .bak and leaves no lock or temp file", () => {
+        fs.writeFileSync(envPath, "TEST_ENV_KEY=old\n");
+        assert.equal(updateEnvFile("TEST_ENV_KEY", "new", { envPath }), true);
+
+        assert.equal(fs.readFileSync(`${envPath}.bak`, "utf8"), "TEST_ENV_KEY=old\n");
+        assert.deepEqual(fs.readdirSync(dir).sort(), [".env", ".env.bak"]);
+    });
+
+    it("keeps the file's permissions, and creates new files readable by the owner only", () => {
+        assert.equal(updateEnvFile("TEST_ENV_KEY", "value", { envPath }), true);
+        assert.equal(fs.statSync(envPath).mode & 0o777, 0o600);
+
+        fs.chmodSync(envPath, 0o640);
+        assert.equal(updateEnvFile("TEST_OTHER_KEY", "value", { envPath }), true);
+        assert.equal(fs.statSync(envPath).mode & 0o777, 0o640);
+    });
+
+    it("fails without touching the file for an invalid name or an unwritable value", () => {
+        fs.writeFileSync(envPath, "TEST_ENV_KEY=old\n");
+
+        assert.equal(updateEnvFile("NOT-A-NAME", "value", { envPath }), false);
+        assert.equal(updateEnvFile("TEST_ENV_KEY", "it's \"both\"", { envPath }), false);
+
+        assert.equal(fs.readFileSync(envPath, "utf8"), "TEST_ENV_KEY=old\n");
+        assert.equal(process.env.TEST_ENV_KEY, undefined);
+    });
+
+    it("does not create a missing file when createIfMissing is false", () => {
+        assert.equal(updateEnvFile("TEST_ENV_KEY", "value", { envPath, createIfMissing: false }), false);
+        assert.equal(fs.existsSync(envPath), false);
+    });
+});